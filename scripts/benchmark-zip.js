@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+// Compares writing a looped .gcode.3mf zip to zip (the looper) with the earlier path: extract the whole
+// archive, loop into a temp file, re-zip the folder at level 9.
+//   node scripts/benchmark-zip.js <single-plate.gcode.3mf> [loops] [--levels 1,6,9]
+// Prints the time, the output size and the temp space each one needed.
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { prepareJob, planJob, writeJob, disposeJob } = require('../src/api');
+const { streamRepeatFiles } = require('../src/gcode');
+const { extractZipToDir, zipDirectoryContents, findMetadataFolder, readZipDirectory, safeRm } = require('../src/zip');
+
+const args = process.argv.slice(2);
+const levelsAt = args.indexOf('--levels');
+const levels = levelsAt >= 0 ? args.splice(levelsAt, 2)[1].split(',').map(Number) : [1, 6, 9];
+const [input, loopsArg = '20'] = args;
+if (!input) {
+  console.log('Usage: node scripts/benchmark-zip.js <file.gcode.3mf> [loops] [--levels 1,6,9]');
+  process.exit(1);
+}
+const loops = parseInt(loopsArg, 10);
+const MB = 1024 * 1024;
+
+async function directorySize(dir) {
+  let bytes = 0;
+  for (const entry of await fsp.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    bytes += entry.isDirectory() ? await directorySize(full) : (await fsp.stat(full)).size;
+  }
+  return bytes;
+}
+
+async function timed(run) {
+  const started = process.hrtime.bigint();
+  const result = await run();
+  return { ...result, seconds: Number(process.hrtime.bigint() - started) / 1e9 };
+}
+
+// Extract everything, loop into the extracted folder, zip the folder again
+async function extractAndRezip(outDir) {
+  const tempRoot = await fsp.mkdtemp(path.join(os.tmpdir(), 'gcode-3mf-looper-bench-'));
+  try {
+    await extractZipToDir(input, tempRoot);
+    const entries = await readZipDirectory(input);
+    const gcodeName = entries.find((e) => /^[^/]+\/[^/]+\.gcode$/i.test(e.name) && e.name.startsWith(`${findMetadataFolder(entries)}/`)).name;
+    const gcodePath = path.join(tempRoot, gcodeName);
+    await streamRepeatFiles([gcodePath], `${gcodePath}.tmp`, loops);
+    await fsp.rename(`${gcodePath}.tmp`, gcodePath);
+    const tempBytes = await directorySize(tempRoot);
+    const outputPath = path.join(outDir, 'extract-and-rezip.gcode.3mf');
+    await zipDirectoryContents(tempRoot, outputPath);
+    return { outputPath, tempBytes };
+  } finally {
+    await safeRm(tempRoot);
+  }
+}
+
+async function zipToZip(outDir, level) {
+  const job = await prepareJob({ inputs: [input] });
+  try {
+    const tempBytes = await directorySize(job.tempRoot);
+    const plan = planJob(job, { spec: String(loops) });
+    const result = await writeJob(job, plan, { outputPath: path.join(outDir, `zip-to-zip-${level}.gcode.3mf`), compression: level });
+    return { outputPath: result.outputPath, tempBytes };
+  } finally {
+    await disposeJob(job);
+  }
+}
+
+(async () => {
+  const outDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'gcode-3mf-looper-bench-out-'));
+  try {
+    const runs = [['extract + re-zip (level 9)', () => extractAndRezip(outDir)]];
+    levels.forEach((level) => runs.push([`zip to zip (level ${level})`, () => zipToZip(outDir, level)]));
+    console.log(`${path.basename(input)}, ${loops} loops`);
+    for (const [label, run] of runs) {
+      const { outputPath, tempBytes, seconds } = await timed(run);
+      const outputBytes = fs.statSync(outputPath).size;
+      console.log(`${label.padEnd(28)} ${seconds.toFixed(1).padStart(7)} s ${(outputBytes / MB).toFixed(1).padStart(9)} MB out ${(tempBytes / MB).toFixed(1).padStart(9)} MB temp`);
+      await safeRm(outputPath);
+    }
+  } finally {
+    await safeRm(outDir);
+  }
+})().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
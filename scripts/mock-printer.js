@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+// A stand-in for OctoPrint and Moonraker to try --send without a printer:
+//   node scripts/mock-printer.js [port] [--api-key KEY] [--status 409]
+// It answers POST /api/files/local (OctoPrint) and POST /server/files/upload (Moonraker) like the real
+// servers, logs the form fields and the size of the received file, and keeps nothing.
+// --status makes every upload fail with that HTTP status.
+const http = require('http');
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args.splice(i, 2)[1] : null;
+};
+const apiKey = flag('--api-key');
+const failStatus = flag('--status');
+const port = Number(args[0] || 8181);
+
+// Text fields and the file part of a multipart/form-data body
+function parseMultipart(body, boundary) {
+  const fields = {};
+  let file = null;
+  const delimiter = Buffer.from(`--${boundary}`);
+  let start = body.indexOf(delimiter);
+  while (start >= 0) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next < 0) break;
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString('utf8');
+    const content = part.subarray(headerEnd + 4);
+    const name = /name="([^"]*)"/.exec(headers)[1];
+    const fileName = /filename="([^"]*)"/.exec(headers);
+    if (fileName) file = { name: fileName[1], bytes: content.length };
+    else fields[name] = content.toString('utf8');
+    start = next;
+  }
+  return { fields, file };
+}
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const octoprint = req.method === 'POST' && req.url === '/api/files/local';
+    const moonraker = req.method === 'POST' && req.url === '/server/files/upload';
+    if (!octoprint && !moonraker) return send(res, 404, { error: 'Not found' });
+    if (apiKey && req.headers['x-api-key'] !== apiKey) return send(res, 403, { error: 'Invalid API key' });
+    if (failStatus) return send(res, Number(failStatus), { error: `Mock failure ${failStatus}` });
+    const boundary = /boundary=(.+)$/.exec(req.headers['content-type'] || '');
+    if (!boundary) return send(res, 400, { error: 'Expected multipart/form-data' });
+    const { fields, file } = parseMultipart(Buffer.concat(chunks), boundary[1]);
+    if (!file) return send(res, 400, { error: 'No file' });
+    console.log(`${octoprint ? 'OctoPrint' : 'Moonraker'} upload: ${file.name} (${file.bytes} bytes) ${JSON.stringify(fields)}`);
+    const print = fields.print === 'true';
+    if (octoprint) {
+      return send(res, 201, { done: true, files: { local: { name: file.name, origin: 'local' } }, effectiveSelect: print, effectivePrint: print });
+    }
+    return send(res, 201, { result: { item: { path: file.name, root: fields.root || 'gcodes' }, print_started: print, action: 'create_file' } });
+  });
+}).listen(port, () => console.log(`Mock printer on http://localhost:${port} (Ctrl+C to stop)`));
@@ -0,0 +1,984 @@
+
+const fsp = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const { safeStat, safeRm, readZipDirectory, openZipEntry, readZipEntry, extractZipEntry, createZipWriter, listTopLevelGcodesInZip, findMetadataFolder, getTopLevelGcodeSizes } = require('./zip');
+const { analyzeGcodeFile, streamRepeatFiles } = require('./gcode');
+const { formatDuration, formatMass, parseLoopSpecifier, loopCosts, computeRepetitions, targetUsage, slotLimits, trimSavings, estimateFinalSize, estimateGcodeSize } = require('./compute');
+const { createMetadataFolder, updatePlateMetadata, removeOtherPlates, scaleBgcodeMetadata, formatSlicerDuration } = require('./metadata');
+const { MAGIC: BGCODE_MAGIC, readBgcode, writeBgcode, readTextThumbnails, thumbnailComments, metadataComments, slicerConfigComments } = require('./bgcode');
+const { listEjectPresets, loadBetweenTemplate, trimmedBetweenTemplate, untrimmedBetweenBlock } = require('./eject');
+const { loopedUnit, writeLoopedUnit, readLoopedBetween, loopedOriginalName } = require('./looped');
+const { parseColorSchedule, colorUsage, colorChangeGcode } = require('./colors');
+const { parseSweeps } = require('./sweep');
+const { verifyZipOutput } = require('./verify');
+const { PACK_FOLDER, PACK_GCODE_NAME, packedFiles, packedSidecars, pickThumbnail, readThumbnailFile } = require('./pack');
+const { parseInputArg, selectPlates, sortByPlate, plateLabel, plateDisplayName, platesSuffix } = require('./plates');
+const { registerSlicer } = require('./slicers');
+const { loadPrinters, sendToPrinter } = require('./printers');
+const { resolveSchedule, resolveWeights, buildSequence } = require('./schedule');
+const { printerFromProjectSettings, preflightChecks } = require('./preflight');
+const errors = require('./errors');
+
+const { InvalidSpecError, InputError, ZeroLoopsError, OutputTooLargeError, PreflightError, LooperError } = errors;
+
+const LARGE_INPUT_BYTES = 100 * 1024 * 1024;
+const DEFAULT_NAME_TEMPLATE = 'Loop X {count} - {duration} - {grams}{slots} - {name}';
+const OUTPUT_EXTENSIONS = { '3mf': '.gcode.3mf', gcode: '.gcode', bgcode: '.bgcode' };
+const DEFAULT_COMPRESSION = 6;
+// Binary G-code output size when no binary input gives a better ratio (heatshrink on G-code)
+const BGCODE_DEFAULT_RATIO = 0.5;
+// .gcode.3mf output size when it is packed around G-code inputs (deflate on G-code)
+const DEFLATE_DEFAULT_RATIO = 0.3;
+
+// '3mf' (zip signature), 'bgcode' (GCDE signature) or 'gcode' for anything else
+async function detectFormat(filePath) {
+  const fh = await fsp.open(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(4);
+    const { bytesRead } = await fh.read(buf, 0, 4, 0);
+    const magic = buf.toString('latin1', 0, bytesRead);
+    if (magic === 'PK\x03\x04') return '3mf';
+    if (magic === BGCODE_MAGIC) return 'bgcode';
+    return 'gcode';
+  } finally {
+    await fh.close();
+  }
+}
+
+// Plates of a .3mf, in plate order: [{ name: 'plate_2.gcode', label: '2' }]. G-code files are a single plate.
+async function listPlates(inputPath) {
+  if (await detectFormat(inputPath) !== '3mf') return [{ name: path.basename(inputPath), label: '1' }];
+  const names = await listTopLevelGcodesInZip(inputPath);
+  return sortByPlate(names).map((name) => ({ name, label: plateLabel(name) }));
+}
+
+// Extract and analyze the inputs. The returned job holds a temp directory: always call disposeJob().
+// options.inputs: .3mf, .gcode or .bgcode paths ("file.3mf#2,3" selectors and ":3" weights allowed)
+//   or { path, plates, weight } objects; weight is how many times the file is printed per loop
+// options.cwd: base for relative paths (defaults to process.cwd())
+// options.extract: false reads the .3mf plates straight from their archives; the job can be planned, not written
+// options.looped: false keeps 3mf-looper outputs whole instead of restoring their first loop
+// options.largeInputBytes: inputs above it are warned about (100 MB by default)
+// options.onProgress: receives { type: 'stage' | 'warning' | 'loop' | 'zip', ... } events
+async function prepareJob(options = {}) {
+  const { inputs, cwd = process.cwd(), extract = true, looped: restoreLooped = true, largeInputBytes = LARGE_INPUT_BYTES, onProgress = () => {} } = options;
+  if (!Array.isArray(inputs) || inputs.length === 0) throw new InputError('Missing .3mf files.');
+
+  const warnings = [];
+  const warn = (message) => {
+    warnings.push(message);
+    onProgress({ type: 'warning', message });
+  };
+
+  const parsed = inputs.map((input) => (typeof input === 'string'
+    ? parseInputArg(input, cwd)
+    : { file: input.path, plates: input.plates != null ? input.plates : null, weight: input.weight != null ? input.weight : null }));
+  const inputWeights = resolveWeights(parsed.map((a) => a.weight), parsed.length);
+  const inputPaths = parsed.map((a) => path.resolve(cwd, a.file));
+  for (let i = 0; i < inputPaths.length; i += 1) {
+    const st = await safeStat(inputPaths[i]);
+    if (!st || !st.isFile()) throw new InputError(`Input path does not exist or is not a file: ${inputPaths[i]}`);
+    if (st.size > largeInputBytes) {
+      warn(`Input ${i + 1} is ${(st.size / (1024 * 1024)).toFixed(1)} MB (> ${Math.round(largeInputBytes / (1024 * 1024))} MB). Proceeding...`);
+    }
+  }
+
+  // Discover and pick the plates before extracting anything
+  const formats = [];
+  const candidates = [];
+  const selected = [];
+  for (let i = 0; i < inputPaths.length; i += 1) {
+    formats.push(await detectFormat(inputPaths[i]));
+    if (formats[i] !== '3mf') {
+      if (parsed[i].plates != null) throw new InputError(`Input ${i + 1} is a .${formats[i]} file, plate selectors only apply to .3mf projects.`);
+      candidates.push([path.basename(inputPaths[i])]);
+      selected.push([path.basename(inputPaths[i])]);
+      continue;
+    }
+    const names = await listTopLevelGcodesInZip(inputPaths[i]);
+    if (names.length === 0) throw new InputError(`No top-level metadata/*.gcode found in input ${i + 1}.`);
+    candidates.push(names);
+    selected.push(selectPlates(names, parsed[i].plates, i + 1));
+  }
+
+  const tempRoot = await fsp.mkdtemp(path.join(os.tmpdir(), 'gcode-3mf-looper-'));
+  try {
+    onProgress({ type: 'stage', stage: 'extract' });
+    // Only the selected plates' G-code is extracted; the rest of an archive is copied from the input when writing
+    const archives = [];
+    const bgcodes = [];
+    const sourcePaths = [];
+    for (let i = 0; i < inputPaths.length; i += 1) {
+      const subdir = path.join(tempRoot, `input-${i + 1}`);
+      bgcodes.push(null);
+      sourcePaths.push(inputPaths[i]);
+      // Plain G-code is read in place; binary G-code is decoded next to the other temp files
+      if (formats[i] !== '3mf') {
+        archives.push(null);
+        if (formats[i] === 'bgcode') {
+          await fsp.mkdir(subdir, { recursive: true });
+          sourcePaths[i] = path.join(subdir, path.basename(inputPaths[i]).replace(/\.bgcode$/i, '') + '.gcode');
+          bgcodes[i] = await readBgcode(inputPaths[i], sourcePaths[i]);
+        }
+        continue;
+      }
+      const entries = await readZipDirectory(inputPaths[i]);
+      const metadataFolder = findMetadataFolder(entries);
+      if (!metadataFolder) throw new InputError(`Could not find a metadata directory in input ${i + 1}.`);
+      for (const name of selected[i]) {
+        if (extract) await extractZipEntry(inputPaths[i], entries.find((e) => e.name === `${metadataFolder}/${name}`), path.join(subdir, name));
+      }
+      archives.push({ entries, metadataFolder });
+    }
+
+    // Every selected plate is a source, printed its input's weight times per loop
+    const gcodePaths = [];
+    const displayNames = [];
+    const weights = [];
+    for (let i = 0; i < selected.length; i += 1) {
+      for (const name of selected[i]) {
+        gcodePaths.push(formats[i] === '3mf' ? path.join(tempRoot, `input-${i + 1}`, name) : sourcePaths[i]);
+        displayNames.push(plateDisplayName(inputPaths[i], name, candidates[i].length));
+        weights.push(inputWeights[i]);
+      }
+    }
+    // Single-plate projects all hold plate_1.gcode: tell them apart by their file in markers and summaries
+    const sourceInputs = selected.flatMap((names, i) => names.map(() => i));
+    const plainNames = [...displayNames];
+    plainNames.forEach((name, g) => {
+      if (plainNames.some((other, h) => other === name && sourceInputs[h] !== sourceInputs[g])) {
+        displayNames[g] = `${path.basename(inputPaths[sourceInputs[g]])} (${name})`;
+      }
+    });
+
+    onProgress({ type: 'stage', stage: 'analyze' });
+    const analyses = [];
+    const analyzed = [];
+    for (let i = 0, g = 0; i < selected.length; i += 1) {
+      const bg = bgcodes[i];
+      const metadata = bg ? [...bg.fileMetadata, ...bg.printerMetadata, ...bg.printMetadata, ...bg.slicerMetadata] : [];
+      for (let k = 0; k < selected[i].length; k += 1, g += 1) {
+        const archive = archives[i];
+        const entry = archive && !extract ? archive.entries.find((e) => e.name === `${archive.metadataFolder}/${selected[i][k]}`) : null;
+        analyzed.push(entry ? () => openZipEntry(inputPaths[i], entry) : gcodePaths[g]);
+        analyses.push(await analyzeGcodeFile(analyzed[g], { metadata }));
+      }
+    }
+
+    // A 3mf-looper output is looped again from its first loop, restored from the markers (see src/looped.js)
+    const looped = [];
+    for (let g = 0; g < analyses.length; g += 1) {
+      looped.push(null);
+      const layout = analyses[g].looped;
+      if (!layout || !restoreLooped) continue;
+      const unit = loopedUnit(layout);
+      if (!unit) {
+        warn(`"${displayNames[g]}" was made by 3mf-looper from several files printed one after the other: they can't be told apart, it is looped as it is.`);
+        continue;
+      }
+      const unitPath = path.join(tempRoot, `looped-${g + 1}.gcode`);
+      await writeLoopedUnit(analyzed[g], unit, unitPath);
+      const between = await readLoopedBetween(analyzed[g], layout);
+      warn(`"${displayNames[g]}" was made by 3mf-looper (${layout.loops} loops of ${unit.names.join(', ')}): its first loop is used instead of the whole file.`);
+      if (unit.sweep) warn(`"${displayNames[g]}" was a sweep: its first loop's settings (${unit.sweep}) are kept.`);
+      const restored = await analyzeGcodeFile(unitPath);
+      const whole = analyses[g];
+      // The summary comments of a first loop of several copies describe one copy each, and binary G-code keeps
+      // its summary in the metadata: the looped file's totals are shared out instead, all loops being alike
+      if (unit.copies > 1 || bgcodes[sourceInputs[g]]) {
+        if (restored.sources.time !== 'm73') {
+          restored.minutes = whole.minutes / layout.loops;
+          restored.sources.time = whole.sources.time;
+        }
+        restored.filaments = whole.filaments.map((grams) => grams / layout.loops);
+        restored.grams = whole.grams / layout.loops;
+        restored.sources.filament = whole.sources.filament;
+      }
+      restored.slicer = restored.slicer || whole.slicer;
+      restored.printer = { ...whole.printer, ...restored.printer };
+      analyses[g] = restored;
+      looped[g] = {
+        loops: layout.loops,
+        files: unit.names,
+        trim: layout.trim,
+        loopStatus: layout.loopStatus,
+        minutes: whole.minutes,
+        grams: whole.grams,
+        bytes: (await fsp.stat(unitPath)).size,
+      };
+      // Trimmed copies lose the slicer's summary: the totals are worked out again from the restored loop
+      if (layout.trim && unit.copies === 1 && whole.sources.filament !== 'summary') {
+        const costs = loopCosts([restored], true, [1]);
+        looped[g].grams = costs.fixed.grams + costs.perLoop.grams * layout.loops;
+      }
+      looped[g].between = between && layout.trim ? untrimmedBetweenBlock(between, analyses[g].sections || {}) : between;
+      gcodePaths[g] = unitPath;
+      displayNames[g] = unit.name;
+    }
+    analyses.forEach((a, i) => {
+      const name = displayNames[i];
+      if (a.sources.time === 'moves') warn(`No print time found in "${name}", ${formatDuration(a.minutes)} was estimated from the moves (acceleration ignored, real prints take longer).`);
+      else if (a.sources.time === 'none') warn(`No print time found in "${name}", it counts as 0 minutes.`);
+      if (a.sources.filament === 'moves') warn(`No filament usage found in "${name}", ${a.grams.toFixed(2)} g was computed from the extrusion moves.`);
+      else if (a.sources.filament === 'none') warn(`No filament usage found in "${name}", it counts as 0 g.`);
+    });
+
+    // What each input was sliced for: a .3mf's project settings, over its first plate's config comments
+    const printers = [];
+    for (let i = 0, g = 0; i < inputPaths.length; g += selected[i].length, i += 1) {
+      const archive = archives[i];
+      const settings = archive && archive.entries.find((e) => e.name === `${archive.metadataFolder}/project_settings.config`);
+      const project = settings ? printerFromProjectSettings((await readZipEntry(inputPaths[i], settings)).toString('utf8')) : {};
+      printers.push({ ...analyses[g].printer, ...project });
+    }
+
+    const sizeMaps = [];
+    for (let i = 0; i < inputPaths.length; i += 1) {
+      if (formats[i] === '3mf') {
+        sizeMaps.push(await getTopLevelGcodeSizes(inputPaths[i]));
+        continue;
+      }
+      const uncompressedSize = (await fsp.stat(sourcePaths[i])).size;
+      const compressedSize = bgcodes[i] ? bgcodes[i].gcodeCompressedBytes : uncompressedSize;
+      sizeMaps.push({ [selected[i][0]]: { uncompressedSize, compressedSize } });
+    }
+    // A restored first loop takes the place of its looped plate, compressed in the same proportion
+    let firstZipSize = (await fsp.stat(inputPaths[0])).size;
+    const plateNames = selected.flat();
+    looped.forEach((l, g) => {
+      if (!l) return;
+      const meta = sizeMaps[sourceInputs[g]][plateNames[g]];
+      const compressedSize = meta.uncompressedSize > 0 ? Math.ceil((l.bytes * meta.compressedSize) / meta.uncompressedSize) : l.bytes;
+      if (sourceInputs[g] === 0 && formats[0] === '3mf') firstZipSize -= meta.compressedSize - compressedSize;
+      meta.uncompressedSize = l.bytes;
+      meta.compressedSize = compressedSize;
+    });
+
+    return {
+      cwd,
+      tempRoot,
+      inputPaths,
+      formats,
+      bgcodes,
+      candidates,
+      selected,
+      archives,
+      gcodePaths,
+      displayNames,
+      weights,
+      analyses,
+      looped,
+      maxZ: analyses.reduce((max, a) => Math.max(max, a.maxZ || 0), 0),
+      printers,
+      sizeMaps,
+      firstZipSize,
+      warnings,
+      onProgress,
+      extracted: extract,
+      written: false,
+    };
+  } catch (e) {
+    await safeRm(tempRoot);
+    throw e;
+  }
+}
+
+function parseSpec(spec) {
+  const loopSpec = typeof spec === 'object' && spec !== null ? spec : parseLoopSpecifier(spec);
+  if (!loopSpec || loopSpec.type === 'invalid') {
+    throw new InvalidSpecError('Invalid loop specifier. Use a count (e.g., 5), time (e.g., 2h), grams (e.g., 100g), grams per filament slot (e.g., 1=250g,3=1kg), a clock time (until 07:30) or several of them (12h,800g).');
+  }
+  return loopSpec;
+}
+
+// Output container: the first input's unless asked otherwise. A .gcode.3mf is built from the first input's archive,
+// or packed from scratch when the first input is G-code (see src/pack.js).
+function resolveFormat(job, format) {
+  const resolved = format || job.formats[0];
+  if (!OUTPUT_EXTENSIONS[resolved]) throw new InputError(`Unknown output format "${format}". Use 3mf, gcode or bgcode.`);
+  return resolved;
+}
+
+function estimateOutputSize(job, format, repetitions) {
+  if (format === '3mf' && job.formats[0] === '3mf') return estimateFinalSize(job.firstZipSize, job.sizeMaps, job.selected, repetitions, job.weights);
+  if (format === '3mf') return estimateGcodeSize(job.sizeMaps, job.selected, repetitions, DEFLATE_DEFAULT_RATIO, job.weights);
+  if (format === 'gcode') return estimateGcodeSize(job.sizeMaps, job.selected, repetitions, 1, job.weights);
+  // Binary output compresses about as well as the binary inputs did
+  let uncompressed = 0;
+  let compressed = 0;
+  job.bgcodes.forEach((bg, i) => {
+    if (!bg) return;
+    const meta = job.sizeMaps[i][job.selected[i][0]];
+    uncompressed += meta.uncompressedSize;
+    compressed += meta.compressedSize;
+  });
+  return estimateGcodeSize(job.sizeMaps, job.selected, repetitions, uncompressed > 0 ? compressed / uncompressed : BGCODE_DEFAULT_RATIO, job.weights);
+}
+
+// The looped G-code before compression, for the zip entry it is streamed to
+function loopedGcodeBytes(job, plan) {
+  return estimateGcodeSize(job.sizeMaps, job.selected, plan.repetitions, 1, job.weights);
+}
+
+// How many loops fit the target, and what they cost. Does not touch the disk.
+// options.spec: "5", "2h", "100g", "until 07:30", "12h,800g" or a parsed specifier; options.trim: print start/end sequences once
+// options.startAt: when the print starts (defaults to now), for clock targets and the finish time
+// options.format: '3mf', 'gcode' or 'bgcode' output, defaults to the first input's format
+// options.schedule: 'interleaved' (default) or 'sequential' order of the weighted copies, see src/schedule.js
+// options.between: the between-loops template writeJob will get, for the pre-flight checks (see src/preflight.js)
+// options.noEject: nothing between loops was asked for (--eject none), which trim needs without a between template
+// options.strict: throw a PreflightError instead of warning when a pre-flight check fails
+// options.maxPartHeight: the tallest parts the between block can push off (mm), for the pre-flight checks
+// options.colors: "1,3" (AMS slots) or "red,blue" (spools changed by hand), one per loop in turn, see src/colors.js
+// options.sweep: "nozzle=210:240:5" or several of them, a setting changed from loop to loop, see src/sweep.js
+function planJob(job, options = {}) {
+  const loopSpec = parseSpec(options.spec);
+  const trim = !!options.trim;
+  const format = resolveFormat(job, options.format);
+  const schedule = resolveSchedule(options.schedule);
+  const colorSchedule = parseColorSchedule(options.colors);
+  const sweep = parseSweeps(options.sweep);
+  const startAt = options.startAt || new Date();
+  const costs = loopCosts(job.analyses, trim, job.weights);
+  const warnings = [];
+  let limits = null;
+  const slotsSpec = loopSpec.type === 'all' ? loopSpec.parts.find((part) => part.type === 'slots') : loopSpec;
+  if (slotsSpec && slotsSpec.type === 'slots' && colorSchedule) {
+    throw new InvalidSpecError('Filament targets per slot (1=250g) can\'t be combined with --colors: the slots change from loop to loop.');
+  }
+  if (slotsSpec && slotsSpec.type === 'slots') {
+    limits = slotLimits(slotsSpec, costs.perLoop, costs.fixed);
+    const unused = limits.filter((l) => !(l.perLoop > 0));
+    if (unused.length === limits.length) {
+      throw new InvalidSpecError(`None of the limited filament slots (${limits.map((l) => l.slot).join(', ')}) is used by these files.`);
+    }
+    unused.forEach((l) => warnings.push(`Filament slot ${l.slot} is not used by these files, its limit is ignored.`));
+  }
+  const repetitions = computeRepetitions(loopSpec, costs.perLoop, costs.fixed, startAt);
+  if (!Number.isInteger(repetitions) || repetitions < 1) {
+    throw new ZeroLoopsError(`Target yields 0 loops (per loop: ${costs.perLoop.minutes} min, ${costs.perLoop.grams.toFixed(2)} g). Increase target or add files.`);
+  }
+  if (trim) {
+    job.analyses.forEach((a, i) => {
+      if (!a.sections) warnings.push(`No start/end markers found in "${job.displayNames[i]}", it is copied whole in every loop.`);
+    });
+  }
+  const copies = job.weights.reduce((sum, w) => sum + w, 0) * repetitions;
+  // The end sequence trim leaves out may be all that cleared the bed: the next loop would print onto the parts
+  if (trim && copies > 1 && !options.between && !options.noEject) {
+    throw new InputError('--trim leaves out the end sequence, which may be what clears the bed: add --eject or --between so the next loop does not print onto the parts, or --eject none if the bed is cleared another way.');
+  }
+  const preflight = copies > 1 ? preflightChecks(job, { between: options.between || null, trim, maxPartHeight: options.maxPartHeight }) : [];
+  if (preflight.length && options.strict) {
+    throw new PreflightError(`Pre-flight check${preflight.length > 1 ? 's' : ''} failed: ${preflight.map((p) => p.message).join(' ')}`, preflight);
+  }
+  preflight.forEach((p) => warnings.push(p.message));
+  const totalMinutes = costs.fixed.minutes + costs.perLoop.minutes * repetitions;
+  const totalGrams = costs.fixed.grams + costs.perLoop.grams * repetitions;
+  const loops = schedule === 'sequential' ? copies : repetitions;
+  let usage = null;
+  if (colorSchedule) {
+    // A loop of a sequential job is one copy of one file
+    const sequence = buildSequence(job.weights, repetitions, schedule);
+    const copySlots = job.analyses.map((a) => loopCosts([a], trim, [1]).perLoop.slots);
+    const slotsOfLoop = schedule === 'sequential' ? (loop) => copySlots[sequence[loop - 1].source] : () => costs.perLoop.slots;
+    usage = colorUsage(colorSchedule, loops, slotsOfLoop, costs.fixed.slots);
+  }
+  if ((usage && loops > 1) || sweep) {
+    job.analyses.forEach((a, i) => {
+      if (!a.sections) warnings.push(`No start sequence found in "${job.displayNames[i]}": what changes from loop to loop is set before it, the nozzle may still be cold.`);
+    });
+  }
+  (sweep || []).forEach((s) => {
+    if (s.values.length > loops) warnings.push(`The ${s.name} sweep has ${s.values.length} values, only the first ${loops} are printed.`);
+    else if (s.values.length < loops) warnings.push(`The ${s.name} sweep has ${s.values.length} values for ${loops} loops: they start over from loop ${s.values.length + 1}.`);
+  });
+  // Used slots only, numbered from 1; with colours, perLoop is the average over the loops
+  const slots = [];
+  const slotTotals = usage ? usage.slots : costs.perLoop.slots.map((perLoop, i) => (costs.fixed.slots[i] || 0) + perLoop * repetitions);
+  slotTotals.forEach((total, i) => {
+    const perLoop = usage ? (total - (usage.fixed[i] || 0)) / repetitions : costs.perLoop.slots[i];
+    if (total > 0) slots.push({ slot: i + 1, perLoop, totalGrams: total });
+  });
+  const limiting = limits ? limits.find((l) => l.perLoop > 0 && l.repetitions === repetitions) : null;
+  return {
+    loopSpec,
+    trim,
+    format,
+    schedule,
+    repetitions,
+    // Loops in the output: one per round, or one per copy when sequential
+    loops,
+    perLoop: costs.perLoop,
+    fixed: costs.fixed,
+    totalMinutes,
+    totalGrams,
+    slots,
+    colorSchedule,
+    colors: usage ? usage.colors : null,
+    sweep,
+    limitingSlot: limiting ? limiting.slot : null,
+    saved: trim ? trimSavings(costs, repetitions) : null,
+    startAt,
+    finishAt: new Date(startAt.getTime() + totalMinutes * 60000),
+    constraints: targetUsage(loopSpec, costs.perLoop, costs.fixed, repetitions, startAt),
+    estimatedBytes: estimateOutputSize(job, format, repetitions),
+    preflight,
+    warnings,
+  };
+}
+
+// Options for streamRepeatFiles: M73 progress over the whole job, and with trim, start/end sections
+// are printed once and the between block reheats
+function streamOptions(job, plan, between, warn) {
+  // A single copy keeps the source's own M73 lines
+  const single = plan.repetitions === 1 && job.analyses.length === 1 && job.weights[0] === 1;
+  const minutes = single ? null : job.analyses.map((a) => a.minutes);
+  const colors = plan.colorSchedule ? {
+    schedule: plan.colorSchedule,
+    changes: plan.colorSchedule.map((color) => colorChangeGcode(color, { slicer: job.analyses[0].slicer, colorChange: job.printers[0].colorChange })),
+  } : null;
+  const loopChanges = { bodyStarts: job.analyses.map((a) => (a.sections ? a.sections.bodyStart : null)), colors, sweep: plan.sweep, slicers: job.analyses.map((a) => a.slicer) };
+  if (!plan.trim) return { between, maxZ: job.maxZ, minutes, ...loopChanges };
+  const first = job.analyses[0].sections;
+  const temps = first ? { bedTemp: first.bedTemp, nozzleTemp: first.nozzleTemp } : {};
+  if (!(temps.bedTemp > 0 && temps.nozzleTemp > 0)) {
+    warn('Could not find the start temperatures, the block between loops will not reheat the bed and nozzle.');
+  }
+  return {
+    between: trimmedBetweenTemplate(between, temps),
+    maxZ: job.maxZ,
+    sections: job.analyses.map((a) => a.sections),
+    temps,
+    minutes,
+    ...loopChanges,
+  };
+}
+
+// " (S1 25g, S3 7g)" for jobs that use several filament slots, empty otherwise
+function slotsLabel(plan) {
+  if (plan.slots.length < 2) return '';
+  return ` (${plan.slots.map((s) => `S${s.slot} ${formatMass(Math.ceil(s.totalGrams))}`).join(', ')})`;
+}
+
+// Output file name from a template: {count}, {duration}, {minutes}, {grams}, {slots}, {name} and {date}.
+// Characters that are not allowed in file names are replaced, the format's extension is added when missing.
+function renderOutputName(template, job, plan) {
+  const firstInputPath = job.inputPaths[0];
+  const fileName = path.parse(firstInputPath).name.replace(/\.(b?gcode)$/i, '');
+  // Looping a 3mf-looper output again names the result after the original
+  const coreName = (job.looped[0] ? loopedOriginalName(fileName) : fileName) + platesSuffix(job.selected[0], job.candidates[0].length);
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const values = {
+    count: plan.repetitions,
+    duration: formatDuration(plan.totalMinutes),
+    minutes: Math.round(plan.totalMinutes),
+    grams: formatMass(Math.ceil(plan.totalGrams)),
+    slots: slotsLabel(plan),
+    name: coreName,
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+  };
+  const unknown = [];
+  const rendered = template.replace(/\{(\w+)\}/g, (m, key) => {
+    if (values[key] == null) unknown.push(m);
+    return values[key] != null ? String(values[key]) : m;
+  });
+  if (unknown.length) throw new InputError(`Unknown name template token(s): ${unknown.join(', ')}. Use {count}, {duration}, {minutes}, {grams}, {slots}, {name} or {date}.`);
+  const safe = rendered.replace(/[\/\\:*?"<>|]/g, '-').trim();
+  if (!safe) throw new InputError('The name template renders an empty file name.');
+  const extension = OUTPUT_EXTENSIONS[plan.format];
+  const present = plan.format === '3mf' ? /\.3mf$/i.test(safe) : safe.toLowerCase().endsWith(extension);
+  return present ? safe : `${safe}${extension}`;
+}
+
+function resolveCompression(level) {
+  if (level == null || level === '') return DEFAULT_COMPRESSION;
+  const value = Number(level);
+  if (!Number.isInteger(value) || value < 0 || value > 9) throw new InputError(`Compression must be a level from 0 (none) to 9 (smallest), got "${level}".`);
+  return value;
+}
+
+// "name.gcode.3mf", or "name (2).gcode.3mf" when that file exists
+async function freeOutputPath(outputPath, format) {
+  const extension = OUTPUT_EXTENSIONS[format];
+  const hasExtension = outputPath.toLowerCase().endsWith(extension);
+  const stem = hasExtension ? outputPath.slice(0, -extension.length) : outputPath;
+  const suffix = hasExtension ? outputPath.slice(-extension.length) : '';
+  for (let n = 1; ; n += 1) {
+    const candidate = n === 1 ? outputPath : `${stem} (${n})${suffix}`;
+    if (!(await safeStat(candidate))) return candidate;
+  }
+}
+
+// Write the looped G-code in plan.format: into the first input's archive for 3mf (a new archive when the first
+// input is G-code), or as a .gcode / .bgcode file.
+// A job can only be written once.
+// options.outputDir: defaults to the first input's folder; options.outputPath overrides the whole path
+// options.nameTemplate: file name inside outputDir, see renderOutputName()
+// options.between: G-code template between loops (see loadBetweenTemplate)
+// options.loopStatus: show "Loop i/N" on the printer's screen (M117) at the start of every loop
+// options.maxOutputBytes: throw OutputTooLargeError instead of writing a bigger estimated output
+// options.keepExisting: never replace a file, add " (2)", " (3)"... to the name instead
+// options.compression: deflate level of the looped G-code in a .gcode.3mf, 0 (stored, fastest) to 9 (smallest)
+// options.markers: false writes the G-code without the 3mf-looper comments (see unloop3mf)
+// options.thumbnail: PNG file shown by the printer for a .gcode.3mf packed around G-code (default: the G-code's own)
+async function writeJob(job, plan, options = {}) {
+  const { between = null, loopStatus = false, markers = true, maxOutputBytes = null, nameTemplate = DEFAULT_NAME_TEMPLATE } = options;
+  const compression = resolveCompression(options.compression);
+  const onProgress = options.onProgress || job.onProgress;
+  if (job.written) throw new LooperError('This job was already written, prepare a new one.');
+  if (!job.extracted) throw new LooperError('This job was prepared with extract: false, it can be planned but not written.');
+  const outputDir = options.outputDir ? path.resolve(job.cwd, options.outputDir) : path.dirname(job.inputPaths[0]);
+  let outputPath = options.outputPath ? path.resolve(job.cwd, options.outputPath) : path.join(outputDir, renderOutputName(nameTemplate, job, plan));
+  if (options.keepExisting) outputPath = await freeOutputPath(outputPath, plan.format);
+  if (maxOutputBytes != null && plan.estimatedBytes && plan.estimatedBytes > maxOutputBytes) {
+    throw new OutputTooLargeError(`Estimated size ~ ${Math.ceil(plan.estimatedBytes / (1024 * 1024))} MB exceeds the limit of ${Math.ceil(maxOutputBytes / (1024 * 1024))} MB.`, plan.estimatedBytes);
+  }
+  job.written = true;
+
+  const warnings = [...plan.warnings];
+  const warn = (message) => {
+    warnings.push(message);
+    onProgress({ type: 'warning', message });
+  };
+  plan.warnings.forEach((message) => onProgress({ type: 'warning', message }));
+
+  onProgress({ type: 'stage', stage: 'write' });
+  const stream = async (destPath, extra = {}) => {
+    const streamed = await streamRepeatFiles(job.gcodePaths, destPath, plan.repetitions, job.displayNames, {
+      ...streamOptions(job, plan, between, warn),
+      weights: job.weights,
+      schedule: plan.schedule,
+      loopStatus,
+      markers,
+      ...extra,
+      onProgress,
+    });
+    // The fan has no command of its own at the start of a loop: without one in the copies, every loop prints the same
+    streamed.unswept.forEach((name) => warn(`The ${name} sweep changed nothing: the copies have no part cooling fan command (M106) to set to the loop's value.`));
+    return streamed;
+  };
+  // The sidecars of a 3mf-looper output describe its whole job
+  const first = job.looped[0] || job.analyses[0];
+  const scales = {
+    timeScale: first.minutes > 0 ? plan.totalMinutes / first.minutes : null,
+    weightScale: first.grams > 0 ? plan.totalGrams / first.grams : null,
+  };
+
+  // A .gcode.3mf is read back before it is kept, see src/verify.js
+  const verify = (partPath, expected) => {
+    onProgress({ type: 'stage', stage: 'verify' });
+    return verifyZipOutput(partPath, { ...expected, loops: markers ? plan.loops : null });
+  };
+
+  await fsp.mkdir(path.dirname(outputPath), { recursive: true });
+  const thumbnail = options.thumbnail ? path.resolve(job.cwd, options.thumbnail) : null;
+  const writers = { '3mf': job.archives[0] ? write3mf : writePacked3mf, gcode: writeGcode, bgcode: writeBinaryGcode };
+  const bytes = await writers[plan.format](job, plan, outputPath, { stream, scales, warn, onProgress, compression, thumbnail, verify });
+  const realBytes = (await fsp.stat(outputPath)).size;
+  onProgress({ type: 'stage', stage: 'done' });
+
+  return {
+    outputPath,
+    repetitions: plan.repetitions,
+    loops: plan.loops,
+    schedule: plan.schedule,
+    files: job.displayNames,
+    weights: job.weights,
+    perLoop: { minutes: plan.perLoop.minutes, grams: plan.perLoop.grams },
+    total: { minutes: plan.totalMinutes, grams: plan.totalGrams },
+    slots: plan.slots.map((s) => ({ slot: s.slot, perLoop: s.perLoop, grams: s.totalGrams })),
+    colors: plan.colors,
+    sweep: plan.sweep,
+    limitingSlot: plan.limitingSlot,
+    saved: plan.saved,
+    finishAt: plan.finishAt,
+    constraints: plan.constraints,
+    preflight: plan.preflight,
+    gcodeBytes: bytes,
+    estimatedBytes: plan.estimatedBytes,
+    realBytes,
+    warnings: [...job.warnings, ...warnings],
+  };
+}
+
+// The first input's archive with its plate replaced by the looped G-code, written zip to zip: the looped
+// G-code is compressed as it is generated and the other entries are copied without recompressing them
+async function write3mf(job, plan, outputPath, { stream, scales, warn, onProgress, compression, verify }) {
+  const inputPath = job.inputPaths[0];
+  const { entries, metadataFolder } = job.archives[0];
+  const folderName = (entry) => (entry.name.startsWith(`${metadataFolder}/`) ? entry.name.slice(metadataFolder.length + 1) : null);
+  const inFolder = (entry) => folderName(entry) != null && !folderName(entry).includes('/');
+  const outputGcodeName = job.selected[0][0];
+  const gcodeEntry = entries.find((entry) => inFolder(entry) && folderName(entry) === outputGcodeName);
+
+  // Sidecars of the first input (MD5, slice_info.config, plate JSON) are small: rewritten in memory
+  const texts = new Map();
+  for (const entry of entries.filter((e) => inFolder(e) && /\.(md5|config|json)$/i.test(e.name))) {
+    texts.set(folderName(entry), (await readZipEntry(inputPath, entry)).toString('utf8'));
+  }
+  const folder = createMetadataFolder(entries.filter(inFolder).map(folderName), texts);
+
+  return writeThroughPart(outputPath, async (partPath) => {
+    const zip = createZipWriter(partPath, { level: compression });
+    try {
+      const looped = await zip.openEntry(gcodeEntry.name, { estimatedBytes: loopedGcodeBytes(job, plan) });
+      const { md5, bytes } = await stream(looped.stream);
+      await looped.done;
+
+      // The sidecars then describe the looped G-code
+      updatePlateMetadata(folder, outputGcodeName, { md5, ...scales }).forEach(warn);
+      removeOtherPlates(folder, outputGcodeName);
+
+      onProgress({ type: 'stage', stage: 'zip' });
+      const rest = entries.filter((e) => e !== gcodeEntry && !(inFolder(e) && folder.removed.has(folderName(e))));
+      const totalBytes = rest.reduce((sum, e) => sum + e.compressedSize, 0);
+      let processedBytes = 0;
+      for (const entry of rest) {
+        if (inFolder(entry) && folder.changed.has(folderName(entry))) await zip.addEntry(entry.name, folder.changed.get(folderName(entry)));
+        else await zip.copyEntry(inputPath, entry);
+        processedBytes += entry.compressedSize;
+        onProgress({ type: 'zip', processedBytes, totalBytes });
+      }
+      await zip.finish();
+      await verify(partPath, { entries: [gcodeEntry.name, ...rest.map((e) => e.name)], gcodeName: gcodeEntry.name, gcodeBytes: bytes });
+      return bytes;
+    } catch (e) {
+      await zip.abort();
+      throw e;
+    }
+  });
+}
+
+// A .gcode.3mf made from scratch for a G-code first input (see src/pack.js): the sidecars give the plan's totals
+// and the thumbnail is the given PNG or the largest PNG the first input holds
+async function writePacked3mf(job, plan, outputPath, { stream, warn, compression, thumbnail, verify }) {
+  const bg = job.bgcodes[0];
+  const image = thumbnail
+    ? await readThumbnailFile(thumbnail)
+    : pickThumbnail(bg ? bg.thumbnails : await readTextThumbnails(job.gcodePaths[0]));
+  if (!image) warn('The G-code has no PNG thumbnail: the printer shows none for this file. Add one with --thumbnail.');
+
+  return writeThroughPart(outputPath, async (partPath) => {
+    const zip = createZipWriter(partPath, { level: compression });
+    try {
+      const files = packedFiles({ thumbnail: image });
+      for (const [name, content] of files) await zip.addEntry(name, content);
+      const gcode = await zip.openEntry(`${PACK_FOLDER}/${PACK_GCODE_NAME}`, { estimatedBytes: loopedGcodeBytes(job, plan) });
+      const { md5, bytes } = await stream(gcode.stream);
+      await gcode.done;
+      const sidecars = packedSidecars({
+        md5,
+        minutes: plan.totalMinutes,
+        grams: plan.totalGrams,
+        slots: plan.slots.map((s) => ({ slot: s.slot, grams: s.totalGrams })),
+        nozzle: job.printers[0].nozzle,
+      });
+      for (const [name, content] of sidecars) await zip.addEntry(name, content);
+      await zip.finish();
+      const gcodeName = `${PACK_FOLDER}/${PACK_GCODE_NAME}`;
+      const names = [...files, ...sidecars].map(([name]) => name);
+      await verify(partPath, { entries: [...names, gcodeName], gcodeName, gcodeBytes: bytes });
+      return bytes;
+    } catch (e) {
+      await zip.abort();
+      throw e;
+    }
+  });
+}
+
+// Looped G-code written as it is streamed, through a ".part" file so a failed run leaves no half output
+async function writeThroughPart(outputPath, writeTo) {
+  const partPath = `${outputPath}.part`;
+  try {
+    const result = await writeTo(partPath);
+    await fsp.rename(partPath, outputPath);
+    return result;
+  } catch (e) {
+    await safeRm(partPath);
+    throw e;
+  }
+}
+
+function warnUnscaled(scales, warn) {
+  if (scales.timeScale == null) warn('Could not read the print time of the first file, the printer may show a wrong duration.');
+  if (scales.weightScale == null) warn('Could not read the filament weight of the first file, the printer may show a wrong weight.');
+}
+
+// Plain text; a binary first input gives its thumbnails and metadata back as comments
+async function writeGcode(job, plan, outputPath, { stream, scales, warn }) {
+  const bg = job.bgcodes[0];
+  let extra = {};
+  if (bg) {
+    warnUnscaled(scales, warn);
+    extra = {
+      prefix: metadataComments(scaleBgcodeMetadata(bg.printerMetadata, scales)) + thumbnailComments(bg.thumbnails),
+      suffix: '\n' + metadataComments(scaleBgcodeMetadata(bg.printMetadata, scales)) + slicerConfigComments(bg.slicerMetadata),
+    };
+  }
+  const { bytes } = await writeThroughPart(outputPath, (partPath) => stream(partPath, extra));
+  return bytes;
+}
+
+// Binary G-code keeps the first input's metadata and thumbnails (scaled to the looped totals);
+// from a text or 3MF input the totals are written and the G-code header thumbnails are converted
+async function writeBinaryGcode(job, plan, outputPath, { stream, scales, warn, onProgress }) {
+  const loopedPath = path.join(job.tempRoot, 'looped.gcode');
+  const { bytes } = await stream(loopedPath);
+  const bg = job.bgcodes[0];
+  let meta;
+  if (bg) {
+    warnUnscaled(scales, warn);
+    meta = {
+      fileMetadata: bg.fileMetadata.length ? bg.fileMetadata : undefined,
+      printerMetadata: scaleBgcodeMetadata(bg.printerMetadata, scales),
+      thumbnails: bg.thumbnails,
+      printMetadata: scaleBgcodeMetadata(bg.printMetadata, scales),
+      slicerMetadata: bg.slicerMetadata,
+    };
+  } else {
+    const totals = [
+      ['filament used [g]', plan.totalGrams.toFixed(2)],
+      ['estimated printing time (normal mode)', formatSlicerDuration(plan.totalMinutes)],
+    ];
+    meta = { printerMetadata: totals, printMetadata: totals, thumbnails: await readTextThumbnails(job.gcodePaths[0]) };
+  }
+  onProgress({ type: 'stage', stage: 'encode' });
+  await writeThroughPart(outputPath, (partPath) => writeBgcode(loopedPath, partPath, meta));
+  await safeRm(loopedPath);
+  return bytes;
+}
+
+async function disposeJob(job) {
+  if (job && job.tempRoot) await safeRm(job.tempRoot);
+}
+
+// One call: analyze the inputs, fit the target and write the looped .gcode.3mf, .gcode or .bgcode.
+// Never prompts or prints; progress and warnings go to options.onProgress.
+// options: { inputs, spec, trim, format, schedule, colors, sweep, eject, betweenFile, ejectGcode, cooldownGcode, maxPartHeight, strict,
+//   loopStatus, outputDir, outputPath, nameTemplate, keepExisting, compression, largeInputBytes, maxOutputBytes, cwd, onProgress }
+async function loop3mf(options = {}) {
+  const { cwd = process.cwd(), eject = null, betweenFile = null } = options;
+  parseSpec(options.spec);
+  const between = await loadBetweenTemplate({
+    preset: eject,
+    file: betweenFile ? path.resolve(cwd, betweenFile) : null,
+    gcode: options.ejectGcode,
+    cooldown: options.cooldownGcode,
+  });
+  const job = await prepareJob({ inputs: options.inputs, cwd, largeInputBytes: options.largeInputBytes, onProgress: options.onProgress });
+  try {
+    const plan = planJob(job, {
+      spec: options.spec,
+      trim: options.trim,
+      noEject: eject === 'none',
+      format: options.format,
+      schedule: options.schedule,
+      colors: options.colors,
+      sweep: options.sweep,
+      between,
+      strict: options.strict,
+      maxPartHeight: options.maxPartHeight,
+    });
+    return await writeJob(job, plan, {
+      between,
+      loopStatus: options.loopStatus,
+      outputDir: options.outputDir,
+      outputPath: options.outputPath,
+      nameTemplate: options.nameTemplate,
+      keepExisting: options.keepExisting,
+      compression: options.compression,
+      maxOutputBytes: options.maxOutputBytes,
+    });
+  } finally {
+    await disposeJob(job);
+  }
+}
+
+// The restored first loop of a job's only input, made by 3mf-looper
+function loopedInput(job) {
+  const name = path.basename(job.inputPaths[0]);
+  if (job.inputPaths.length !== 1 || job.analyses.length !== 1) throw new InputError('Give a single 3mf-looper output (one plate).');
+  if (job.looped[0]) return job.looped[0];
+  if (job.analyses[0].looped) throw new InputError(`"${name}" prints several files one after the other: they can't be told apart to loop them again.`);
+  throw new InputError(`"${name}" has no 3mf-looper markers: it was not made by 3mf-looper.`);
+}
+
+// Print a 3mf-looper output a different number of times, without its original files: its first loop is repeated
+// with the trim, loop status and between-loops block it was made with (options.eject or options.betweenFile
+// replace the block). Never prompts or prints, like loop3mf.
+// options: { input, count, eject, betweenFile, outputDir, outputPath, nameTemplate, keepExisting, compression,
+//   maxOutputBytes, cwd, onProgress }
+async function reloop3mf(options = {}) {
+  const { cwd = process.cwd(), eject = null, betweenFile = null } = options;
+  const count = Number(options.count);
+  if (options.count == null || options.count === '' || !Number.isInteger(count) || count < 1) {
+    throw new InvalidSpecError(`The count must be a whole number of loops (1 or more), got "${options.count}".`);
+  }
+  const job = await prepareJob({ inputs: [options.input], cwd, onProgress: options.onProgress });
+  try {
+    const looped = loopedInput(job);
+    const between = eject || betweenFile
+      ? await loadBetweenTemplate({ preset: eject, file: betweenFile ? path.resolve(cwd, betweenFile) : null })
+      : looped.between;
+    const plan = planJob(job, { spec: String(count), trim: looped.trim, between, noEject: eject === 'none' });
+    return await writeJob(job, plan, {
+      between,
+      loopStatus: looped.loopStatus,
+      outputDir: options.outputDir,
+      outputPath: options.outputPath,
+      nameTemplate: options.nameTemplate,
+      keepExisting: options.keepExisting,
+      compression: options.compression,
+      maxOutputBytes: options.maxOutputBytes,
+    });
+  } finally {
+    await disposeJob(job);
+  }
+}
+
+// A 3mf-looper output back to a single copy of its first loop, without the 3mf-looper comments. Written next to
+// the input under the original name ("cube (2).gcode.3mf" when that file exists) unless outputPath says otherwise.
+// options: { input, outputDir, outputPath, compression, cwd, onProgress }
+async function unloop3mf(options = {}) {
+  const { cwd = process.cwd() } = options;
+  const job = await prepareJob({ inputs: [options.input], cwd, onProgress: options.onProgress });
+  try {
+    loopedInput(job);
+    const plan = planJob(job, { spec: '1' });
+    return await writeJob(job, plan, {
+      markers: false,
+      outputDir: options.outputDir,
+      outputPath: options.outputPath,
+      nameTemplate: '{name}',
+      keepExisting: !options.outputPath,
+      compression: options.compression,
+    });
+  } finally {
+    await disposeJob(job);
+  }
+}
+
+// Plain or binary G-code packed as it is into a printer-ready .gcode.3mf (see src/pack.js), to send to a printer
+// that only takes 3MF or to loop it like a sliced project. Written next to the input as "name.gcode.3mf"
+// ("name (2).gcode.3mf" when that file exists) unless outputPath says otherwise.
+// options: { input, thumbnail, outputDir, outputPath, compression, cwd, onProgress }
+async function pack3mf(options = {}) {
+  const { cwd = process.cwd() } = options;
+  const job = await prepareJob({ inputs: [options.input], cwd, looped: false, onProgress: options.onProgress });
+  try {
+    if (job.formats[0] === '3mf') throw new InputError(`"${path.basename(job.inputPaths[0])}" is already a .3mf project.`);
+    const plan = planJob(job, { spec: '1', format: '3mf' });
+    return await writeJob(job, plan, {
+      markers: false,
+      thumbnail: options.thumbnail,
+      outputDir: options.outputDir,
+      outputPath: options.outputPath,
+      nameTemplate: '{name}',
+      keepExisting: !options.outputPath,
+      compression: options.compression,
+    });
+  } finally {
+    await disposeJob(job);
+  }
+}
+
+// What the inputs hold and how many loops each target gives, without extracting or writing anything.
+// options: { inputs, specs: ['14h', '500g'], trim, format, schedule, colors, eject, betweenFile, ejectGcode, cooldownGcode, maxPartHeight,
+//   largeInputBytes, cwd, onProgress }
+// Returns { files, perLoop: { minutes, grams, slots }, targets, warnings } where files are the plates
+// ({ input, plate, name, weight, slicer, minutes, grams, slots, uncompressedBytes, compressedBytes, looped }) and targets
+// { spec, repetitions, loops, totalMinutes, totalGrams, slots, colors, limitingSlot, estimatedBytes, preflight, warnings },
+// with repetitions 0 and an error when a target is smaller than one loop
+async function inspectInputs(options = {}) {
+  const { specs = [], cwd = process.cwd(), eject = null, betweenFile = null } = options;
+  specs.forEach(parseSpec);
+  const between = await loadBetweenTemplate({ preset: eject, file: betweenFile ? path.resolve(cwd, betweenFile) : null, gcode: options.ejectGcode, cooldown: options.cooldownGcode });
+  const job = await prepareJob({ inputs: options.inputs, cwd, extract: false, largeInputBytes: options.largeInputBytes, onProgress: options.onProgress });
+  try {
+    const files = [];
+    for (let i = 0, g = 0; i < job.selected.length; i += 1) {
+      for (const name of job.selected[i]) {
+        const a = job.analyses[g];
+        const size = job.sizeMaps[i][name];
+        files.push({
+          input: job.inputPaths[i],
+          plate: job.formats[i] === '3mf' ? plateLabel(name) : null,
+          name: job.displayNames[g],
+          weight: job.weights[g],
+          slicer: a.slicer,
+          minutes: a.minutes,
+          grams: a.grams,
+          slots: a.filaments,
+          uncompressedBytes: size.uncompressedSize,
+          compressedBytes: size.compressedSize,
+          looped: job.looped[g] ? { loops: job.looped[g].loops, files: job.looped[g].files, minutes: job.looped[g].minutes, grams: job.looped[g].grams } : null,
+        });
+        g += 1;
+      }
+    }
+    const { perLoop } = loopCosts(job.analyses, !!options.trim, job.weights);
+    const targets = specs.map((spec) => {
+      let plan;
+      try {
+        plan = planJob(job, {
+          spec,
+          trim: options.trim,
+          format: options.format,
+          schedule: options.schedule,
+          colors: options.colors,
+          between,
+          noEject: eject === 'none',
+          maxPartHeight: options.maxPartHeight,
+        });
+      } catch (e) {
+        if (!(e instanceof ZeroLoopsError)) throw e;
+        return { spec: String(spec), repetitions: 0, error: e.message };
+      }
+      return {
+        spec: String(spec),
+        repetitions: plan.repetitions,
+        loops: plan.loops,
+        totalMinutes: plan.totalMinutes,
+        totalGrams: plan.totalGrams,
+        finishAt: plan.finishAt,
+        constraints: plan.constraints,
+        slots: plan.slots.map((s) => ({ slot: s.slot, perLoop: s.perLoop, grams: s.totalGrams })),
+        colors: plan.colors,
+        limitingSlot: plan.limitingSlot,
+        estimatedBytes: plan.estimatedBytes,
+        preflight: plan.preflight,
+        warnings: plan.warnings,
+      };
+    });
+    return { files, perLoop: { minutes: perLoop.minutes, grams: perLoop.grams, slots: perLoop.slots }, targets, warnings: job.warnings };
+  } finally {
+    await disposeJob(job);
+  }
+}
+
+module.exports = {
+  DEFAULT_NAME_TEMPLATE,
+  loop3mf,
+  reloop3mf,
+  unloop3mf,
+  pack3mf,
+  inspectInputs,
+  prepareJob,
+  planJob,
+  writeJob,
+  disposeJob,
+  listPlates,
+  listEjectPresets,
+  loadBetweenTemplate,
+  registerSlicer,
+  loadPrinters,
+  sendToPrinter,
+  parseLoopSpecifier,
+  formatDuration,
+  formatMass,
+  ...errors,
+};
@@ -0,0 +1,149 @@
+
+const { parseArgs } = require('util');
+const { InputError } = require('./errors');
+
+// Options of the one-line command: 3mf-looper [options] <loop value> <files...>
+const CLI_OPTIONS = {
+  eject: { type: 'string' },
+  between: { type: 'string' },
+  trim: { type: 'boolean' },
+  'loop-status': { type: 'boolean' },
+  schedule: { type: 'string' },
+  colors: { type: 'string' },
+  sweep: { type: 'string', multiple: true },
+  format: { type: 'string' },
+  compression: { type: 'string' },
+  strict: { type: 'boolean' },
+  profile: { type: 'string' },
+  yes: { type: 'boolean', short: 'y' },
+  'no-open': { type: 'boolean' },
+  output: { type: 'string', short: 'o' },
+  'out-dir': { type: 'string' },
+  'name-template': { type: 'string' },
+  send: { type: 'string' },
+  start: { type: 'boolean' },
+  printers: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Options of 3mf-looper batch [options] <jobs.json|jobs.yaml>
+const BATCH_OPTIONS = {
+  concurrency: { type: 'string', short: 'j' },
+  yes: { type: 'boolean', short: 'y' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Options of 3mf-looper watch <dir> --spec 12h --out <dir>
+const WATCH_OPTIONS = {
+  spec: { type: 'string' },
+  out: { type: 'string' },
+  eject: { type: 'string' },
+  between: { type: 'string' },
+  trim: { type: 'boolean' },
+  'loop-status': { type: 'boolean' },
+  format: { type: 'string' },
+  compression: { type: 'string' },
+  strict: { type: 'boolean' },
+  'name-template': { type: 'string' },
+  profile: { type: 'string' },
+  interval: { type: 'string' },
+  settle: { type: 'string' },
+  once: { type: 'boolean' },
+  yes: { type: 'boolean', short: 'y' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Options of 3mf-looper inspect <files...> [targets...]
+const INSPECT_OPTIONS = {
+  trim: { type: 'boolean' },
+  schedule: { type: 'string' },
+  colors: { type: 'string' },
+  format: { type: 'string' },
+  eject: { type: 'string' },
+  between: { type: 'string' },
+  profile: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Options of 3mf-looper reloop <file> --count 8
+const RELOOP_OPTIONS = {
+  count: { type: 'string', short: 'c' },
+  eject: { type: 'string' },
+  between: { type: 'string' },
+  compression: { type: 'string' },
+  yes: { type: 'boolean', short: 'y' },
+  output: { type: 'string', short: 'o' },
+  'out-dir': { type: 'string' },
+  'name-template': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Options of 3mf-looper unloop <file>
+const UNLOOP_OPTIONS = {
+  compression: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  'out-dir': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Options of 3mf-looper pack <file.gcode|file.bgcode>
+const PACK_OPTIONS = {
+  thumbnail: { type: 'string' },
+  compression: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  'out-dir': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Options of 3mf-looper serve --port 8080
+const SERVE_OPTIONS = {
+  port: { type: 'string', short: 'p' },
+  host: { type: 'string' },
+  'max-upload-mb': { type: 'string' },
+  profile: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// "until 07:30", "until 2026-10-21 07:30" and "800g,until 07:30" typed without quotes arrive as several
+// arguments: they are joined back into one loop value
+function joinUntilArgs(positionals) {
+  const joined = [];
+  for (let i = 0; i < positionals.length; i += 1) {
+    let arg = positionals[i];
+    if (/(?:^|,)until$/i.test(arg) && i + 1 < positionals.length) {
+      arg = `${arg} ${positionals[i += 1]}`;
+      if (/\d{4}-\d{2}-\d{2}$/.test(arg) && i + 1 < positionals.length) arg = `${arg} ${positionals[i += 1]}`;
+    }
+    joined.push(arg);
+  }
+  return joined;
+}
+
+// Returns { options, positionals }; unknown options and missing values are InputErrors
+function parseCliArgs(argv, optionsSpec = CLI_OPTIONS) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: optionsSpec, allowPositionals: true, strict: true });
+  } catch (e) {
+    throw new InputError(e.message);
+  }
+  return { options: { ...parsed.values }, positionals: joinUntilArgs(parsed.positionals) };
+}
+
+module.exports = {
+  CLI_OPTIONS,
+  BATCH_OPTIONS,
+  WATCH_OPTIONS,
+  INSPECT_OPTIONS,
+  RELOOP_OPTIONS,
+  UNLOOP_OPTIONS,
+  PACK_OPTIONS,
+  SERVE_OPTIONS,
+  parseCliArgs,
+};
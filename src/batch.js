@@ -0,0 +1,133 @@
+
+const fsp = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+
+const { loop3mf } = require('./api');
+const { loadConfig, checkProfile, resolveProfile, profileJobOptions, profileOptions, overrideOptions, userConfigDir } = require('./config');
+const { InputError } = require('./errors');
+
+// A batch manifest (JSON or YAML) runs many loop jobs in one go:
+// {
+//   concurrency: 2,                          optional, jobs running at the same time (default 1)
+//   outDir: 'out',                           optional, default output folder of every job
+//   jobs: [{ name, inputs: ['a.3mf:3', 'b.3mf'], spec: '12h', outDir, output, nameTemplate, profile }],
+// }
+// A job's profile is one of the config file's (see config.js), its defaultProfile when not given, none for "none".
+// A job can also set what a profile sets for a run (JOB_SETTINGS, checked the same way); its own values win.
+// Relative paths are resolved from the manifest's folder.
+const JOB_SETTINGS = ['eject', 'between', 'ejectGcode', 'cooldownGcode', 'bedClearing', 'trim', 'loopStatus', 'format', 'compression',
+  'schedule', 'colors', 'sweep', 'strict'];
+const JOB_KEYS = ['name', 'inputs', 'spec', 'outDir', 'output', 'nameTemplate', 'profile', ...JOB_SETTINGS];
+
+function parseManifestText(text, filePath) {
+  const yaml = /\.ya?ml$/i.test(filePath);
+  try {
+    return yaml ? YAML.parse(text) : JSON.parse(text);
+  } catch (e) {
+    throw new InputError(`Could not read ${path.basename(filePath)} as ${yaml ? 'YAML' : 'JSON'}: ${e.message}`);
+  }
+}
+
+function checkKeys(object, allowed, where) {
+  const unknown = Object.keys(object).filter((key) => !allowed.includes(key));
+  if (unknown.length) throw new InputError(`${where}: unknown key(s) ${unknown.join(', ')}. Use ${allowed.join(', ')}.`);
+}
+
+// Reads and checks a manifest, returns { concurrency, jobs: [{ name, options }] } where options are loop3mf()'s
+// options.config: the settings of loadConfig() (default: loaded with the project file looked for from the manifest's folder)
+async function loadManifest(filePath, options = {}) {
+  let text;
+  try {
+    text = await fsp.readFile(filePath, 'utf8');
+  } catch (e) {
+    throw new InputError(`Could not read the batch file: ${e.message}`);
+  }
+  const manifest = parseManifestText(text, filePath);
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.jobs) || manifest.jobs.length === 0) {
+    throw new InputError(`${path.basename(filePath)} has no jobs: expected { "jobs": [...] }.`);
+  }
+  if (manifest.profiles !== undefined) {
+    throw new InputError(`${path.basename(filePath)}: profiles belong in the config file (${path.join(userConfigDir(), 'config.json')} or a .3mf-looper.json in the project folder), jobs name them with "profile".`);
+  }
+  checkKeys(manifest, ['concurrency', 'outDir', 'jobs'], path.basename(filePath));
+  const concurrency = manifest.concurrency == null ? 1 : manifest.concurrency;
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new InputError(`concurrency must be a whole number (1 or more), got "${manifest.concurrency}".`);
+
+  const cwd = path.dirname(path.resolve(filePath));
+  const config = options.config || await loadConfig({ cwd });
+  const jobs = manifest.jobs.map((job, i) => {
+    const where = `Job ${i + 1}${job && job.name ? ` (${job.name})` : ''}`;
+    if (!job || typeof job !== 'object') throw new InputError(`${where}: expected an object.`);
+    checkKeys(job, JOB_KEYS, where);
+    const inputs = typeof job.inputs === 'string' ? [job.inputs] : job.inputs;
+    if (!Array.isArray(inputs) || inputs.length === 0) throw new InputError(`${where}: missing inputs.`);
+    if (job.spec == null || job.spec === '') throw new InputError(`${where}: missing spec (a count, time or weight).`);
+    if (job.output && job.nameTemplate) throw new InputError(`${where}: nameTemplate has no effect with output, which sets the whole path.`);
+    let profile;
+    try {
+      profile = resolveProfile(config, job.profile == null ? null : String(job.profile));
+    } catch (e) {
+      throw new InputError(`${where}: ${e.message}`);
+    }
+    const settings = {};
+    JOB_SETTINGS.forEach((key) => { if (job[key] !== undefined) settings[key] = job[key]; });
+    const own = profileJobOptions(checkProfile(settings, where, cwd));
+    return {
+      name: job.name || path.basename(String(inputs[0])),
+      profile: profile ? profile.name : null,
+      options: {
+        ...overrideOptions(profileOptions(config, profile), {
+          ...own,
+          outputDir: job.outDir || manifest.outDir,
+          nameTemplate: job.nameTemplate,
+        }),
+        inputs: inputs.map(String),
+        spec: String(job.spec),
+        cwd,
+        outputPath: job.output || undefined,
+      },
+    };
+  });
+  return { concurrency, jobs };
+}
+
+// Run the jobs, at most `concurrency` at a time. A failing job does not stop the others.
+// Each job extracts into its own temp directory (prepareJob) and removes it when done.
+// options.onJobStart(job, index) / options.onJobDone(outcome): progress callbacks
+// options.onProgress(job, event): the jobs' own progress events
+// options.maxOutputBytes: per-job limit, see writeJob(); null for none, the limit of each job's profile when not given
+// Returns [{ name, ok, result } | { name, ok: false, error }] in manifest order, with seconds taken
+async function runBatch(batch, options = {}) {
+  const { onJobStart = () => {}, onJobDone = () => {}, onProgress = () => {} } = options;
+  const concurrency = options.concurrency || batch.concurrency || 1;
+  const outcomes = new Array(batch.jobs.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < batch.jobs.length) {
+      const index = next;
+      next += 1;
+      const job = batch.jobs[index];
+      const started = Date.now();
+      onJobStart(job, index);
+      let outcome;
+      try {
+        const maxOutputBytes = options.maxOutputBytes === undefined ? job.options.maxOutputBytes : options.maxOutputBytes;
+        const result = await loop3mf({ ...job.options, maxOutputBytes, onProgress: (event) => onProgress(job, event) });
+        outcome = { index, name: job.name, ok: true, result };
+      } catch (e) {
+        outcome = { index, name: job.name, ok: false, error: { code: e.code || 'ERROR', message: e.message } };
+      }
+      outcome.seconds = (Date.now() - started) / 1000;
+      outcomes[index] = outcome;
+      onJobDone(outcome);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, batch.jobs.length) }, worker));
+  return outcomes;
+}
+
+module.exports = {
+  loadManifest,
+  runBatch,
+};
@@ -0,0 +1,279 @@
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const zlib = require('zlib');
+const { crc32 } = require('./crc32');
+const heatshrink = require('./heatshrink');
+const { unpack } = require('./meatpack');
+const { forEachLine } = require('./lines');
+const { InputError } = require('./errors');
+
+// Prusa binary G-code (.bgcode): a file header then blocks, all little-endian.
+// Block header: type u16, compression u16, uncompressed size u32, compressed size u32 (compressed blocks only),
+// then parameters (encoding u16, or format/width/height u16 for thumbnails), data and a CRC32 of all of it.
+const MAGIC = 'GCDE';
+const VERSION = 1;
+const CHECKSUM_NONE = 0;
+const CHECKSUM_CRC32 = 1;
+
+const BLOCK = {
+  FILE_METADATA: 0,
+  GCODE: 1,
+  SLICER_METADATA: 2,
+  PRINTER_METADATA: 3,
+  PRINT_METADATA: 4,
+  THUMBNAIL: 5,
+};
+const COMPRESSION = { NONE: 0, DEFLATE: 1, HEATSHRINK_11_4: 2, HEATSHRINK_12_4: 3 };
+const GCODE_ENCODING = { NONE: 0, MEATPACK: 1, MEATPACK_COMMENTS: 2 };
+const THUMBNAIL_FORMATS = ['PNG', 'JPG', 'QOI'];
+
+// Uncompressed G-code per block, the size libbgcode uses
+const GCODE_BLOCK_SIZE = 65535;
+
+// Plain G-code keeps its thumbnails in the header; they are not searched for past this point
+const TEXT_THUMBNAIL_SCAN_BYTES = 4 * 1024 * 1024;
+
+function decompressBlock(data, compression, uncompressedSize) {
+  switch (compression) {
+    case COMPRESSION.NONE: return data;
+    case COMPRESSION.DEFLATE: return zlib.inflateSync(data);
+    case COMPRESSION.HEATSHRINK_11_4: return heatshrink.decompress(data, uncompressedSize, 11, 4);
+    case COMPRESSION.HEATSHRINK_12_4: return heatshrink.decompress(data, uncompressedSize, 12, 4);
+    default: throw new Error(`unknown compression ${compression}`);
+  }
+}
+
+function compressBlock(data, compression) {
+  switch (compression) {
+    case COMPRESSION.NONE: return data;
+    case COMPRESSION.DEFLATE: return zlib.deflateSync(data);
+    case COMPRESSION.HEATSHRINK_11_4: return heatshrink.compress(data, 11, 4);
+    case COMPRESSION.HEATSHRINK_12_4: return heatshrink.compress(data, 12, 4);
+    default: throw new Error(`unknown compression ${compression}`);
+  }
+}
+
+// "key=value" lines, in order
+function parseIni(text) {
+  const entries = [];
+  for (const line of text.split('\n')) {
+    const eq = line.indexOf('=');
+    if (eq <= 0) continue;
+    entries.push([line.slice(0, eq).trim(), line.slice(eq + 1).replace(/\r$/, '').trim()]);
+  }
+  return entries;
+}
+
+function formatIni(entries) {
+  return entries.map(([key, value]) => `${key}=${value}\n`).join('');
+}
+
+// Decode a .bgcode: the G-code goes to gcodeOutPath as plain text, the rest is returned.
+// Returns { fileMetadata, printerMetadata, printMetadata, slicerMetadata, thumbnails, gcodeCompressedBytes }
+// where metadata are [key, value] lists and thumbnails are { format, width, height, data } images.
+async function readBgcode(filePath, gcodeOutPath) {
+  const fh = await fsp.open(filePath, 'r');
+  const ws = fs.createWriteStream(gcodeOutPath);
+  let writeError = null;
+  ws.on('error', (e) => { writeError = e; });
+  const fail = (message) => new InputError(`Invalid binary G-code ${filePath}: ${message}`);
+  const result = {
+    fileMetadata: [],
+    printerMetadata: [],
+    printMetadata: [],
+    slicerMetadata: [],
+    thumbnails: [],
+    gcodeCompressedBytes: 0,
+  };
+  try {
+    const { size } = await fh.stat();
+    const fileHeader = Buffer.alloc(10);
+    await fh.read(fileHeader, 0, 10, 0);
+    if (fileHeader.toString('latin1', 0, 4) !== MAGIC) throw fail('missing GCDE signature');
+    const checksumType = fileHeader.readUInt16LE(8);
+    if (checksumType !== CHECKSUM_NONE && checksumType !== CHECKSUM_CRC32) throw fail(`unknown checksum type ${checksumType}`);
+
+    let pos = 10;
+    while (pos < size) {
+      const head = Buffer.alloc(12);
+      await fh.read(head, 0, 12, pos);
+      const type = head.readUInt16LE(0);
+      const compression = head.readUInt16LE(2);
+      const uncompressedSize = head.readUInt32LE(4);
+      const headerSize = compression === COMPRESSION.NONE ? 8 : 12;
+      const dataSize = compression === COMPRESSION.NONE ? uncompressedSize : head.readUInt32LE(8);
+      const paramsSize = type === BLOCK.THUMBNAIL ? 6 : 2;
+      const checksumSize = checksumType === CHECKSUM_CRC32 ? 4 : 0;
+      const blockSize = headerSize + paramsSize + dataSize + checksumSize;
+      if (pos + blockSize > size) throw fail(`block at byte ${pos} is truncated`);
+
+      const block = Buffer.alloc(blockSize);
+      await fh.read(block, 0, blockSize, pos);
+      if (checksumSize) {
+        const expected = block.readUInt32LE(blockSize - 4);
+        if (crc32(block.subarray(0, blockSize - 4)) !== expected) throw fail(`checksum mismatch in block at byte ${pos}`);
+      }
+      const params = block.subarray(headerSize, headerSize + paramsSize);
+      const data = block.subarray(headerSize + paramsSize, headerSize + paramsSize + dataSize);
+
+      if (type === BLOCK.THUMBNAIL) {
+        result.thumbnails.push({
+          format: THUMBNAIL_FORMATS[params.readUInt16LE(0)] || 'PNG',
+          width: params.readUInt16LE(2),
+          height: params.readUInt16LE(4),
+          data: decompressBlock(data, compression, uncompressedSize),
+        });
+      } else if (type === BLOCK.GCODE) {
+        const encoding = params.readUInt16LE(0);
+        let text;
+        try {
+          text = decompressBlock(data, compression, uncompressedSize);
+        } catch (e) {
+          throw fail(`G-code block at byte ${pos}: ${e.message}`);
+        }
+        if (encoding === GCODE_ENCODING.MEATPACK || encoding === GCODE_ENCODING.MEATPACK_COMMENTS) text = unpack(text);
+        else if (encoding !== GCODE_ENCODING.NONE) throw fail(`unknown G-code encoding ${encoding}`);
+        result.gcodeCompressedBytes += blockSize;
+        if (!ws.write(text)) await new Promise((resolve) => ws.once('drain', resolve));
+      } else {
+        const entries = parseIni(decompressBlock(data, compression, uncompressedSize).toString('utf8'));
+        if (type === BLOCK.FILE_METADATA) result.fileMetadata = entries;
+        else if (type === BLOCK.PRINTER_METADATA) result.printerMetadata = entries;
+        else if (type === BLOCK.PRINT_METADATA) result.printMetadata = entries;
+        else if (type === BLOCK.SLICER_METADATA) result.slicerMetadata = entries;
+      }
+      pos += blockSize;
+    }
+  } finally {
+    ws.end();
+    await new Promise((resolve) => ws.once('close', resolve));
+    await fh.close();
+  }
+  if (writeError) throw writeError;
+  return result;
+}
+
+function encodeBlock(type, compression, params, data) {
+  const payload = compressBlock(data, compression);
+  const header = Buffer.alloc(compression === COMPRESSION.NONE ? 8 : 12);
+  header.writeUInt16LE(type, 0);
+  header.writeUInt16LE(compression, 2);
+  header.writeUInt32LE(data.length, 4);
+  if (compression !== COMPRESSION.NONE) header.writeUInt32LE(payload.length, 8);
+  const body = Buffer.concat([header, params, payload]);
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32LE(crc32(body), 0);
+  return Buffer.concat([body, checksum]);
+}
+
+function metadataBlock(type, entries, compression = COMPRESSION.NONE) {
+  const params = Buffer.alloc(2); // encoding 0: INI
+  return encodeBlock(type, compression, params, Buffer.from(formatIni(entries), 'utf8'));
+}
+
+function thumbnailBlock({ format, width, height, data }) {
+  const params = Buffer.alloc(6);
+  params.writeUInt16LE(Math.max(0, THUMBNAIL_FORMATS.indexOf(format)), 0);
+  params.writeUInt16LE(width, 2);
+  params.writeUInt16LE(height, 4);
+  return encodeBlock(BLOCK.THUMBNAIL, COMPRESSION.NONE, params, data);
+}
+
+// Encode a plain G-code file as .bgcode. G-code blocks are cut at line ends and heatshrink
+// compressed like PrusaSlicer does; slicer metadata is deflated, the other blocks are stored.
+// meta: { fileMetadata, printerMetadata, printMetadata, slicerMetadata, thumbnails }
+async function writeBgcode(gcodePath, destPath, meta = {}) {
+  const ws = fs.createWriteStream(destPath);
+  const write = (buf) => new Promise((resolve, reject) => {
+    ws.write(buf, (err) => (err ? reject(err) : resolve()));
+  });
+  const fileHeader = Buffer.alloc(10);
+  fileHeader.write(MAGIC, 0, 'latin1');
+  fileHeader.writeUInt32LE(VERSION, 4);
+  fileHeader.writeUInt16LE(CHECKSUM_CRC32, 8);
+  let bytes = 0;
+  const writeCounted = async (buf) => {
+    bytes += buf.length;
+    await write(buf);
+  };
+  try {
+    await writeCounted(fileHeader);
+    await writeCounted(metadataBlock(BLOCK.FILE_METADATA, meta.fileMetadata || [['Producer', '3mf-looper']]));
+    await writeCounted(metadataBlock(BLOCK.PRINTER_METADATA, meta.printerMetadata || []));
+    for (const thumbnail of meta.thumbnails || []) await writeCounted(thumbnailBlock(thumbnail));
+    await writeCounted(metadataBlock(BLOCK.PRINT_METADATA, meta.printMetadata || []));
+    await writeCounted(metadataBlock(BLOCK.SLICER_METADATA, meta.slicerMetadata || [], COMPRESSION.DEFLATE));
+
+    const encodingParams = Buffer.alloc(2); // encoding 0: plain text
+    let rest = null;
+    for await (const chunk of fs.createReadStream(gcodePath, { highWaterMark: GCODE_BLOCK_SIZE })) {
+      let buf = rest ? Buffer.concat([rest, chunk]) : chunk;
+      while (buf.length >= GCODE_BLOCK_SIZE) {
+        const nl = buf.lastIndexOf(10, GCODE_BLOCK_SIZE - 1);
+        const cut = nl === -1 ? GCODE_BLOCK_SIZE : nl + 1;
+        await writeCounted(encodeBlock(BLOCK.GCODE, COMPRESSION.HEATSHRINK_12_4, encodingParams, buf.subarray(0, cut)));
+        buf = buf.subarray(cut);
+      }
+      rest = buf.length ? buf : null;
+    }
+    if (rest) await writeCounted(encodeBlock(BLOCK.GCODE, COMPRESSION.HEATSHRINK_12_4, encodingParams, rest));
+  } finally {
+    ws.end();
+    await new Promise((resolve) => ws.once('close', resolve));
+  }
+  return { bytes };
+}
+
+// Thumbnails of a plain G-code header: "; thumbnail begin 300x300 1234", base64 comment lines,
+// "; thumbnail end" (and the thumbnail_JPG / thumbnail_QOI variants)
+async function readTextThumbnails(gcodePath) {
+  const thumbnails = [];
+  let current = null;
+  await forEachLine(gcodePath, (line) => {
+    const begin = /^;\s*thumbnail(?:_(JPG|QOI|PNG))?\s+begin\s+(\d+)x(\d+)/i.exec(line);
+    if (begin) {
+      current = { format: (begin[1] || 'PNG').toUpperCase(), width: parseInt(begin[2], 10), height: parseInt(begin[3], 10), base64: [] };
+      return;
+    }
+    if (!current) return;
+    if (/^;\s*thumbnail(?:_\w+)?\s+end/i.test(line)) {
+      thumbnails.push({ format: current.format, width: current.width, height: current.height, data: Buffer.from(current.base64.join(''), 'base64') });
+      current = null;
+      return;
+    }
+    current.base64.push(line.replace(/^;\s*/, '').trim());
+  }, { end: TEXT_THUMBNAIL_SCAN_BYTES });
+  return thumbnails;
+}
+
+// The plain G-code form of binary thumbnails and metadata, laid out like PrusaSlicer's text output
+function thumbnailComments(thumbnails) {
+  return thumbnails.map(({ format, width, height, data }) => {
+    const tag = format === 'PNG' ? 'thumbnail' : `thumbnail_${format}`;
+    const base64 = data.toString('base64');
+    const lines = [`;\n; ${tag} begin ${width}x${height} ${base64.length}`];
+    for (let i = 0; i < base64.length; i += 78) lines.push(`; ${base64.slice(i, i + 78)}`);
+    lines.push(`; ${tag} end\n;\n`);
+    return lines.join('\n');
+  }).join('');
+}
+
+function metadataComments(entries) {
+  return entries.map(([key, value]) => `; ${key} = ${value}\n`).join('');
+}
+
+function slicerConfigComments(entries) {
+  if (!entries.length) return '';
+  return `\n; prusaslicer_config = begin\n${metadataComments(entries)}; prusaslicer_config = end\n`;
+}
+
+module.exports = {
+  MAGIC,
+  readBgcode,
+  writeBgcode,
+  readTextThumbnails,
+  thumbnailComments,
+  metadataComments,
+  slicerConfigComments,
+};
@@ -0,0 +1,129 @@
+
+const { InputError } = require('./errors');
+
+// Per-loop colours, "--colors 1,3" or "--colors red,blue": loop 1 prints the first colour, loop 2 the second,
+// and the list starts over. A number is an AMS / MMU slot (tool change), a name a spool changed by hand (M600).
+const SLOT_ENTRY = /^\d+$/;
+const NAME_ENTRY = /^[\p{L}\p{N}_-]+$/u;
+// Slicers whose tool changes are wrapped in M620/M621 for the AMS
+const AMS_SLICERS = ['bambu', 'orca'];
+
+// [{ label, slot }] or [{ label, name }] in loop order, null for an empty schedule
+function parseColorSchedule(text) {
+  if (text == null || String(text).trim() === '') return null;
+  return String(text).split(',').map((raw) => {
+    const entry = raw.trim();
+    if (SLOT_ENTRY.test(entry)) {
+      const slot = parseInt(entry, 10);
+      if (slot < 1) throw new InputError(`Colour slots are numbered from 1, got "${entry}".`);
+      return { label: `S${slot}`, slot };
+    }
+    if (!NAME_ENTRY.test(entry)) throw new InputError(`Invalid colour "${entry}". Use slot numbers (1,3) or colour names (red,blue).`);
+    return { label: entry, name: entry };
+  });
+}
+
+const colorOfLoop = (colors, loop) => colors[(loop - 1) % colors.length];
+
+// Tool numbers of a loop: its slot takes the place of slot 1 (T0) and the other way round, names keep them
+function toolSwap(color) {
+  if (!color || !color.slot || color.slot === 1) return null;
+  return { 0: color.slot - 1, [color.slot - 1]: 0 };
+}
+
+// Per-slot grams of one loop, moved like its tool numbers
+function swapSlots(slots, color) {
+  const swap = toolSwap(color);
+  if (!swap) return [...slots];
+  const out = [...slots];
+  const other = color.slot - 1;
+  while (out.length <= other) out.push(0);
+  [out[0], out[other]] = [out[other] || 0, out[0] || 0];
+  return out;
+}
+
+// Filament of the job per slot and per colour when the loops follow the colour schedule. slotsOfLoop(loop) gives
+// a loop's grams per slot; the start and end sequences printed once (fixed) go to the first loop's colour.
+// Returns { slots: [grams per slot], fixed: [the fixed grams per slot], colors: [{ label, slot, name, loops, grams }] }
+// with the colours in schedule order
+function colorUsage(colors, loops, slotsOfLoop, fixedSlots = []) {
+  const slots = [];
+  const fixed = swapSlots(fixedSlots, colors[0]);
+  const add = (values) => values.forEach((g, i) => { slots[i] = (slots[i] || 0) + (g || 0); });
+  const rows = new Map();
+  const row = (color) => {
+    if (!rows.has(color.label)) rows.set(color.label, { label: color.label, slot: color.slot || null, name: color.name || null, loops: 0, grams: 0 });
+    return rows.get(color.label);
+  };
+  colors.forEach(row);
+  const charge = (color, values) => {
+    const swapped = swapSlots(values, color);
+    add(swapped);
+    // A hand-changed spool sits in slot 1, an AMS colour is its slot
+    row(color).grams += color.slot ? swapped[color.slot - 1] || 0 : swapped[0] || 0;
+  };
+  charge(colors[0], fixedSlots);
+  for (let loop = 1; loop <= loops; loop += 1) {
+    const color = colorOfLoop(colors, loop);
+    row(color).loops += 1;
+    charge(color, slotsOfLoop(loop));
+  }
+  return { slots, fixed, colors: [...rows.values()] };
+}
+
+// The filament change printed before a loop of another colour. options.slicer: the first file's slicer;
+// options.colorChange: the printer profile's color_change_gcode (M600 when it has none or it uses placeholders)
+function colorChangeGcode(color, options = {}) {
+  if (color.slot) {
+    const tool = color.slot - 1;
+    return AMS_SLICERS.includes(options.slicer) ? `M620 S${tool}A\nT${tool}\nM621 S${tool}A\n` : `T${tool}\n`;
+  }
+  const profile = options.colorChange ? options.colorChange.replace(/\\n/g, '\n').trim() : '';
+  const change = profile && !/[[{]/.test(profile) ? profile : 'M600';
+  return `M117 Load ${color.name}\n${change}\n`;
+}
+
+const TOOL_LINE = /^(T|M62[01] S)(\d+)/gm;
+const EMPTY = Buffer.alloc(0);
+
+// Tool numbers (Tn, and the AMS's M620/M621 Sn) rewritten as G-code streams through, like the M73 progress
+// rewriter (src/progress.js). use(swap) sets the numbers swapped in the next range, null for none.
+function createToolRewriter() {
+  let swap = null;
+  let carry = EMPTY;
+
+  const rewrite = (buf) => {
+    const text = buf.toString('latin1');
+    if (!/^(?:T|M62[01] S)\d/m.test(text)) return buf;
+    return Buffer.from(text.replace(TOOL_LINE, (m, command, tool) => (swap[tool] !== undefined ? `${command}${swap[tool]}` : m)), 'latin1');
+  };
+
+  function use(next) {
+    swap = next;
+  }
+
+  function transform(chunk) {
+    if (!swap) return chunk;
+    const data = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+    const cut = data.lastIndexOf(10) + 1;
+    carry = Buffer.from(data.subarray(cut));
+    return rewrite(data.subarray(0, cut));
+  }
+
+  function flush() {
+    const rest = carry;
+    carry = EMPTY;
+    return rest.length ? rewrite(rest) : rest;
+  }
+
+  return { use, transform, flush };
+}
+
+module.exports = {
+  parseColorSchedule,
+  colorOfLoop,
+  toolSwap,
+  colorUsage,
+  colorChangeGcode,
+  createToolRewriter,
+};
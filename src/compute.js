@@ -18,8 +18,65 @@ function formatMass(grams) {
   return `${g}g`;
 }
 
-function parseLoopSpecifier(arg) {
-  const raw = String(arg);
+// "07:30" today, "tomorrow 07:30", or the date and time when it is further away
+function formatClock(date, now = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  const day = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+  const days = Math.round((day(date) - day(now)) / (24 * 60 * 60 * 1000));
+  if (days === 0) return time;
+  if (days === 1) return `tomorrow ${time}`;
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${time}`;
+}
+
+const UNTIL_REGEX = /^until\s+(?:(\d{4})-(\d{2})-(\d{2})[\sT]+)?(\d{1,2}):(\d{2})$/i;
+const SLOT_REGEX = /^(\d+)=(\d+(?:\.\d+)?)(g|kg)$/i;
+
+// "until 07:30" is the next 07:30 after now; "until 2026-10-21 07:30" is that local date and time
+function parseUntil(raw, now) {
+  const m = raw.match(UNTIL_REGEX);
+  if (!m) return null;
+  const hours = parseInt(m[4], 10);
+  const minutes = parseInt(m[5], 10);
+  if (hours > 23 || minutes > 59) return null;
+  if (m[1]) {
+    const at = new Date(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10), hours, minutes);
+    if (at.getMonth() !== parseInt(m[2], 10) - 1 || at.getDate() !== parseInt(m[3], 10)) return null;
+    return { type: 'until', at, raw };
+  }
+  const at = new Date(now.getTime());
+  at.setHours(hours, minutes, 0, 0);
+  if (at <= now) at.setDate(at.getDate() + 1);
+  return { type: 'until', at, raw };
+}
+
+// A count, a duration, a weight, a clock time or what is left per filament slot, or several of them separated by
+// commas ("12h,800g", "until 07:30,1=250g"): the constraint reached first sets the loops
+function parseLoopSpecifier(arg, now = new Date()) {
+  const raw = String(arg).trim();
+  const single = parseSingleTarget(raw, now);
+  if (single) return single;
+  const tokens = raw.split(',').map((token) => token.trim());
+  if (tokens.length < 2) return { type: 'invalid', raw };
+  // Slot limits stay together as one constraint
+  const slotTokens = tokens.filter((token) => SLOT_REGEX.test(token));
+  const parts = [];
+  for (const token of tokens.filter((t) => !SLOT_REGEX.test(t))) {
+    const part = parseSingleTarget(token, now);
+    if (!part || part.type === 'slots') return { type: 'invalid', raw };
+    parts.push(part);
+  }
+  if (slotTokens.length) {
+    const slots = parseSingleTarget(slotTokens.join(','), now);
+    if (!slots) return { type: 'invalid', raw };
+    parts.push(slots);
+  }
+  return { type: 'all', parts, raw };
+}
+
+function parseSingleTarget(raw, now) {
+  const until = parseUntil(raw, now);
+  if (until) return until;
   if (/^\d+$/.test(raw)) {
     const value = parseInt(raw, 10);
     if (value >= 1) return { type: 'count', value, raw };
@@ -44,13 +101,213 @@ function parseLoopSpecifier(arg) {
     const grams = parseFloat(gMatch[1]);
     return { type: 'grams', grams, raw };
   }
-  return { type: 'invalid', raw };
+  // Per filament slot: "1=250g,3=1kg", what is left on each spool
+  const slotParts = raw.split(',').map((part) => part.trim().match(SLOT_REGEX));
+  if (slotParts.every((m) => m && parseInt(m[1], 10) >= 1)) {
+    const limits = slotParts.map((m) => ({
+      slot: parseInt(m[1], 10),
+      grams: parseFloat(m[2]) * (m[3].toLowerCase() === 'kg' ? 1000 : 1),
+    }));
+    if (new Set(limits.map((l) => l.slot)).size === limits.length) return { type: 'slots', limits, raw };
+  }
+  return null;
+}
+
+// Grams of one file split across its filament slots, in proportion to how much each slot uses
+function spreadOverSlots(grams, analysis) {
+  const filaments = analysis.filaments || [];
+  const used = filaments.reduce((sum, g) => sum + g, 0);
+  return filaments.map((g) => (used > 0 ? (grams * g) / used : 0));
+}
+
+// Slot-by-slot sum (or difference with sign -1) of per-slot gram lists
+function addSlots(into, values, sign = 1) {
+  values.forEach((v, i) => {
+    while (into.length <= i) into.push(0);
+    into[i] += sign * v;
+  });
+  return into;
+}
+
+// Per-loop and one-off costs of a set of analyzed files printed weights[i] times per loop (once by default),
+// with `slots` the grams per filament slot.
+// With trim, only the first file's start sequence and the last file's end sequence are printed (once),
+// every other start/end sequence is skipped. Files without detected sections are copied whole.
+function loopCosts(analyses, trim = false, weights = null) {
+  const weight = (i) => (weights ? weights[i] : 1);
+  const total = {
+    minutes: analyses.reduce((sum, a, i) => sum + (a.minutes || 0) * weight(i), 0),
+    grams: analyses.reduce((sum, a, i) => sum + (a.grams || 0) * weight(i), 0),
+    slots: analyses.reduce((sum, a, i) => addSlots(sum, (a.filaments || []).map((g) => g * weight(i))), []),
+  };
+  const none = { minutes: 0, grams: 0, slots: [] };
+  if (!trim) return { perLoop: total, fixed: none, skippedPerLoop: none };
+  const skippedPerLoop = { minutes: 0, grams: 0, slots: [] };
+  analyses.forEach((a, i) => {
+    if (!a.sections) return;
+    skippedPerLoop.minutes += (a.sections.startMinutes + a.sections.endMinutes) * weight(i);
+    skippedPerLoop.grams += (a.sections.startGrams + a.sections.endGrams) * weight(i);
+    addSlots(skippedPerLoop.slots, spreadOverSlots((a.sections.startGrams + a.sections.endGrams) * weight(i), a));
+  });
+  const firstAnalysis = analyses[0];
+  const lastAnalysis = analyses[analyses.length - 1];
+  const first = firstAnalysis.sections;
+  const last = lastAnalysis.sections;
+  const fixed = {
+    minutes: (first ? first.startMinutes : 0) + (last ? last.endMinutes : 0),
+    grams: (first ? first.startGrams : 0) + (last ? last.endGrams : 0),
+    slots: addSlots(spreadOverSlots(first ? first.startGrams : 0, firstAnalysis), spreadOverSlots(last ? last.endGrams : 0, lastAnalysis)),
+  };
+  return {
+    perLoop: {
+      minutes: total.minutes - skippedPerLoop.minutes,
+      grams: total.grams - skippedPerLoop.grams,
+      slots: addSlots([...total.slots], skippedPerLoop.slots, -1),
+    },
+    fixed,
+    skippedPerLoop,
+  };
+}
+
+// Loops each spool of a 'slots' target allows: [{ slot, grams, perLoop, repetitions }].
+// A slot the job does not use has perLoop 0 and repetitions Infinity.
+function slotLimits(loopSpec, perLoop, fixed = { slots: [] }) {
+  return loopSpec.limits.map(({ slot, grams }) => {
+    const used = perLoop.slots[slot - 1] || 0;
+    const once = fixed.slots[slot - 1] || 0;
+    return { slot, grams, perLoop: used, repetitions: used > 0 ? Math.floor((grams - once) / used) : Infinity };
+  });
+}
+
+// Minutes from the start to an 'until' target
+const minutesUntil = (loopSpec, startAt) => (loopSpec.at.getTime() - startAt.getTime()) / 60000;
+
+// Loops that fit the target, given the per-loop cost and what is paid once whatever the count.
+// Clock times count from startAt, the time the print starts.
+function computeRepetitions(loopSpec, perLoop, fixed = { minutes: 0, grams: 0, slots: [] }, startAt = new Date()) {
+  if (loopSpec.type === 'count') return loopSpec.value;
+  if (loopSpec.type === 'time' || loopSpec.type === 'until') {
+    const minutes = loopSpec.type === 'time' ? loopSpec.minutes : minutesUntil(loopSpec, startAt);
+    return perLoop.minutes > 0 ? Math.max(0, Math.floor((minutes - fixed.minutes) / perLoop.minutes)) : 0;
+  }
+  if (loopSpec.type === 'grams') return perLoop.grams > 0 ? Math.floor((loopSpec.grams - fixed.grams) / perLoop.grams) : 0;
+  if (loopSpec.type === 'slots') {
+    // The spool that runs out first sets the count
+    const limited = slotLimits(loopSpec, perLoop, fixed).filter((l) => l.perLoop > 0);
+    return limited.length ? Math.min(...limited.map((l) => l.repetitions)) : 0;
+  }
+  if (loopSpec.type === 'all') return Math.min(...loopSpec.parts.map((part) => computeRepetitions(part, perLoop, fixed, startAt)));
+  return 0;
+}
+
+// Each constraint of the target with what the loops use of it and leave unused:
+// [{ type, raw, limit, used, left, loops }] in loops for 'count', minutes for 'time' and 'until' (with its `at`),
+// grams for 'grams' and 'slot' (one per limited slot, with its `slot`). `loops` is how many the constraint alone allows.
+function targetUsage(loopSpec, perLoop, fixed, repetitions, startAt = new Date()) {
+  const parts = loopSpec.type === 'all' ? loopSpec.parts : [loopSpec];
+  const minutes = fixed.minutes + perLoop.minutes * repetitions;
+  const grams = fixed.grams + perLoop.grams * repetitions;
+  const usage = [];
+  const add = (part, limit, used, extra = {}) => usage.push({
+    type: part.type,
+    raw: part.raw,
+    ...extra,
+    limit,
+    used,
+    left: limit - used,
+    loops: computeRepetitions(part, perLoop, fixed, startAt),
+  });
+  for (const part of parts) {
+    if (part.type === 'count') add(part, part.value, repetitions);
+    else if (part.type === 'time') add(part, part.minutes, minutes);
+    else if (part.type === 'until') add(part, minutesUntil(part, startAt), minutes, { at: part.at });
+    else if (part.type === 'grams') add(part, part.grams, grams);
+    else if (part.type === 'slots') {
+      slotLimits(part, perLoop, fixed).forEach((l) => usage.push({
+        type: 'slot',
+        raw: `${l.slot}=${formatMass(l.grams)}`,
+        slot: l.slot,
+        limit: l.grams,
+        used: (fixed.slots[l.slot - 1] || 0) + l.perLoop * repetitions,
+        left: l.grams - (fixed.slots[l.slot - 1] || 0) - l.perLoop * repetitions,
+        loops: l.repetitions,
+      }));
+    }
+  }
+  return usage;
+}
+
+// Time and filament saved by trimming, compared to N whole copies
+function trimSavings(costs, repetitions) {
+  return {
+    minutes: Math.max(0, costs.skippedPerLoop.minutes * repetitions - costs.fixed.minutes),
+    grams: Math.max(0, costs.skippedPerLoop.grams * repetitions - costs.fixed.grams),
+  };
+}
+
+// Uncompressed G-code bytes of one loop: every selected plate, weights[g] times (g counts plates across inputs)
+function loopGcodeBytes(sizeMaps, selectedNamesPerInput, weights = null) {
+  let bytes = 0;
+  let g = 0;
+  for (let i = 0; i < selectedNamesPerInput.length; i += 1) {
+    for (const name of selectedNamesPerInput[i]) {
+      const meta = sizeMaps[i][name];
+      if (meta && typeof meta.uncompressedSize === 'number') bytes += meta.uncompressedSize * (weights ? weights[g] : 1);
+      g += 1;
+    }
+  }
+  return bytes;
+}
+
+// Estimated size of the output archive: the first input minus all of its G-code,
+// plus the looped G-code compressed at the inputs' own ratio
+function estimateFinalSize(firstZipSize, sizeMaps, selectedNamesPerInput, repetitions, weights = null) {
+  try {
+    // Original compressed size of every gcode inside first zip: one is replaced, the other plates are dropped
+    const firstMap = sizeMaps[0];
+    let origCompressed = 0;
+    for (const name of Object.keys(firstMap)) {
+      const meta = firstMap[name];
+      if (meta && typeof meta.compressedSize === 'number') origCompressed += meta.compressedSize;
+    }
+    // Uncompressed bytes per loop and derive compression ratio from inputs
+    const perLoopUncompressed = loopGcodeBytes(sizeMaps, selectedNamesPerInput, weights);
+    let totalOrigUncompressed = 0;
+    let totalOrigCompressed = 0;
+    for (let i = 0; i < selectedNamesPerInput.length; i += 1) {
+      const map = sizeMaps[i];
+      for (const name of selectedNamesPerInput[i]) {
+        const meta = map[name];
+        if (meta && typeof meta.uncompressedSize === 'number' && typeof meta.compressedSize === 'number') {
+          totalOrigUncompressed += meta.uncompressedSize;
+          totalOrigCompressed += meta.compressedSize;
+        }
+      }
+    }
+    const ratio = totalOrigUncompressed > 0 ? (totalOrigCompressed / totalOrigUncompressed) : 0.5;
+    const newCompressedGcode = Math.ceil(perLoopUncompressed * repetitions * ratio);
+    const estimatedTotal = Math.max(0, firstZipSize - origCompressed + newCompressedGcode);
+    return estimatedTotal;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Plain or binary G-code output: the looped G-code alone, at a compression ratio (1 for plain text)
+function estimateGcodeSize(sizeMaps, selectedNamesPerInput, repetitions, ratio = 1, weights = null) {
+  return Math.ceil(loopGcodeBytes(sizeMaps, selectedNamesPerInput, weights) * repetitions * ratio);
 }
 
 module.exports = {
   formatDuration,
   formatMass,
+  formatClock,
   parseLoopSpecifier,
+  loopCosts,
+  computeRepetitions,
+  targetUsage,
+  slotLimits,
+  trimSavings,
+  estimateFinalSize,
+  estimateGcodeSize,
 };
-
-
@@ -0,0 +1,308 @@
+
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+
+const { InputError } = require('./errors');
+const { EJECT_PRESETS } = require('./eject');
+const { parseColorSchedule } = require('./colors');
+const { parseSweeps } = require('./sweep');
+
+// Settings kept between runs (JSON or YAML): the user's ~/.config/3mf-looper/config.json ($XDG_CONFIG_HOME is
+// followed, $LOOPER_CONFIG replaces it), then a project's .3mf-looper.json, looked for from the current folder up,
+// whose keys win (a profile of the same name replaces the user's):
+// {
+//   "defaultProfile": "x1c",                       optional, used when --profile is not given
+//   "outputDir": "~/prints",                       optional, like --out-dir
+//   "nameTemplate": "{name} x{count}",             optional, like --name-template
+//   "limits": { "largeInputMb": 100, "confirmOutputMb": 1024 },
+//   "profiles": {
+//     "x1c": { "eject": "push-off", "trim": true, "bedClearing": { "maxPartHeight": 40, "releaseTemp": 30 }, "send": "x1c-lan" }
+//   }
+// }
+// Relative paths are resolved from the folder of the file that sets them.
+const CONFIG_NAMES = ['config.json', 'config.yaml', 'config.yml'];
+const PROJECT_CONFIG_NAMES = ['.3mf-looper.json', '.3mf-looper.yaml', '.3mf-looper.yml'];
+const CONFIG_KEYS = ['defaultProfile', 'outputDir', 'nameTemplate', 'limits', 'profiles'];
+// A profile holds what a printer needs between loops and the run options used with it
+const PROFILE_KEYS = ['description', 'eject', 'between', 'ejectGcode', 'cooldownGcode', 'bedClearing', 'trim', 'loopStatus',
+  'format', 'compression', 'schedule', 'colors', 'sweep', 'strict', 'outputDir', 'nameTemplate', 'limits', 'send'];
+const LIMIT_KEYS = ['largeInputMb', 'confirmOutputMb'];
+const BED_CLEARING_KEYS = ['maxPartHeight', 'releaseTemp'];
+const FORMATS = ['3mf', 'gcode', 'bgcode'];
+const SCHEDULES = ['interleaved', 'sequential'];
+const MB = 1024 * 1024;
+// Inputs above largeInputMb are warned about, outputs above confirmOutputMb need a confirmation (or --yes)
+const DEFAULT_LIMITS = { largeInputBytes: 100 * MB, confirmOutputBytes: 1024 * MB };
+
+function userConfigDir() {
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), '3mf-looper');
+}
+
+async function firstExisting(dir, names) {
+  for (const name of names) {
+    const filePath = path.join(dir, name);
+    try {
+      if ((await fsp.stat(filePath)).isFile()) return filePath;
+    } catch {}
+  }
+  return null;
+}
+
+// The project file nearest to cwd, in it or a parent folder
+async function findProjectConfig(cwd) {
+  let dir = path.resolve(cwd);
+  while (true) {
+    const found = await firstExisting(dir, PROJECT_CONFIG_NAMES);
+    if (found) return found;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+async function readConfigFile(filePath) {
+  let text;
+  try {
+    text = await fsp.readFile(filePath, 'utf8');
+  } catch (e) {
+    throw new InputError(`Could not read the config file ${filePath} (${e.code || e.message})`);
+  }
+  const yaml = /\.ya?ml$/i.test(filePath);
+  let config;
+  try {
+    config = yaml ? YAML.parse(text) : JSON.parse(text);
+  } catch (e) {
+    throw new InputError(`Could not read ${filePath} as ${yaml ? 'YAML' : 'JSON'}: ${e.message}`);
+  }
+  if (config == null) return {};
+  if (typeof config !== 'object' || Array.isArray(config)) throw new InputError(`${filePath} must hold an object, e.g. { "profiles": { ... } }.`);
+  return config;
+}
+
+const isObject = (value) => value != null && typeof value === 'object' && !Array.isArray(value);
+
+function checkKeys(object, allowed, where) {
+  if (!isObject(object)) throw new InputError(`${where} must be an object.`);
+  const unknown = Object.keys(object).filter((key) => !allowed.includes(key));
+  if (unknown.length) throw new InputError(`${where}: unknown key(s) ${unknown.join(', ')}. Use ${allowed.join(', ')}.`);
+}
+
+function checkString(value, where) {
+  if (typeof value !== 'string' || value.trim() === '') throw new InputError(`${where} must be a non-empty string.`);
+  return value;
+}
+
+function checkNumber(value, where, { min = 0, max = Infinity, above = false } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (above && value <= min)) {
+    const range = max === Infinity ? `${above ? 'above' : 'at least'} ${min}` : `from ${min} to ${max}`;
+    throw new InputError(`${where} must be a number ${range}, got ${JSON.stringify(value)}.`);
+  }
+  return value;
+}
+
+// "~/prints" and paths relative to the config file's folder
+function resolvePath(value, where, baseDir) {
+  const text = checkString(value, where);
+  if (text === '~' || text.startsWith('~/')) return path.join(os.homedir(), text.slice(1));
+  return path.resolve(baseDir, text);
+}
+
+// G-code written as one string or a list of lines
+function checkGcode(value, where) {
+  if (Array.isArray(value) && value.every((line) => typeof line === 'string')) return `${value.join('\n')}\n`;
+  if (typeof value === 'string' && value.trim()) return value.endsWith('\n') ? value : `${value}\n`;
+  throw new InputError(`${where} must be G-code: a string or a list of lines.`);
+}
+
+// { largeInputBytes, confirmOutputBytes } set by a limits object, the others left out
+function checkLimits(limits, where) {
+  checkKeys(limits, LIMIT_KEYS, where);
+  const out = {};
+  if (limits.largeInputMb !== undefined) out.largeInputBytes = checkNumber(limits.largeInputMb, `${where}.largeInputMb`, { above: true }) * MB;
+  if (limits.confirmOutputMb !== undefined) out.confirmOutputBytes = checkNumber(limits.confirmOutputMb, `${where}.confirmOutputMb`, { above: true }) * MB;
+  return out;
+}
+
+// A profile's settings, checked and with its paths resolved; keys it does not set are left out
+function checkProfile(raw, where, baseDir) {
+  checkKeys(raw, PROFILE_KEYS, where);
+  const profile = {};
+  const set = (key, value) => { if (raw[key] !== undefined) profile[key] = value(raw[key], `${where}.${key}`); };
+  const ejections = ['eject', 'between', 'ejectGcode'].filter((key) => raw[key] !== undefined);
+  if (ejections.length > 1) throw new InputError(`${where}: use one of eject, between and ejectGcode, not ${ejections.join(' and ')}.`);
+
+  set('description', checkString);
+  set('eject', (value, at) => {
+    if (value !== 'none' && !EJECT_PRESETS[value]) throw new InputError(`${at}: unknown ejection preset "${value}". Available: none, ${Object.keys(EJECT_PRESETS).join(', ')}.`);
+    return value;
+  });
+  set('between', (value, at) => resolvePath(value, at, baseDir));
+  set('ejectGcode', checkGcode);
+  set('cooldownGcode', checkGcode);
+  if (raw.bedClearing !== undefined) {
+    const at = `${where}.bedClearing`;
+    checkKeys(raw.bedClearing, BED_CLEARING_KEYS, at);
+    if (raw.bedClearing.maxPartHeight !== undefined) profile.maxPartHeight = checkNumber(raw.bedClearing.maxPartHeight, `${at}.maxPartHeight`, { above: true });
+    if (raw.bedClearing.releaseTemp !== undefined) {
+      if (raw.cooldownGcode !== undefined) throw new InputError(`${where}: use either cooldownGcode or bedClearing.releaseTemp, not both.`);
+      const temp = checkNumber(raw.bedClearing.releaseTemp, `${at}.releaseTemp`, { max: 120 });
+      profile.cooldownGcode = `M140 S0 ; bed off so the parts release\nM190 R${temp} ; wait for the bed to cool down to ${temp}C\n`;
+    }
+  }
+  // The cooldown runs before the parts are cleared: alone it would leave them on the bed
+  if (profile.cooldownGcode && (ejections.length === 0 || raw.eject === 'none')) {
+    throw new InputError(`${where}: a cooldown needs eject, between or ejectGcode to clear the bed after it.`);
+  }
+  ['trim', 'loopStatus', 'strict'].forEach((key) => set(key, (value, at) => {
+    if (typeof value !== 'boolean') throw new InputError(`${at} must be true or false.`);
+    return value;
+  }));
+  set('format', (value, at) => {
+    if (!FORMATS.includes(value)) throw new InputError(`${at} must be ${FORMATS.join(', ')}, got "${value}".`);
+    return value;
+  });
+  set('compression', (value, at) => {
+    if (!Number.isInteger(value) || value < 0 || value > 9) throw new InputError(`${at} must be a level from 0 (none) to 9 (smallest), got ${JSON.stringify(value)}.`);
+    return value;
+  });
+  set('schedule', (value, at) => {
+    if (!SCHEDULES.includes(value)) throw new InputError(`${at} must be ${SCHEDULES.join(' or ')}, got "${value}".`);
+    return value;
+  });
+  // Read like the command line reads them, so a mistake shows up before any file is opened
+  const parsedBy = (parse) => (value, at) => {
+    try {
+      parse(value);
+    } catch (e) {
+      throw new InputError(`${at}: ${e.message}`);
+    }
+    return value;
+  };
+  set('colors', parsedBy(parseColorSchedule));
+  set('sweep', parsedBy(parseSweeps));
+  set('outputDir', (value, at) => resolvePath(value, at, baseDir));
+  set('nameTemplate', checkString);
+  set('limits', checkLimits);
+  // A printer of the printers file, looked up when the run sends
+  set('send', checkString);
+  return profile;
+}
+
+// One file's settings: { defaultProfile, outputDir, nameTemplate, limits, profiles }, only the keys it sets
+function checkConfig(raw, filePath) {
+  const where = path.basename(filePath);
+  checkKeys(raw, CONFIG_KEYS, where);
+  const baseDir = path.dirname(filePath);
+  const config = {};
+  if (raw.defaultProfile !== undefined) config.defaultProfile = checkString(raw.defaultProfile, `${where}: defaultProfile`);
+  if (raw.outputDir !== undefined) config.outputDir = resolvePath(raw.outputDir, `${where}: outputDir`, baseDir);
+  if (raw.nameTemplate !== undefined) config.nameTemplate = checkString(raw.nameTemplate, `${where}: nameTemplate`);
+  if (raw.limits !== undefined) config.limits = checkLimits(raw.limits, `${where}: limits`);
+  if (raw.profiles !== undefined) {
+    if (!isObject(raw.profiles)) throw new InputError(`${where}: profiles must map profile names to their settings.`);
+    config.profiles = {};
+    for (const [name, profile] of Object.entries(raw.profiles)) {
+      config.profiles[name] = { name, ...checkProfile(profile, `${where}: profiles.${name}`, baseDir) };
+    }
+  }
+  return config;
+}
+
+// The user's and the project's settings merged: { files, defaultProfile, outputDir, nameTemplate, limits, profiles }
+// where files are the config files read and limits holds every limit. No config file is no settings.
+// options.cwd: where the project file is looked for
+async function loadConfig(options = {}) {
+  const { cwd = process.cwd() } = options;
+  const files = [
+    process.env.LOOPER_CONFIG ? path.resolve(cwd, process.env.LOOPER_CONFIG) : await firstExisting(userConfigDir(), CONFIG_NAMES),
+    await findProjectConfig(cwd),
+  ].filter(Boolean);
+  const merged = { files, defaultProfile: null, outputDir: null, nameTemplate: null, limits: { ...DEFAULT_LIMITS }, profiles: {} };
+  for (const filePath of [...new Set(files)]) {
+    const config = checkConfig(await readConfigFile(filePath), filePath);
+    ['defaultProfile', 'outputDir', 'nameTemplate'].forEach((key) => { if (config[key] !== undefined) merged[key] = config[key]; });
+    Object.assign(merged.limits, config.limits);
+    Object.assign(merged.profiles, config.profiles);
+  }
+  if (merged.defaultProfile && !merged.profiles[merged.defaultProfile]) {
+    const where = files.map((filePath) => path.basename(filePath)).join(' and ');
+    throw new InputError(`${where}: defaultProfile "${merged.defaultProfile}" is not one of the profiles (${Object.keys(merged.profiles).join(', ') || 'none'}).`);
+  }
+  return merged;
+}
+
+// The profile given by name, the default one when name is null, none for "none"
+function resolveProfile(config, name = null) {
+  if (name === 'none') return null;
+  const wanted = name || config.defaultProfile;
+  if (!wanted) return null;
+  if (config.profiles[wanted]) return config.profiles[wanted];
+  const names = Object.keys(config.profiles);
+  const where = config.files.length ? config.files.join(' or ') : path.join(userConfigDir(), CONFIG_NAMES[0]);
+  throw new InputError(`Unknown profile "${wanted}". ${names.length ? `Available: ${names.join(', ')}.` : `Add it to ${where}.`}`);
+}
+
+// { largeInputBytes, confirmOutputBytes }: the profile's limits over the config's
+function profileLimits(config, profile) {
+  return { ...config.limits, ...(profile && profile.limits) };
+}
+
+// loop3mf()'s options set by a profile, or by a batch job's settings checked like one; unset ones are left out
+function profileJobOptions(profile) {
+  const limits = profile.limits || {};
+  const options = {
+    eject: profile.eject,
+    betweenFile: profile.between,
+    ejectGcode: profile.ejectGcode,
+    cooldownGcode: profile.cooldownGcode,
+    maxPartHeight: profile.maxPartHeight,
+    trim: profile.trim,
+    loopStatus: profile.loopStatus,
+    format: profile.format,
+    compression: profile.compression,
+    schedule: profile.schedule,
+    colors: profile.colors,
+    sweep: profile.sweep,
+    strict: profile.strict,
+    outputDir: profile.outputDir,
+    nameTemplate: profile.nameTemplate,
+    largeInputBytes: limits.largeInputBytes,
+    maxOutputBytes: limits.confirmOutputBytes,
+  };
+  Object.keys(options).forEach((key) => { if (options[key] === undefined) delete options[key]; });
+  return options;
+}
+
+// The values of overrides over base's, unset (null or undefined) ones skipped. An ejection in overrides
+// (eject, betweenFile or ejectGcode) replaces base's whole ejection, its cooldown included.
+function overrideOptions(base, overrides) {
+  const merged = { ...base };
+  if (['eject', 'betweenFile', 'ejectGcode'].some((key) => overrides[key] != null)) {
+    ['eject', 'betweenFile', 'ejectGcode', 'cooldownGcode'].forEach((key) => delete merged[key]);
+  }
+  Object.keys(overrides).forEach((key) => { if (overrides[key] != null) merged[key] = overrides[key]; });
+  return merged;
+}
+
+// loop3mf()'s options for a profile (null: none) over the config file's output folder, name and limits, the
+// confirmation limit as maxOutputBytes: what batch jobs, the hot folder and the web UI start from
+function profileOptions(config, profile) {
+  const base = { largeInputBytes: config.limits.largeInputBytes, maxOutputBytes: config.limits.confirmOutputBytes };
+  if (config.outputDir) base.outputDir = config.outputDir;
+  if (config.nameTemplate) base.nameTemplate = config.nameTemplate;
+  return overrideOptions(base, profile ? profileJobOptions(profile) : {});
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  userConfigDir,
+  loadConfig,
+  checkProfile,
+  resolveProfile,
+  profileLimits,
+  profileJobOptions,
+  overrideOptions,
+  profileOptions,
+};
@@ -0,0 +1,20 @@
+
+// CRC-32 (IEEE 802.3, as used by zip and by binary G-code block checksums)
+const TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Pass the previous result as `crc` to checksum data that arrives in pieces
+function crc32(buf, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buf.length; i += 1) c = TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+module.exports = { crc32 };
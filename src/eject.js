@@ -0,0 +1,136 @@
+
+const fsp = require('fs').promises;
+const { InputError } = require('./errors');
+
+// {clearZ} is this far (mm) above the tallest part
+const CLEAR_Z_MARGIN = 10;
+
+// Built-in G-code inserted between loops to clear the bed.
+// Placeholders are filled in for every transition, see renderBetweenTemplate().
+const EJECT_PRESETS = {
+  'push-off': {
+    description: 'Cool the bed, then sweep the parts off the front with the toolhead',
+    gcode: [
+      'M400 ; wait for the last moves to finish',
+      'M104 S0 ; nozzle off while the bed cools',
+      'M140 S0 ; bed off so the parts release',
+      'M106 P1 S255 ; part fan at full speed',
+      'M190 R30 ; wait for the bed to cool down to 30C',
+      'M106 P1 S0',
+      'G90',
+      'G1 Z{clearZ} F900 ; lift above the parts',
+      'G1 X40 Y250 F12000 ; behind the parts, left lane',
+      'G1 Z2 F900',
+      'G1 Y5 F1500 ; push forward',
+      'G1 Z{clearZ} F900',
+      'G1 X128 Y250 F12000 ; center lane',
+      'G1 Z2 F900',
+      'G1 Y5 F1500',
+      'G1 Z{clearZ} F900',
+      'G1 X216 Y250 F12000 ; right lane',
+      'G1 Z2 F900',
+      'G1 Y5 F1500',
+      'G1 Z{clearZ} F900',
+    ],
+  },
+  'swap-plate': {
+    description: 'Cool down, park the toolhead and pause until the plate is swapped',
+    gcode: [
+      'M400 ; wait for the last moves to finish',
+      'M104 S0 ; nozzle off while the plate is swapped',
+      'M140 S0 ; bed off',
+      'G90',
+      'G1 Z{clearZ} F900 ; lift above the parts',
+      'G1 X0 Y250 F12000 ; park out of the way',
+      'M400 U1 ; pause until the plate is swapped, resume from the printer',
+    ],
+  },
+};
+
+// Between loops when start/end sequences are printed only once and nothing else clears the bed
+const TRIM_BETWEEN = [
+  'G92 E0 ; reset extruder',
+  'G90',
+  'G1 Z{clearZ} F900 ; lift above the finished parts',
+];
+
+// Appended to the between block when start sequences are printed only once: the heaters may be off
+const TRIM_REHEAT = [
+  'M140 S{bedTemp} ; back to printing temperatures',
+  'M104 S{nozzleTemp}',
+  'M190 S{bedTemp}',
+  'M109 S{nozzleTemp}',
+  'G92 E0',
+];
+
+// Between-loops template when start/end sequences are stripped: the chosen template (or a light lift)
+// followed by a reheat, which is skipped when the start temperatures are unknown
+function trimmedBetweenTemplate(between, { bedTemp = 0, nozzleTemp = 0 } = {}) {
+  const base = between || TRIM_BETWEEN.join('\n') + '\n';
+  if (!(bedTemp > 0 && nozzleTemp > 0)) return base;
+  return (base.endsWith('\n') ? base : base + '\n') + TRIM_REHEAT.join('\n') + '\n';
+}
+
+// A between block written with trim, without the reheat trimmedBetweenTemplate() added to it
+function untrimmedBetweenBlock(block, temps = {}) {
+  if (!(temps.bedTemp > 0 && temps.nozzleTemp > 0)) return block;
+  const reheat = renderBetweenTemplate(TRIM_REHEAT.join('\n'), temps);
+  return block.endsWith(reheat) ? block.slice(0, -reheat.length) : block;
+}
+
+function listEjectPresets() {
+  return Object.keys(EJECT_PRESETS).map((name) => ({ name, description: EJECT_PRESETS[name].description }));
+}
+
+// Resolve the "between loops" template from a preset name, a custom .gcode file or G-code given as it is
+// (a config profile's ejectGcode). cooldown (a profile's cooldownGcode) is put before it.
+// Returns null when nothing should be inserted.
+async function loadBetweenTemplate({ preset = null, file = null, gcode = null, cooldown = null } = {}) {
+  const template = await loadEjectTemplate({ preset, file, gcode });
+  if (!template || !cooldown) return template;
+  return (cooldown.endsWith('\n') ? cooldown : cooldown + '\n') + template;
+}
+
+async function loadEjectTemplate({ preset, file, gcode }) {
+  if (file) {
+    try {
+      return await fsp.readFile(file, 'utf8');
+    } catch (e) {
+      throw new InputError(`Could not read between-loops template: ${file} (${e.code || e.message})`);
+    }
+  }
+  if (gcode) return gcode;
+  if (!preset || preset === 'none') return null;
+  const found = EJECT_PRESETS[preset];
+  if (!found) {
+    throw new InputError(`Unknown ejection preset "${preset}". Available: none, ${Object.keys(EJECT_PRESETS).join(', ')}.`);
+  }
+  return found.gcode.join('\n') + '\n';
+}
+
+// Replace {loop}, {next}, {total}, {maxZ}, {clearZ}, {bedTemp} and {nozzleTemp}.
+// Unknown placeholders are left untouched.
+function renderBetweenTemplate(template, vars) {
+  const maxZ = Number(vars.maxZ) || 0;
+  const values = {
+    loop: vars.loop,
+    next: vars.next,
+    total: vars.total,
+    maxZ: maxZ.toFixed(2),
+    clearZ: (maxZ + CLEAR_Z_MARGIN).toFixed(2),
+    bedTemp: vars.bedTemp,
+    nozzleTemp: vars.nozzleTemp,
+  };
+  const out = template.replace(/\{(\w+)\}/g, (m, key) => (values[key] != null ? String(values[key]) : m));
+  return out.endsWith('\n') ? out : out + '\n';
+}
+
+module.exports = {
+  CLEAR_Z_MARGIN,
+  EJECT_PRESETS,
+  listEjectPresets,
+  loadBetweenTemplate,
+  renderBetweenTemplate,
+  trimmedBetweenTemplate,
+  untrimmedBetweenBlock,
+};
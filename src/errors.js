@@ -0,0 +1,80 @@
+
+// Errors thrown by the library API. `code` is stable and meant for callers to switch on.
+class LooperError extends Error {
+  constructor(message, code = 'LOOPER_ERROR') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+// The loop specifier (count, time, weight) could not be parsed
+class InvalidSpecError extends LooperError {
+  constructor(message) {
+    super(message, 'INVALID_SPEC');
+  }
+}
+
+// Missing or unreadable inputs, unknown plates, bad templates or options
+class InputError extends LooperError {
+  constructor(message) {
+    super(message, 'INPUT');
+  }
+}
+
+// The target is smaller than a single loop
+class ZeroLoopsError extends LooperError {
+  constructor(message) {
+    super(message, 'ZERO_LOOPS');
+  }
+}
+
+// The estimated output is bigger than the caller allows
+class OutputTooLargeError extends LooperError {
+  constructor(message, estimatedBytes) {
+    super(message, 'OUTPUT_TOO_LARGE');
+    this.estimatedBytes = estimatedBytes;
+  }
+}
+
+// A printer could not be reached or refused the upload. `status` is the HTTP status, if any.
+class PrinterError extends LooperError {
+  constructor(message, status = null) {
+    super(message, 'PRINTER');
+    this.status = status;
+  }
+}
+
+// Pre-flight checks found problems and the caller asked for strict. `checks` are the { check, message } found.
+class PreflightError extends LooperError {
+  constructor(message, checks = []) {
+    super(message, 'PREFLIGHT');
+    this.checks = checks;
+  }
+}
+
+// A written output failed its checks (CRC, sizes, entries, 3mf-looper markers) and was removed
+class OutputCheckError extends LooperError {
+  constructor(message) {
+    super(message, 'OUTPUT_CHECK');
+  }
+}
+
+// The user stopped an interactive flow
+class CancelledError extends LooperError {
+  constructor(message = 'Cancelled') {
+    super(message, 'CANCELLED');
+  }
+}
+
+module.exports = {
+  LooperError,
+  InvalidSpecError,
+  InputError,
+  ZeroLoopsError,
+  OutputTooLargeError,
+  PrinterError,
+  PreflightError,
+  OutputCheckError,
+  CancelledError,
+};
@@ -1,39 +1,209 @@
 const fs = require('fs');
-const { once } = require('events');
-const readline = require('readline');
+const { finished } = require('stream/promises');
 const path = require('path');
+const crypto = require('crypto');
+const { renderBetweenTemplate } = require('./eject');
+const { forEachLine } = require('./lines');
+const { createProgressRewriter } = require('./progress');
+const { buildSequence, describeSequence } = require('./schedule');
+const { createSectionScanner, measureSection, filamentMmToGrams } = require('./sections');
+const { createSummaryParser } = require('./slicers');
+const { createMoveEstimator } = require('./moves');
+const { PRINTER_SETTINGS } = require('./preflight');
+const { createLoopedScanner } = require('./looped');
+const { colorOfLoop, toolSwap, createToolRewriter } = require('./colors');
+const { sweepValues, describeSweep, sweepGcode, sweepResetGcode, createSweepRewriter } = require('./sweep');
 
-async function analyzeGcodeFile(filePath) {
-  const rs = fs.createReadStream(filePath, { encoding: 'utf8' });
-  const rl = readline.createInterface({ input: rs, crlfDelay: Infinity });
+const rounded = (minutes) => (minutes > 0 ? Math.max(1, Math.round(minutes)) : 0);
+
+// Per-slot lengths to grams, each slot with its own density and diameter when the file lists them
+function slotGrams(mmPerSlot, diameters, densities) {
+  return mmPerSlot.map((mm, i) => filamentMmToGrams(mm || 0,
+    diameters ? (diameters[i] || diameters[0]) : undefined,
+    densities ? (densities[i] || densities[0]) : undefined));
+}
+
+// Print time and filament, from the best source the file has:
+// - time: the first M73 remaining time, then the slicer's summary comments, then the moves themselves
+// - filament: summary grams, then summary length with the file's density and diameter, then the extrusion moves
+// source: a file path or a function opening a stream of the G-code, e.g. straight from a zip entry (see forEachLine)
+// options.metadata: [key, value] entries kept outside the G-code (binary G-code metadata blocks),
+// read like PrusaSlicer's "; key = value" comments
+// Returns { minutes, grams, filaments, maxZ, sections, slicer, printer, looped, sources: { time, filament } } where
+// filaments are the grams per filament slot (index 0 is slot 1) and a source is 'm73', 'summary', 'moves' or 'none'.
+// printer holds what the slicer's config comments say it was sliced for, see PRINTER_SETTINGS.
+// looped is the layout of a 3mf-looper output (see src/looped.js), null for other files: the totals are then the whole job's.
+async function analyzeGcodeFile(source, options = {}) {
+  const { metadata = [] } = options;
   const timeRegex = /\bM73\s+P\d+\s+R(\d+)\b/;
-  const filamentRegex = /;\s*filament used \[g\]\s*=\s*([0-9]+(?:\.[0-9]+)?)\s*,\s*([0-9]+(?:\.[0-9]+)?)\s*,\s*([0-9]+(?:\.[0-9]+)?)\s*,\s*([0-9]+(?:\.[0-9]+)?)/i;
-  let minutes = null;
-  let grams = 0;
-  let lastFilamentMatch = null;
-  for await (const line of rl) {
-    if (minutes === null) {
+  const maxZHeaderRegex = /^;\s*(?:max_z_height:|max_layer_z\s*=|MAXZ:)\s*([0-9]+(?:\.[0-9]+)?)/i;
+  const moveZRegex = /^G[01]\s.*\bZ(-?[0-9]*\.?[0-9]+)/;
+  const densityRegex = /^;\s*filament_density\s*[:=]\s*([0-9.,; ]+)/i;
+  const diameterRegex = /^;\s*filament_diameter\s*[:=]\s*([0-9.,; ]+)/i;
+  const settingRegex = /^;\s*(\w+)\s*=\s*(.+?)\s*$/;
+  const numbers = (text) => text.split(/[,;]/).map((v) => parseFloat(v)).filter(Number.isFinite);
+  const scanner = createSectionScanner();
+  const summary = createSummaryParser();
+  const moves = createMoveEstimator();
+  const looped = createLoopedScanner();
+  // Summary comments of each copy of a 3mf-looper output
+  const copySummaries = new Map();
+  let m73Minutes = null;
+  let headerMaxZ = null;
+  let movesMaxZ = 0;
+  let relative = false;
+  let z = 0;
+  let densities;
+  let diameters;
+  const printer = {};
+  const scanComment = (line) => {
+    summary.scan(line);
+    const copy = looped.copy();
+    if (copy) {
+      if (!copySummaries.has(copy)) copySummaries.set(copy, createSummaryParser());
+      copySummaries.get(copy).scan(line);
+    }
+    const setting = line.match(settingRegex);
+    if (setting && PRINTER_SETTINGS[setting[1]] && printer[PRINTER_SETTINGS[setting[1]]] === undefined) {
+      printer[PRINTER_SETTINGS[setting[1]]] = setting[2];
+    }
+    if (headerMaxZ === null) {
+      const h = line.match(maxZHeaderRegex);
+      if (h) headerMaxZ = parseFloat(h[1]);
+    }
+    if (densities === undefined) {
+      const d = line.match(densityRegex);
+      if (d && numbers(d[1]).length) densities = numbers(d[1]);
+    }
+    if (diameters === undefined) {
+      const d = line.match(diameterRegex);
+      if (d && numbers(d[1]).length) diameters = numbers(d[1]);
+    }
+  };
+  await forEachLine(source, (line, start, end) => {
+    scanner.scan(line, start, end);
+    looped.scan(line, start, end);
+    if (line.charCodeAt(0) === 59 /* ; */) {
+      scanComment(line);
+      return;
+    }
+    moves.scan(line);
+    if (line.startsWith('G90')) relative = false;
+    else if (line.startsWith('G91')) relative = true;
+    const zMove = line.match(moveZRegex);
+    if (zMove) {
+      z = relative ? z + parseFloat(zMove[1]) : parseFloat(zMove[1]);
+      if (z > movesMaxZ) movesMaxZ = z;
+    }
+    if (m73Minutes === null) {
       const t = line.match(timeRegex);
       if (t) {
-        minutes = parseInt(t[1], 10);
+        m73Minutes = parseInt(t[1], 10);
       }
     }
-    const f = line.match(filamentRegex);
-    if (f) {
-      lastFilamentMatch = f;
-    }
+  });
+  for (const [key, value] of metadata) scanComment(`; ${key} = ${value}`);
+
+  const layout = looped.result();
+  // Binary G-code keeps the summary of the whole job in its metadata
+  const found = layout && metadata.length === 0 ? loopedSummary(layout, copySummaries, summary.result().slicer, diameters, densities) : summary.result();
+  const moved = moves.result();
+  let minutes = 0;
+  let timeSource = 'none';
+  if (m73Minutes !== null) {
+    minutes = m73Minutes;
+    timeSource = 'm73';
+  } else if (found.minutes !== null) {
+    minutes = rounded(found.minutes);
+    timeSource = 'summary';
+  } else if (moved.minutes > 0) {
+    minutes = rounded(moved.minutes);
+    timeSource = 'moves';
+  }
+  let filaments = [];
+  let filamentSource = 'none';
+  if (found.grams !== null) {
+    filaments = found.grams;
+    filamentSource = 'summary';
+  } else if (found.mm !== null) {
+    filaments = slotGrams(found.mm, diameters, densities);
+    filamentSource = 'summary';
+  } else if (moved.extrudedMm > 0) {
+    filaments = slotGrams(moved.extrudedPerTool, diameters, densities);
+    filamentSource = 'moves';
+  }
+  const grams = filaments.reduce((sum, g) => sum + g, 0);
+  // Start and end sequences use the first slot's filament for the gram conversion
+  const diameter = diameters ? diameters[0] : undefined;
+  const density = densities ? densities[0] : undefined;
+  // Prefer the slicer's own print height; moves also include the end G-code lift
+  const maxZ = headerMaxZ !== null ? headerMaxZ : movesMaxZ;
+
+  // Start/end sequences, what they cost and the temperatures the start sequence sets
+  const sections = scanner.result();
+  let trim = null;
+  if (sections) {
+    const startStats = await measureSection(source, 0, sections.bodyStart);
+    const endStats = await measureSection(source, sections.bodyEnd, sections.size, { topZ: headerMaxZ });
+    trim = {
+      bodyStart: sections.bodyStart,
+      bodyEnd: sections.bodyEnd,
+      size: sections.size,
+      startMinutes: sections.startMinutes,
+      endMinutes: sections.endMinutes,
+      startGrams: filamentMmToGrams(startStats.extrudedMm, diameter, density),
+      endGrams: filamentMmToGrams(endStats.extrudedMm, diameter, density),
+      bedTemp: startStats.bedTemp,
+      nozzleTemp: startStats.nozzleTemp,
+      endLifts: endStats.lifts,
+      endBedOff: endStats.bedOff,
+      endWaitsToCool: endStats.waitsToCool,
+    };
   }
-  if (lastFilamentMatch) {
-    const vals = lastFilamentMatch.slice(1).map((v) => parseFloat(v) || 0);
-    grams = vals.reduce((s, v) => s + v, 0);
+  return {
+    minutes,
+    grams,
+    filaments,
+    maxZ,
+    sections: trim,
+    slicer: found.slicer,
+    printer,
+    looped: layout,
+    sources: { time: timeSource, filament: filamentSource },
+  };
+}
+
+// A 3mf-looper output's summary: the sum of its copies' own summaries, which only count when every copy has
+// one (trimmed copies lose the slicer's header). Its M73 values already count the whole job.
+function loopedSummary(layout, copySummaries, slicer, diameters, densities) {
+  const copies = layout.copies.map((c) => (copySummaries.has(c) ? copySummaries.get(c).result() : null));
+  const sum = { minutes: null, grams: null, mm: null, slicer };
+  if (copies.every((c) => c && c.minutes !== null)) sum.minutes = copies.reduce((total, c) => total + c.minutes, 0);
+  if (copies.every((c) => c && (c.grams !== null || c.mm !== null))) {
+    sum.grams = [];
+    for (const c of copies) {
+      (c.grams !== null ? c.grams : slotGrams(c.mm, diameters, densities)).forEach((g, i) => { sum.grams[i] = (sum.grams[i] || 0) + g; });
+    }
   }
-  return { minutes: minutes || 0, grams };
+  return sum;
 }
 
+// Resolves once the chunk is written or the stream drained; rejects when the stream fails or closes first
 async function writeString(ws, str) {
   return new Promise((resolve, reject) => {
-    const ok = ws.write(str, (err) => (err ? reject(err) : resolve()));
-    if (!ok) ws.once('drain', resolve);
+    const settle = (err) => {
+      ws.off('drain', drained);
+      ws.off('error', settle);
+      ws.off('close', closed);
+      if (err) reject(err);
+      else resolve();
+    };
+    const drained = () => settle();
+    const closed = () => settle(ws.errored || new Error('The output was closed before everything was written.'));
+    ws.on('error', settle);
+    ws.on('close', closed);
+    const ok = ws.write(str, (err) => settle(err));
+    if (!ok) ws.on('drain', drained);
   });
 }
 
@@ -48,37 +218,154 @@ function formatDateTime(d) {
   return `${yyyy}-${mm}-${dd} ${HH}:${MM}:${SS}`;
 }
 
-async function streamRepeatFiles(sourcePaths, destPath, times, fileDisplayNames = []) {
-  const ws = fs.createWriteStream(destPath);
-  ws.on('error', (e) => { throw e; });
-
-  const names = fileDisplayNames.length ? fileDisplayNames.join(', ') : sourcePaths.map((p) => path.basename(p)).join(', ');
-  const header = `; 3mf-looper: File modified at ${formatDateTime(new Date())} for ${times} loops for files: ${names}`;
-  await writeString(ws, header + "\n");
-
-  console.log(``);
-  console.log(`⏳ Starting file generation`);
-  for (let i = 1; i <= times; i += 1) {
-    if (i > 1) await writeString(ws, `; 3mf-looper: Starting loop ${i}\n`);
-    for (let s = 0; s < sourcePaths.length; s += 1) {
-      const displayName = fileDisplayNames[s] || path.basename(sourcePaths[s]);
-      await writeString(ws, `; 3mf-looper: Starting loop ${i} for "${displayName}"\n`);
-      await new Promise((resolve, reject) => {
-        const rs = fs.createReadStream(sourcePaths[s]);
-        rs.on('error', reject);
-        rs.on('end', resolve);
-        rs.pipe(ws, { end: false });
-      });
+// times: loops; options.weights: copies of each source per loop (1 each by default)
+// options.schedule: 'interleaved' (every loop prints its copies of each source) or 'sequential'
+//   (all copies of one source, then the next; every copy is a loop), see src/schedule.js
+// options.between: G-code template inserted between loops (see src/eject.js)
+// options.maxZ: highest Z of the looped files, used by the template placeholders
+// options.sections: per source { bodyStart, bodyEnd, size } to print the start sequence only in the
+//   first copy and the end sequence only in the last one (null entries are copied whole)
+// options.temps: { bedTemp, nozzleTemp } for the template placeholders
+// options.onProgress: called with { type: 'loop', loop, total } before each loop is written
+// options.prefix / options.suffix: text written before the header and after the footer (thumbnails, metadata)
+// options.minutes: print time of each source, to rewrite M73 progress over the whole job (sections need
+//   startMinutes/endMinutes then); without it M73 lines are copied as they are
+// options.loopStatus: write an M117 "Loop i/N" display message at the start of every loop
+// options.markers: false leaves out the 3mf-looper header and loop comments (a single copy restored as it was)
+// options.bodyStarts: per source, where its start sequence ends (null when unknown). Colour changes and sweep
+//   settings are written there in the first copy of a loop, before the copy when it is unknown
+// options.colors: { schedule, changes } to print the loops in turns of colour (see src/colors.js): changes[i] is
+//   the G-code changing to schedule[i], for loops whose colour differs from the loop before; tool numbers follow
+//   the loop's slot
+// options.sweep: [{ name, values }] settings changed from loop to loop (see src/sweep.js), recorded in the markers
+// options.slicers: per source, the slicer that made it, which numbers the part cooling fan the sweep sets
+// dest: a file path, or a writable stream that is ended when done (e.g. a zip entry)
+// Resolves to { md5, bytes, unswept }, unswept naming the swept settings that no command in the copies set
+async function streamRepeatFiles(sourcePaths, dest, times, fileDisplayNames = [], options = {}) {
+  const ws = typeof dest === 'string' ? fs.createWriteStream(dest) : dest;
+  // A failing output (a full disk) rejects the next write rather than throwing from the listener, and a failure
+  // on the way closes it so the caller can remove it
+  const output = { ws, failed: null };
+  ws.on('error', (e) => { output.failed = e; });
+  try {
+    return await writeRepeat(sourcePaths, output, times, fileDisplayNames, options);
+  } catch (e) {
+    ws.destroy();
+    throw e;
+  }
+}
+
+async function writeRepeat(sourcePaths, output, times, fileDisplayNames, options) {
+  const { between = null, maxZ = 0, sections = null, temps = {}, prefix = '', suffix = '', minutes = null, loopStatus = false, markers = true, bodyStarts = null, colors = null, sweep = null, slicers = null, onProgress = () => {} } = options;
+  const weights = options.weights || sourcePaths.map(() => 1);
+  const schedule = options.schedule || 'interleaved';
+  const sequence = buildSequence(weights, times, schedule);
+  const loops = sequence[sequence.length - 1].loop;
+  const { ws } = output;
+  // MD5 and length of everything written, for the 3MF sidecar files
+  const hash = crypto.createHash('md5');
+  let bytes = 0;
+  const write = (str) => {
+    if (output.failed) return Promise.reject(output.failed);
+    hash.update(str);
+    bytes += Buffer.byteLength(str);
+    return writeString(ws, str);
+  };
+  const last = sequence.length - 1;
+  // Time printed by the n-th copy: its start and end sequences only where they are kept
+  const keeps = (n) => {
+    const sec = sections && sections[sequence[n].source];
+    return { start: !sec || n === 0, end: !sec || n === last, sec };
+  };
+  const segmentMinutes = (n) => {
+    const { start, end, sec } = keeps(n);
+    return Math.max(0, minutes[sequence[n].source] - (start ? 0 : sec.startMinutes) - (end ? 0 : sec.endMinutes));
+  };
+  let totalMinutes = 0;
+  if (minutes) {
+    for (let n = 0; n <= last; n += 1) totalMinutes += segmentMinutes(n);
+  }
+  const progress = createProgressRewriter(totalMinutes);
+  const tools = createToolRewriter();
+  const sweeper = createSweepRewriter();
+
+  // Copy a byte range of a source (end exclusive, null for the whole file), streamed through the M73 rewriter
+  const pipeRange = async (filePath, start = 0, end = null) => {
+    if (end !== null && end <= start) return;
+    const rs = fs.createReadStream(filePath, end !== null ? { start, end: end - 1 } : { start });
+    for await (const chunk of rs) {
+      const out = sweeper.transform(tools.transform(progress.transform(chunk)));
+      if (out.length) await write(out);
+    }
+    const tail = Buffer.concat([tools.transform(progress.flush()), tools.flush()]);
+    const rest = Buffer.concat([sweeper.transform(tail), sweeper.flush()]);
+    if (rest.length) await write(rest);
+  };
+
+  const names = sourcePaths.map((p, s) => fileDisplayNames[s] || path.basename(p));
+  const header = `; 3mf-looper: File modified at ${formatDateTime(new Date())} for ${loops} loops for files: ${describeSequence(weights, times, schedule, names)}`;
+  if (prefix) await write(prefix);
+  if (markers) await write(header + "\n");
+  if (sections && markers) await write(`; 3mf-looper: Start sequence printed in loop 1 only, end sequence in loop ${loops} only\n`);
+
+  let elapsed = 0;
+  for (let n = 0; n <= last; n += 1) {
+    const { source, loop, copy, copies } = sequence[n];
+    if (n === 0 || sequence[n - 1].loop !== loop) {
+      onProgress({ type: 'loop', loop, total: loops });
+      if (loop > 1 && markers) await write(`; 3mf-looper: Starting loop ${loop}\n`);
+      if (loopStatus) await write(`M117 Loop ${loop}/${loops}\n`);
+    }
+    const displayName = names[source];
+    const firstOfLoop = n === 0 || sequence[n - 1].loop !== loop;
+    const swept = sweep ? sweepValues(sweep, loop) : null;
+    const sweptLabel = swept ? ` with ${describeSweep(swept)}` : '';
+    if (markers) await write(`; 3mf-looper: Starting loop ${loop} for "${displayName}"${copies > 1 ? ` (copy ${copy}/${copies})` : ''}${sweptLabel}\n`);
+    const sec = sections && sections[source];
+    if (minutes) {
+      // The source's M73 count from its own start, which was skipped unless this range has it
+      progress.segment(elapsed - (keeps(n).start ? 0 : sec.startMinutes), minutes[source]);
+      elapsed += segmentMinutes(n);
+    }
+    // What the loop changes is set once its first copy's start sequence has heated the nozzle
+    let insert = '';
+    if (colors) {
+      const color = colorOfLoop(colors.schedule, loop);
+      tools.use(toolSwap(color));
+      if (loop > 1 && firstOfLoop && colorOfLoop(colors.schedule, loop - 1).label !== color.label) {
+        if (markers) insert += `; 3mf-looper: Filament change to ${color.label} for loop ${loop}\n`;
+        insert += colors.changes[colors.schedule.indexOf(color)];
+      }
+    }
+    if (swept && firstOfLoop) insert += sweepGcode(swept);
+    // Trimmed copies after the first start at their body, after the between block has reheated
+    const from = sec && n > 0 ? sec.bodyStart : 0;
+    const bodyStart = sec ? sec.bodyStart : bodyStarts && bodyStarts[source];
+    const split = bodyStart != null && bodyStart > from;
+    if (split) await pipeRange(sourcePaths[source], from, bodyStart);
+    if (insert) await write(insert);
+    // Swept settings follow the loop's values in the body (the whole copy when its start sequence is unknown)
+    sweeper.use(swept, slicers && slicers[source]);
+    await pipeRange(sourcePaths[source], split ? bodyStart : from, sec ? sec.bodyEnd : null);
+    sweeper.use(null);
+    if (sec && n === last) {
+      if (markers) await write(`; 3mf-looper: End sequence from "${displayName}"\n`);
+      await pipeRange(sourcePaths[source], sec.bodyEnd, sec.size);
+    }
+    if (between && n < last && sequence[n + 1].loop !== loop) {
+      await write(`\n; 3mf-looper: Between loops ${loop} and ${loop + 1}\n`);
+      await write(renderBetweenTemplate(between, { loop, next: loop + 1, total: loops, maxZ, ...temps }));
+      await write(`; 3mf-looper: End of between loops ${loop} and ${loop + 1}\n`);
     }
   }
 
+  if (sweep && sweepResetGcode(sweep)) await write(sweepResetGcode(sweep));
   const footer = header;
-  await writeString(ws, "\n" + footer + "\n");
+  if (markers) await write("\n" + footer + "\n");
+  if (suffix) await write(suffix);
   ws.end();
-  await once(ws, 'finish');
-  console.log('');
-  console.log(`✅ GCODE file looped!`);
-  console.log(`📦 Compressing back to .3mf, it may take a while for large files...`);
+  await finished(ws, { readable: false });
+  return { md5: hash.digest('hex'), bytes, unswept: sweep ? sweeper.unswept(sweep) : [] };
 }
 
 module.exports = {
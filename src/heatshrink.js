@@ -0,0 +1,105 @@
+
+// heatshrink LZSS, the compression Prusa firmware expects in binary G-code blocks.
+// The bit stream is MSB first: a 1 bit and 8 bits for a literal byte, or a 0 bit, (offset - 1)
+// in windowBits and (count - 1) in lookaheadBits for a back-reference into the output.
+
+function decompress(input, outputSize, windowBits, lookaheadBits) {
+  const out = Buffer.alloc(outputSize);
+  let pos = 0;
+  let bitPos = 0;
+  const totalBits = input.length * 8;
+  const readBits = (count) => {
+    let value = 0;
+    for (let i = 0; i < count; i += 1) {
+      value = (value << 1) | ((input[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+      bitPos += 1;
+    }
+    return value;
+  };
+  while (pos < outputSize && bitPos < totalBits) {
+    if (readBits(1)) {
+      if (bitPos + 8 > totalBits) break;
+      out[pos++] = readBits(8);
+      continue;
+    }
+    // Trailing padding bits are zeros, too short for a back-reference
+    if (bitPos + windowBits + lookaheadBits > totalBits) break;
+    const offset = readBits(windowBits) + 1;
+    const count = readBits(lookaheadBits) + 1;
+    for (let i = 0; i < count && pos < outputSize; i += 1) {
+      out[pos] = pos - offset >= 0 ? out[pos - offset] : 0;
+      pos += 1;
+    }
+  }
+  if (pos !== outputSize) throw new Error(`heatshrink data ends after ${pos} of ${outputSize} bytes`);
+  return out;
+}
+
+// Greedy matcher on 3-byte hash chains, bounded so large G-code stays fast
+const MIN_MATCH = 2;
+const MAX_CHAIN = 32;
+
+function compress(input, windowBits, lookaheadBits) {
+  const windowSize = 1 << windowBits;
+  const maxCount = 1 << lookaheadBits;
+  const out = Buffer.alloc(Math.ceil((input.length * 9) / 8) + 1);
+  let outPos = 0;
+  let bitBuf = 0;
+  let bitCount = 0;
+  // Fewer than 8 bits stay pending, so a 17-bit back-reference still fits in 32 bits
+  const writeBits = (value, count) => {
+    bitBuf = (bitBuf << count) | value;
+    bitCount += count;
+    while (bitCount >= 8) {
+      bitCount -= 8;
+      out[outPos++] = (bitBuf >>> bitCount) & 0xff;
+    }
+    bitBuf &= (1 << bitCount) - 1;
+  };
+
+  const head = new Int32Array(1 << 15).fill(-1);
+  const prev = new Int32Array(input.length);
+  const hashAt = (i) => ((input[i] << 10) ^ (input[i + 1] << 5) ^ input[i + 2]) & 0x7fff;
+  const insert = (i) => {
+    if (i + 2 >= input.length) return;
+    const h = hashAt(i);
+    prev[i] = head[h];
+    head[h] = i;
+  };
+
+  let i = 0;
+  while (i < input.length) {
+    let bestLength = 0;
+    let bestOffset = 0;
+    if (i + 2 < input.length) {
+      let candidate = head[hashAt(i)];
+      const limit = Math.min(maxCount, input.length - i);
+      for (let chain = 0; candidate >= 0 && i - candidate <= windowSize && chain < MAX_CHAIN; chain += 1) {
+        let length = 0;
+        while (length < limit && input[candidate + length] === input[i + length]) length += 1;
+        if (length > bestLength) {
+          bestLength = length;
+          bestOffset = i - candidate;
+          if (length === limit) break;
+        }
+        candidate = prev[candidate];
+      }
+    }
+    if (bestLength >= MIN_MATCH) {
+      writeBits(((bestOffset - 1) << lookaheadBits) | (bestLength - 1), 1 + windowBits + lookaheadBits);
+      for (let k = 0; k < bestLength; k += 1) insert(i + k);
+      i += bestLength;
+    } else {
+      writeBits(0x100 | input[i], 9);
+      insert(i);
+      i += 1;
+    }
+  }
+  if (bitCount > 0) out[outPos++] = bitBuf << (8 - bitCount);
+  return out.subarray(0, outPos);
+}
+
+module.exports = {
+  compress,
+  decompress,
+};
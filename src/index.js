@@ -1,14 +1,23 @@
-const fs = require('fs');
 const fsp = require('fs').promises;
 const path = require('path');
-const os = require('os');
 const prompts = require('prompts');
 const { spawn } = require('child_process');
 
-const { safeStat, safeRm, extractZipToDir, zipDirectoryContents, listTopLevelGcodesInZip, findMetadataDirectory, getTopLevelGcodeSizes } = require('./zip');
-const { analyzeGcodeFile, streamRepeatFiles } = require('./gcode');
-const { formatDuration, formatMass, parseLoopSpecifier } = require('./compute');
-const { printFinal } = require('./log');
+const { prepareJob, planJob, writeJob, disposeJob, listPlates, inspectInputs, reloop3mf, unloop3mf, pack3mf, DEFAULT_NAME_TEMPLATE } = require('./api');
+const { parseCliArgs, BATCH_OPTIONS, WATCH_OPTIONS, INSPECT_OPTIONS, RELOOP_OPTIONS, UNLOOP_OPTIONS, PACK_OPTIONS, SERVE_OPTIONS } = require('./args');
+const { loadManifest, runBatch } = require('./batch');
+const { watchFolder } = require('./watch');
+const { createLooperServer } = require('./server');
+const { loadPrinters, resolvePrinter, checkPrinterFormat, sendToPrinter } = require('./printers');
+const { formatDateTime } = require('./gcode');
+const { formatClock, formatDuration, formatMass, parseLoopSpecifier, loopCosts } = require('./compute');
+const { printFinal, printWarning, printProgress } = require('./log');
+const { listEjectPresets, loadBetweenTemplate } = require('./eject');
+const { plateSelectorArg } = require('./plates');
+const { describeSequence } = require('./schedule');
+const { sweepValues, describeSweep } = require('./sweep');
+const { loadConfig, resolveProfile, profileLimits, profileOptions, overrideOptions, userConfigDir, DEFAULT_LIMITS } = require('./config');
+const { InvalidSpecError, InputError, ZeroLoopsError, OutputTooLargeError, PrinterError, CancelledError } = require('./errors');
 
 const CYAN = '\x1b[36m';
 const MAGENTA = '\x1b[35m';
@@ -47,146 +56,583 @@ async function run(argv) {
 }
 
 async function runCli(argv) {
-  const [loopArg, ...rawArgs] = argv;
+  if (argv[0] === 'batch') return runBatchCli(argv.slice(1));
+  if (argv[0] === 'watch') return runWatchCli(argv.slice(1));
+  if (argv[0] === 'serve') return runServeCli(argv.slice(1));
+  if (argv[0] === 'inspect') return runInspectCli(argv.slice(1));
+  if (argv[0] === 'reloop' || argv[0] === 'unloop') return runLoopedCli(argv[0], argv.slice(1));
+  if (argv[0] === 'pack') return runPackCli(argv.slice(1));
+  // Checked on the raw arguments so that parse errors are reported as JSON too
+  if (!argv.includes('--json')) {
+    const { options, positionals } = parseCliArgs(argv);
+    if (options.help) return printUsage();
+    return runCliJob(options, positionals);
+  }
+  try {
+    const { options, positionals } = parseCliArgs(argv);
+    if (options.help) return printUsage();
+    const result = await runCliJob(options, positionals);
+    console.log(JSON.stringify({ ok: true, ...result }, null, 2));
+  } catch (e) {
+    // A failed --strict run lists its pre-flight checks
+    const checks = e.checks ? { checks: e.checks } : {};
+    console.log(JSON.stringify({ ok: false, error: { code: e.code || 'ERROR', message: e.message, ...checks } }, null, 2));
+    throw e;
+  }
+}
+
+// --json keeps stdout for the summary: progress is dropped, warnings and prompts go to stderr
+async function runCliJob(cliOptions, positionals) {
+  const config = await loadConfig();
+  const profile = resolveProfile(config, cliOptions.profile || null);
+  const options = withProfile(cliOptions, config, profile);
+  const limits = profileLimits(config, profile);
+  const [loopArg, ...fileArgs] = positionals;
   const loopSpec = parseLoopSpecifier(loopArg);
   if (loopSpec.type === 'invalid') {
-    throw new Error('Invalid loop specifier. Use a count (e.g., 5), time (e.g., 2h), or grams (e.g., 100g).');
+    throw new InvalidSpecError('Invalid loop specifier. Use a count (e.g., 5), time (e.g., 2h), grams (e.g., 100g), grams per filament slot (e.g., 1=250g,3=1kg), a clock time (until 07:30) or several of them (12h,800g).');
   }
-
-  const fileArgs = rawArgs;
   if (fileArgs.length === 0) {
-    throw new Error('Missing .3mf files.');
+    throw new InputError('Missing .3mf, .gcode or .bgcode files.');
   }
-  // Flags removed: a 3MF is expected to contain exactly one top-level metadata/*.gcode
-
-  const inputPaths = fileArgs.map((p) => path.resolve(process.cwd(), p));
-  const inputStats = [];
-  for (const p of inputPaths) {
-    const st = await safeStat(p);
-    if (!st || !st.isFile()) throw new Error(`Input path does not exist or is not a file: ${p}`);
-    inputStats.push(st);
+  if (options.output && options['out-dir']) {
+    throw new InputError('Use either --output or --out-dir, not both.');
   }
+  if (options.output && options['name-template']) {
+    throw new InputError('--name-template has no effect with --output, which sets the whole path.');
+  }
+  if (options.start && !options.send) {
+    throw new InputError('--start needs --send <printer>.');
+  }
+  const printer = options.send ? resolvePrinter(await loadPrinters(options.printers), options.send) : null;
+  const between = await loadBetweenTemplate({
+    preset: options.eject,
+    file: options.between ? path.resolve(process.cwd(), options.between) : null,
+    gcode: options.ejectGcode,
+    cooldown: options.cooldownGcode,
+  });
 
-  const firstInputPath = inputPaths[0];
-  const { dir: inputDir, name: inputBaseName } = path.parse(firstInputPath);
+  const onProgress = options.json ? (e) => { if (e.type === 'warning') printWarning(e.message); } : printProgress;
+  if (profile && !options.json) printProfile(profile);
+  const job = await prepareJob({ inputs: fileArgs, largeInputBytes: limits.largeInputBytes, onProgress });
+  try {
+    const plan = planJob(job, {
+      spec: loopSpec,
+      trim: !!options.trim,
+      format: options.format,
+      schedule: options.schedule,
+      colors: options.colors,
+      sweep: options.sweep,
+      between,
+      noEject: options.eject === 'none',
+      strict: !!options.strict,
+      maxPartHeight: options.maxPartHeight,
+    });
+    if (printer) checkPrinterFormat(printer, plan.format);
+    if (plan.saved && !options.json) printTrimSavings(plan.saved);
+    if (!options.json) printSchedule(job, plan);
+    if (!options.json) printSlots(plan);
+    if (!options.json) printColors(plan);
+    if (!options.json) printSweep(plan);
+    if (!options.json) printTarget(plan);
+    await confirmLargeOutput(plan.estimatedBytes, { yes: options.yes, stdout: options.json ? process.stderr : process.stdout, limit: limits.confirmOutputBytes });
 
-  const hundredMB = 100 * 1024 * 1024;
-  for (let i = 0; i < inputPaths.length; i += 1) {
-    if (inputStats[i].size > hundredMB) {
-      const YELLOW = '\x1b[33m';
-      const BOLD = '\x1b[1m';
-      const RESET = '\x1b[0m';
-      console.warn(`${BOLD}${YELLOW}WARNING:${RESET} Input ${i + 1} is ${(inputStats[i].size / (1024*1024)).toFixed(1)} MB (> 100 MB). Proceeding...`);
+    const result = await writeJob(job, plan, {
+      between,
+      loopStatus: options['loop-status'],
+      compression: options.compression,
+      outputPath: options.output,
+      outputDir: options['out-dir'],
+      nameTemplate: options['name-template'],
+    });
+    if (!options.json) printResult(result);
+    if (printer) {
+      result.sent = await sendOutput(printer, result.outputPath, { start: !!options.start, onProgress: options.json ? () => {} : printProgress });
+      if (!options.json) printSent(result.sent);
     }
+    if (options.json) return result;
+
+    // Offer to open containing folder in Finder (macOS)
+    if (!printer && !options.yes && !options['no-open'] && process.stdin.isTTY) await offerOpenFolder(result.outputPath);
+    return result;
+  } finally {
+    await disposeJob(job);
   }
+}
 
-  const tempRoot = await fsp.mkdtemp(path.join(os.tmpdir(), 'gcode-3mf-looper-'));
+// The command line's options over the profile's, over the config file's output folder and name. A profile's
+// ejection is left out when --eject or --between is given, the output folder and name when --output is.
+function withProfile(options, config, profile) {
+  const p = profile || {};
+  const defaults = {
+    trim: p.trim,
+    'loop-status': p.loopStatus,
+    format: p.format,
+    compression: p.compression,
+    schedule: p.schedule,
+    colors: p.colors,
+    sweep: p.sweep,
+    strict: p.strict,
+    maxPartHeight: p.maxPartHeight,
+    send: p.send,
+  };
+  if (!options.eject && !options.between) Object.assign(defaults, { eject: p.eject, between: p.between, ejectGcode: p.ejectGcode, cooldownGcode: p.cooldownGcode });
+  if (!options.output) Object.assign(defaults, { 'out-dir': p.outputDir || config.outputDir, 'name-template': p.nameTemplate || config.nameTemplate });
+  Object.keys(defaults).forEach((key) => { if (defaults[key] == null) delete defaults[key]; });
+  return { ...defaults, ...options };
+}
 
+function printProfile(profile) {
+  console.log(`⚙️  Profile: ${profile.name}${profile.description ? ` (${profile.description})` : ''}`);
+}
+
+// Without a preview to confirm, outputs above the config's limit (1 GB by default) fail unless --yes
+async function unconfirmedOutputLimit(yes) {
+  if (yes) return null;
+  return (await loadConfig()).limits.confirmOutputBytes;
+}
+
+// 3mf-looper batch jobs.json: every job runs even when others fail; the exit code is 1 if any failed
+async function runBatchCli(argv) {
+  if (!argv.includes('--json')) return runBatchJobs(argv);
   try {
-    // 1) Discover top-level GCODE names from zips
-    const gcodeNameCandidatesPerInput = [];
-    for (let i = 0; i < inputPaths.length; i += 1) {
-      const names = await listTopLevelGcodesInZip(inputPaths[i]);
-      if (names.length === 0) throw new Error(`No top-level metadata/*.gcode found in input ${i + 1}.`);
-      gcodeNameCandidatesPerInput.push(names);
-    }
+    return await runBatchJobs(argv);
+  } catch (e) {
+    console.log(JSON.stringify({ ok: false, error: { code: e.code || 'ERROR', message: e.message } }, null, 2));
+    throw e;
+  }
+}
 
-    // 2) Enforce exactly one GCODE per input
-    const selectedNamesPerInput = [];
-    for (let i = 0; i < gcodeNameCandidatesPerInput.length; i += 1) {
-      const candidates = gcodeNameCandidatesPerInput[i];
-      if (candidates.length !== 1) {
-        throw new Error(`Expected exactly one top-level metadata/*.gcode in input ${i + 1}, found ${candidates.length}.`);
-      }
-      selectedNamesPerInput.push([candidates[0]]);
-    }
+async function runBatchJobs(argv) {
+  const { options, positionals } = parseCliArgs(argv, BATCH_OPTIONS);
+  if (options.help || positionals.length !== 1) return printBatchUsage();
+  const batch = await loadManifest(path.resolve(process.cwd(), positionals[0]));
+  const concurrency = options.concurrency != null ? Number(options.concurrency) : batch.concurrency;
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new InputError(`--concurrency must be a whole number (1 or more), got "${options.concurrency}".`);
 
-    // 3) Extract each zip
-    const extractedDirs = [];
-    for (let i = 0; i < inputPaths.length; i += 1) {
-      const subdir = path.join(tempRoot, `input-${i + 1}`);
-      await extractZipToDir(inputPaths[i], subdir);
-      extractedDirs.push(subdir);
-    }
+  const total = batch.jobs.length;
+  const label = (index) => `[${index + 1}/${total}]`;
+  const log = options.json ? () => {} : console.log;
+  const outcomes = await runBatch(batch, {
+    concurrency,
+    // Nobody is there to confirm large outputs: above their profile's limit (1 GB by default) they fail unless --yes
+    maxOutputBytes: options.yes ? null : undefined,
+    onJobStart: (job, index) => log(`▶ ${label(index)} ${job.name}${job.profile ? ` (${job.profile})` : ''}`),
+    onJobDone: (o) => log(o.ok ? `✅ ${label(o.index)} ${o.name}: ${path.basename(o.result.outputPath)}` : `❌ ${label(o.index)} ${o.name}: ${o.error.message}`),
+    onProgress: (job, e) => { if (e.type === 'warning') printWarning(`[${job.name}] ${e.message}`); },
+  });
+  const failed = outcomes.filter((o) => !o.ok).length;
+  if (failed) process.exitCode = 1;
+  if (options.json) {
+    console.log(JSON.stringify({ ok: failed === 0, succeeded: total - failed, failed, jobs: outcomes }, null, 2));
+    return outcomes;
+  }
+  printBatchSummary(outcomes);
+  return outcomes;
+}
 
-    // 4) Resolve metadata dirs and build source paths & display names
-    const metadataDirs = [];
-    for (let i = 0; i < extractedDirs.length; i += 1) {
-      const md = await findMetadataDirectory(extractedDirs[i]);
-      if (!md) throw new Error(`Could not find a metadata directory in input ${i + 1}.`);
-      metadataDirs.push(md);
-    }
-    const gcodePaths = [];
-    const displayNames = [];
-    for (let i = 0; i < selectedNamesPerInput.length; i += 1) {
-      for (const name of selectedNamesPerInput[i]) {
-        gcodePaths.push(path.join(metadataDirs[i], name));
-        displayNames.push(name);
-      }
-    }
+function printBatchSummary(outcomes) {
+  const rows = outcomes.map((o) => [
+    String(o.index + 1),
+    o.name,
+    o.ok ? 'ok' : 'FAILED',
+    o.ok ? String(o.result.repetitions) : '-',
+    o.ok ? formatDuration(o.result.total.minutes) : '-',
+    o.ok ? formatMass(Math.ceil(o.result.total.grams)) : '-',
+    `${Math.round(o.seconds)}s`,
+    o.ok ? path.basename(o.result.outputPath) : o.error.message,
+  ]);
+  const header = ['#', 'Job', 'Status', 'Loops', 'Time', 'Filament', 'Took', 'Output / error'];
+  const [head, ...lines] = tableLines(header, rows);
+  const failed = outcomes.filter((o) => !o.ok).length;
+  console.log('');
+  console.log(bold(head));
+  lines.forEach((line, i) => console.log(rows[i][2] === 'ok' ? line : colorRed(line)));
+  console.log('');
+  console.log(failed ? colorRed(`${failed} of ${outcomes.length} jobs failed`) : `All ${outcomes.length} jobs done`);
+}
 
-    // 5) Analyze per-loop
-    const analyses = [];
-    for (let i = 0; i < gcodePaths.length; i += 1) {
-      analyses.push(await analyzeGcodeFile(gcodePaths[i]));
-    }
-    const perLoopMinutes = analyses.reduce((sum, a) => sum + (a.minutes || 0), 0);
-    const perLoopGrams = analyses.reduce((sum, a) => sum + (a.grams || 0), 0);
-
-    // 6) Decide repetitions
-    let repetitions;
-    if (loopSpec.type === 'count') repetitions = loopSpec.value;
-    else if (loopSpec.type === 'time') repetitions = Math.floor(loopSpec.minutes / perLoopMinutes || 0);
-    else if (loopSpec.type === 'grams') repetitions = Math.floor(loopSpec.grams / perLoopGrams || 0);
-    if (!Number.isInteger(repetitions) || repetitions < 1) {
-      throw new Error(`Target yields 0 loops (per loop: ${perLoopMinutes} min, ${perLoopGrams.toFixed(2)} g). Increase target or add files.`);
-    }
+// Header and rows padded to columns; the last column is left as is
+function tableLines(header, rows) {
+  const widths = header.map((h, c) => Math.max(h.length, ...rows.map((r) => r[c].length)));
+  const line = (cells) => cells.map((cell, c) => (c === cells.length - 1 ? cell : cell.padEnd(widths[c]))).join('  ');
+  return [line(header), ...rows.map(line)];
+}
 
-    const totalMinutes = perLoopMinutes * repetitions;
-    const totalGrams = Math.ceil(perLoopGrams * repetitions);
-    const durationLabel = formatDuration(totalMinutes);
+// 3mf-looper inspect <files...> [targets...]: the analysis and the loops each target gives, nothing is written
+async function runInspectCli(argv) {
+  if (!argv.includes('--json')) return runInspect(argv);
+  try {
+    const report = await runInspect(argv);
+    console.log(JSON.stringify({ ok: true, ...report }, null, 2));
+    return report;
+  } catch (e) {
+    console.log(JSON.stringify({ ok: false, error: { code: e.code || 'ERROR', message: e.message } }, null, 2));
+    throw e;
+  }
+}
 
-    // Size estimation
-    const firstZipSize = (await fsp.stat(firstInputPath)).size;
-    const sizeMaps = [];
-    for (let i = 0; i < inputPaths.length; i += 1) {
-      sizeMaps.push(await getTopLevelGcodeSizes(inputPaths[i]));
-    }
-    const estimatedTotalBytes = estimateFinalSize(firstZipSize, sizeMaps, selectedNamesPerInput, repetitions);
-    const ONE_GB = 1024 * 1024 * 1024;
-    if (estimatedTotalBytes && estimatedTotalBytes > ONE_GB) {
-      const cont = await prompts({ type: 'confirm', name: 'ok', message: `Estimated size ~ ${Math.ceil(estimatedTotalBytes / (1024*1024))} MB exceeds 1 GB. Continue?`, initial: false });
-      if (!cont || !cont.ok) throw new Error('Cancelled');
-    }
+async function runInspect(argv) {
+  const { options, positionals } = parseCliArgs(argv, INSPECT_OPTIONS);
+  // Loop values can come anywhere after the files: "inspect a.3mf b.3mf 14h 500g"
+  const specs = positionals.filter((p) => parseLoopSpecifier(p).type !== 'invalid');
+  const inputs = positionals.filter((p) => parseLoopSpecifier(p).type === 'invalid');
+  if (options.help || inputs.length === 0) return printInspectUsage();
+  const config = await loadConfig();
+  const profile = resolveProfile(config, options.profile || null);
+  const settings = overrideOptions(profileOptions(config, profile), {
+    trim: options.trim,
+    format: options.format,
+    schedule: options.schedule,
+    colors: options.colors,
+    eject: options.eject,
+    betweenFile: options.between ? path.resolve(process.cwd(), options.between) : null,
+  });
+  if (profile && !options.json) printProfile(profile);
+  const report = await inspectInputs({
+    ...settings,
+    inputs,
+    specs,
+    onProgress: (e) => { if (e.type === 'warning') printWarning(e.message); },
+  });
+  if (options.json) return report;
+
+  const mb = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+  const filament = (f) => {
+    const used = f.slots.map((g, i) => ({ slot: i + 1, g })).filter((s) => s.g > 0);
+    const total = `${f.grams.toFixed(2)} g`;
+    return used.length > 1 ? `${total} (${used.map((s) => `S${s.slot} ${s.g.toFixed(2)}`).join(', ')})` : total;
+  };
+  const fileRows = report.files.map((f) => [
+    f.weight > 1 ? `${f.weight}x ${path.basename(f.input)}` : path.basename(f.input),
+    f.plate || '-',
+    f.slicer || '?',
+    formatDuration(f.minutes),
+    filament(f),
+    mb(f.uncompressedBytes),
+    mb(f.compressedBytes),
+  ]);
+  console.log('');
+  const [fileHead, ...fileLines] = tableLines(['File', 'Plate', 'Slicer', 'Time', 'Filament', 'G-code', 'Compressed'], fileRows);
+  console.log(bold(fileHead));
+  fileLines.forEach((line) => console.log(line));
+  console.log('');
+  console.log(`One loop: ${formatDuration(report.perLoop.minutes)}, ${report.perLoop.grams.toFixed(2)} g${settings.trim ? ' (start/end sequences printed once)' : ''}`);
+  if (report.targets.length === 0) return report;
 
-    // 7) Write into first input's gcode and rezip
-    const workingDir = extractedDirs[0];
-    const firstGcodePath = gcodePaths[0];
-    const tmpGcodePath = firstGcodePath + '.tmp';
-    await streamRepeatFiles(gcodePaths, tmpGcodePath, repetitions, displayNames);
-    await fsp.rename(tmpGcodePath, firstGcodePath);
-
-    const coreName = path.parse(firstInputPath).name.replace(/\.gcode$/i, '');
-    const outputName = `Loop X ${repetitions} - ${durationLabel} - ${formatMass(totalGrams)} - ${coreName}.gcode.3mf`;
-    const outputPath = path.join(inputDir, outputName);
-    await zipDirectoryContents(workingDir, outputPath);
-    const realSizeBytes = (await fsp.stat(outputPath)).size;
-    printFinal(
-      outputPath,
-      Math.ceil(realSizeBytes / (1024 * 1024)),
-      estimatedTotalBytes ? Math.ceil(estimatedTotalBytes / (1024 * 1024)) : null
-    );
+  const colors = (t) => (t.colors ? ` (${t.colors.map((c) => `${c.label} ${formatMass(Math.ceil(c.grams))}`).join(', ')})` : '');
+  const targetRows = report.targets.map((t) => (t.repetitions > 0
+    ? [t.spec, String(t.repetitions), formatDuration(t.totalMinutes), formatMass(Math.ceil(t.totalGrams)) + colors(t), formatClock(new Date(t.finishAt)), t.estimatedBytes ? `~ ${mb(t.estimatedBytes)}` : '?']
+    : [t.spec, '0', '-', '-', '-', 'smaller than one loop']));
+  console.log('');
+  const [targetHead, ...targetLines] = tableLines(['Target', 'Loops', 'Time', 'Filament', 'Ends', 'Output'], targetRows);
+  console.log(bold(targetHead));
+  targetLines.forEach((line) => console.log(line));
+  // Pre-flight checks do not depend on the target: shown once
+  const checked = report.targets.find((t) => t.repetitions > 1);
+  if (checked) checked.preflight.forEach((p) => printWarning(p.message));
+  return report;
+}
 
-    // Offer to open containing folder in Finder (macOS)
-    try {
-      const res = await prompts({ type: 'confirm', name: 'ok', message: 'Open containing folder in Finder?', initial: false });
-      if (res && res.ok && process.platform === 'darwin') {
-        spawn('open', ['-R', outputPath], { stdio: 'ignore', detached: true }).unref();
-      }
-    } catch {}
-  } finally {
-    await safeRm(tempRoot);
+function printInspectUsage() {
+  console.log('Usage: 3mf-looper inspect [options] <file1.3mf|.gcode|.bgcode> [file2 ...] [target ...]');
+  console.log('');
+  console.log('Prints each plate\'s time, filament and size, and how many loops each target (5, 14h, 500g, 1=250g)');
+  console.log('gives, with the time, filament and estimated output size. Nothing is extracted or written.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --trim, --schedule, --format   as for a single run (they change the loops and the estimated size)');
+  console.log('  --colors <list>           as for a single run, the filament is split by colour');
+  console.log('  --eject, --between        as for a single run, for the pre-flight checks');
+  console.log('  --profile <name>          as for a single run: its settings unless the options above are given');
+  console.log('  --json                    print the report as JSON on stdout');
+  console.log('  -h, --help                show this help');
+}
+
+// 3mf-looper reloop <file> --count 8 | unloop <file>: a 3mf-looper output printed again from its first loop,
+// without the original files
+async function runLoopedCli(command, argv) {
+  if (!argv.includes('--json')) return runLooped(command, argv);
+  try {
+    const result = await runLooped(command, argv);
+    console.log(JSON.stringify({ ok: true, ...result }, null, 2));
+    return result;
+  } catch (e) {
+    console.log(JSON.stringify({ ok: false, error: { code: e.code || 'ERROR', message: e.message } }, null, 2));
+    throw e;
+  }
+}
+
+async function runLooped(command, argv) {
+  const { options, positionals } = parseCliArgs(argv, command === 'reloop' ? RELOOP_OPTIONS : UNLOOP_OPTIONS);
+  if (options.help || positionals.length !== 1) return printLoopedUsage(command);
+  if (command === 'reloop' && options.count == null) throw new InputError('Missing --count <loops>.');
+  if (options.output && options['out-dir']) throw new InputError('Use either --output or --out-dir, not both.');
+  const common = {
+    input: positionals[0],
+    outputPath: options.output,
+    outputDir: options['out-dir'],
+    compression: options.compression,
+    onProgress: options.json ? (e) => { if (e.type === 'warning') printWarning(e.message); } : printProgress,
+  };
+  const result = command === 'reloop'
+    ? await reloop3mf({
+      ...common,
+      count: options.count,
+      eject: options.eject,
+      betweenFile: options.between,
+      nameTemplate: options['name-template'],
+      // No preview to confirm: large outputs need --yes
+      maxOutputBytes: await unconfirmedOutputLimit(options.yes),
+    })
+    : await unloop3mf(common);
+  if (!options.json) printResult(result);
+  return result;
+}
+
+function printLoopedUsage(command) {
+  if (command === 'reloop') {
+    console.log('Usage: 3mf-looper reloop <file> --count <loops> [options]');
+    console.log('');
+    console.log('Prints a file made by 3mf-looper a different number of times, without its original files: its first loop');
+    console.log('is repeated with the trim, loop status and block between loops it was made with.');
+    console.log('');
+    console.log('Options:');
+    console.log('  -c, --count <loops>       number of loops of the new file');
+    console.log('  --eject, --between        replace the block between loops, as for a single run');
+    console.log('  -o, --output, --out-dir, --name-template, --compression   as for a single run');
+    console.log('  -y, --yes                 write outputs over 1 GB');
+  } else {
+    console.log('Usage: 3mf-looper unloop <file> [options]');
+    console.log('');
+    console.log('Restores a file made by 3mf-looper to one copy of what it looped, without the 3mf-looper comments,');
+    console.log('next to it under its original name ("cube (2).gcode.3mf" when that file exists).');
+    console.log('');
+    console.log('Options:');
+    console.log('  -o, --output, --out-dir, --compression   as for a single run');
+  }
+  console.log('  --json                    print a JSON summary on stdout');
+  console.log('  -h, --help                show this help');
+}
+
+// 3mf-looper pack <file.gcode|file.bgcode>: the G-code as it is, in a .gcode.3mf
+async function runPackCli(argv) {
+  if (!argv.includes('--json')) return runPack(argv);
+  try {
+    const result = await runPack(argv);
+    console.log(JSON.stringify({ ok: true, ...result }, null, 2));
+    return result;
+  } catch (e) {
+    console.log(JSON.stringify({ ok: false, error: { code: e.code || 'ERROR', message: e.message } }, null, 2));
+    throw e;
+  }
+}
+
+async function runPack(argv) {
+  const { options, positionals } = parseCliArgs(argv, PACK_OPTIONS);
+  if (options.help || positionals.length !== 1) return printPackUsage();
+  if (options.output && options['out-dir']) throw new InputError('Use either --output or --out-dir, not both.');
+  const result = await pack3mf({
+    input: positionals[0],
+    thumbnail: options.thumbnail,
+    outputPath: options.output,
+    outputDir: options['out-dir'],
+    compression: options.compression,
+    onProgress: options.json ? (e) => { if (e.type === 'warning') printWarning(e.message); } : printProgress,
+  });
+  if (!options.json) printResult(result);
+  return result;
+}
+
+function printPackUsage() {
+  console.log('Usage: 3mf-looper pack <file.gcode|file.bgcode> [options]');
+  console.log('');
+  console.log('Wraps G-code as it is into a .gcode.3mf the printer accepts, next to it under the same name: plate_1.gcode,');
+  console.log('its MD5, the print time and filament weight in slice_info.config and the G-code\'s largest PNG thumbnail.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --thumbnail <image.png>   thumbnail shown by the printer instead of the G-code\'s own');
+  console.log('  -o, --output, --out-dir, --compression   as for a single run');
+  console.log('  --json                    print a JSON summary on stdout');
+  console.log('  -h, --help                show this help');
+}
+
+// 3mf-looper watch <dir>: loops every file dropped in the folder until Ctrl+C
+async function runWatchCli(argv) {
+  const { options, positionals } = parseCliArgs(argv, WATCH_OPTIONS);
+  if (options.help || positionals.length !== 1) return printWatchUsage();
+  if (options.spec && parseLoopSpecifier(options.spec).type === 'invalid') {
+    throw new InvalidSpecError(`Invalid --spec "${options.spec}". Use a count (e.g., 5), time (e.g., 2h), grams (e.g., 100g), grams per filament slot (e.g., 1=250g,3=1kg), a clock time (until 07:30) or several of them (12h,800g).`);
+  }
+  const seconds = (name, fallback) => {
+    if (options[name] == null) return fallback;
+    const v = Number(options[name]);
+    if (!(v >= 0)) throw new InputError(`--${name} must be a number of seconds, got "${options[name]}".`);
+    return v * 1000;
+  };
+  const dir = path.resolve(process.cwd(), positionals[0]);
+  const stamp = () => formatDateTime(new Date());
+  const config = await loadConfig();
+  const profile = resolveProfile(config, options.profile || null);
+  const jobOptions = overrideOptions(profileOptions(config, profile), {
+    spec: options.spec,
+    outputDir: options.out ? path.resolve(process.cwd(), options.out) : null,
+    eject: options.eject,
+    betweenFile: options.between ? path.resolve(process.cwd(), options.between) : null,
+    trim: options.trim,
+    loopStatus: options['loop-status'],
+    format: options.format,
+    compression: options.compression,
+    strict: options.strict,
+    nameTemplate: options['name-template'],
+  });
+  // Nobody is there to confirm large outputs: above the limit they fail unless --yes
+  if (options.yes) jobOptions.maxOutputBytes = null;
+  if (profile) printProfile(profile);
+  const watcher = watchFolder(dir, {
+    ...jobOptions,
+    interval: seconds('interval', 2000),
+    settle: seconds('settle', 5000),
+    once: !!options.once,
+    onProgress: (e) => { if (e.type === 'warning') printWarning(e.message); },
+    onEvent: (e) => {
+      if (e.type === 'start') console.log(`${stamp()} ▶ ${path.relative(dir, e.file)}${e.spec ? ` (${e.spec})` : ''}`);
+      else if (e.type === 'done') console.log(`${stamp()} ✅ ${path.basename(e.result.outputPath)}`);
+      else if (e.type === 'failed') console.log(`${stamp()} ${colorRed('❌')} ${path.relative(dir, e.file)}: ${e.error.message}`);
+      else if (e.type === 'ignored-folder') printWarning(`Folder "${path.basename(e.folder)}" is ignored: its name is not a loop value, "trim", "loop-status", an eject preset or a format.`);
+    },
+  });
+  if (!options.once) {
+    console.log(`👀 Watching ${dir} (Ctrl+C to stop)`);
+    process.once('SIGINT', () => {
+      console.log('Stopping after the current file...');
+      watcher.stop();
+    });
   }
+  await watcher.done;
+}
+
+function printWatchUsage() {
+  console.log('Usage: 3mf-looper watch <dir> [--spec <count|time|weight>] [--out <dir>] [options]');
+  console.log('');
+  console.log('Loops every .3mf, .gcode or .bgcode file saved into <dir> once it stops growing, then moves it');
+  console.log('to <dir>/processed or <dir>/failed (with an .error.log). Files in a subfolder use its name as');
+  console.log('overrides: "12h", "500g trim", "20 push-off bgcode".');
+  console.log('');
+  console.log('Options:');
+  console.log('  --spec <value>            loop value for files outside override folders');
+  console.log('  --out <dir>               where looped files go (default: the config\'s outputDir, or <dir>/looped)');
+  console.log('  --eject, --between, --trim, --loop-status, --format, --compression, --strict, --name-template, --profile   as for a single run');
+  console.log('  --interval <seconds>      time between scans of the folder (default 2)');
+  console.log('  --settle <seconds>        how long a file must keep the same size before it is read (default 5)');
+  console.log('  --once                    process the files already there, then exit');
+  console.log('  -y, --yes                 write outputs over the confirmation limit (1 GB) instead of failing the file');
+  console.log('  -h, --help                show this help');
+}
+
+// 3mf-looper serve: the web UI on http://localhost:8080 until Ctrl+C
+async function runServeCli(argv) {
+  const { options, positionals } = parseCliArgs(argv, SERVE_OPTIONS);
+  if (options.help || positionals.length) return printServeUsage();
+  const port = options.port == null ? 8080 : Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new InputError(`--port must be a port number, got "${options.port}".`);
+  const host = options.host || '127.0.0.1';
+  const limits = {};
+  if (options['max-upload-mb'] != null) {
+    const mb = Number(options['max-upload-mb']);
+    if (!(mb > 0)) throw new InputError(`--max-upload-mb must be a number of megabytes, got "${options['max-upload-mb']}".`);
+    limits.maxUploadBytes = mb * 1024 * 1024;
+    limits.maxSessionBytes = 2 * limits.maxUploadBytes;
+  }
+  const config = await loadConfig();
+  const profile = resolveProfile(config, options.profile || null);
+  const jobOptions = profileOptions(config, profile);
+  if (profile) printProfile(profile);
+  const server = createLooperServer({
+    ...limits,
+    maxOutputBytes: jobOptions.maxOutputBytes,
+    profile: profile ? profile.name : null,
+    jobOptions,
+    log: (message) => console.log(`${formatDateTime(new Date())} ${message}`),
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', (e) => reject(e.code === 'EADDRINUSE' ? new InputError(`Port ${port} is already in use, pick another with --port.`) : e));
+    server.listen(port, host, resolve);
+  });
+  const shown = host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+  console.log(`🌐 3MF Looper on http://${shown.includes(':') ? `[${shown}]` : shown}:${server.address().port} (Ctrl+C to stop)`);
+  await new Promise((resolve) => {
+    process.once('SIGINT', () => {
+      console.log('Stopping...');
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+  });
+}
+
+function printServeUsage() {
+  console.log('Usage: 3mf-looper serve [--port 8080] [--host 127.0.0.1] [--max-upload-mb 500] [--profile <name>]');
+  console.log('');
+  console.log('Starts a local web page to drop files on, preview the loops and download the result.');
+  console.log('Uploads live in a temp folder per browser tab, removed when the tab closes or after 30 minutes idle.');
+  console.log('');
+  console.log('Options:');
+  console.log('  -p, --port <port>         port to listen on (default 8080)');
+  console.log('  --host <address>          address to listen on (default 127.0.0.1; 0.0.0.0 opens it to your network)');
+  console.log('  --max-upload-mb <mb>      largest accepted file (default 500); a tab can upload twice that in total');
+  console.log('  --profile <name>          config profile the page starts from (default: the config\'s defaultProfile)');
+  console.log('  -h, --help                show this help');
+}
+
+function printBatchUsage() {
+  console.log('Usage: 3mf-looper batch [options] <jobs.json|jobs.yaml>');
+  console.log('');
+  console.log('Runs every job of the file, even when some fail; exits with 1 if any job failed.');
+  console.log('');
+  console.log('Options:');
+  console.log('  -j, --concurrency <n>     jobs running at the same time (default: the file\'s "concurrency", or 1)');
+  console.log('  -y, --yes                 write outputs over the confirmation limit (1 GB) instead of failing the job');
+  console.log('  --json                    print the results as JSON on stdout');
+  console.log('  -h, --help                show this help');
+}
+
+function printUsage() {
+  console.log('Usage: 3mf-looper [options] <count|time|weight|until HH:MM> <file1.3mf|.gcode|.bgcode> [file2 ...]');
+  console.log('       3mf-looper batch <jobs.json|jobs.yaml>   (many jobs from one file, see batch --help)');
+  console.log('       3mf-looper watch <dir> --spec 12h          (loop files saved into a hot folder, see watch --help)');
+  console.log('       3mf-looper inspect <files...> 14h 500g     (time, filament and loops per target, nothing written)');
+  console.log('       3mf-looper reloop <file> --count 8         (print a looped file a different number of times)');
+  console.log('       3mf-looper unloop <file>                   (restore a looped file to a single copy)');
+  console.log('       3mf-looper pack <file.gcode>               (wrap G-code into a printer-ready .gcode.3mf)');
+  console.log('       3mf-looper serve --port 8080               (web page to upload, preview and download, see serve --help)');
+  console.log('       3mf-looper             (no arguments starts the wizard)');
+  console.log('');
+  console.log('Options:');
+  console.log('  --eject <preset>          insert an ejection preset between loops (push-off, swap-plate; none: nothing)');
+  console.log('  --between <file.gcode>    insert a custom G-code template between loops');
+  console.log('  --trim                    print start/end sequences only in the first/last loop (needs --eject or --between)');
+  console.log('  --loop-status             show "Loop i/N" on the printer screen (M117) at every loop');
+  console.log('  --schedule <order>        interleaved (default: each loop prints every file) or sequential');
+  console.log('                            (all copies of a file, then the next); file.3mf:3 prints it 3x per loop');
+  console.log('  --colors <list>           one colour per loop in turn: AMS slots (1,3) or spools changed by hand (red,blue, M600)');
+  console.log('  --sweep <setting=values>  change nozzle, bed, fan, speed or flow from loop to loop: nozzle=210:240:5, M221=90,95,100');
+  console.log('  --format <format>         output container: 3mf, gcode or bgcode (default: same as the first input)');
+  console.log('  --compression <0-9>       deflate level of the looped G-code in a .gcode.3mf (default 6; 1 is faster, 9 smaller)');
+  console.log('  --strict                  stop instead of warning when a pre-flight check fails (end sequence, part height, printers)');
+  console.log('  --profile <name>          use a printer profile of the config file (none: not even the default one)');
+  console.log('  -o, --output <path>       write the result to this path');
+  console.log('  --out-dir <dir>           write the result into this folder (default: next to the first input)');
+  console.log(`  --name-template <tpl>     output file name, default "${DEFAULT_NAME_TEMPLATE}"`);
+  console.log('                            tokens: {count} {duration} {minutes} {grams} {slots} {name} {date}');
+  console.log('  -y, --yes                 never ask: accept large outputs, do not offer to open the folder');
+  console.log('  --no-open                 do not offer to open the containing folder');
+  console.log('  --send <printer>          upload the result to a printer from the printers file (OctoPrint or Moonraker)');
+  console.log('  --start                   start printing it after --send');
+  console.log(`  --printers <file>         printers file (default: $LOOPER_PRINTERS or ${path.join(userConfigDir(), 'printers.json')})`);
+  console.log('  --json                    print a JSON summary on stdout instead of the progress output');
+  console.log('  -h, --help                show this help');
+  console.log('');
+  console.log(`Config: ${path.join(userConfigDir(), 'config.json')} ($LOOPER_CONFIG) and .3mf-looper.json in the project folder`);
 }
 
 async function runWizard() {
@@ -204,107 +650,85 @@ async function runWizard() {
   console.log(`                               Loop parameter            Files`);
   console.log(`One liner usage: ${cyanColor('3mf-looper <count|time|weight>')} ${cyanColor('<file1.3mf>')} ${cyanColor('[file2.3mf file3.3mf...]')}`);
   console.log('')
-  console.log(`Loop value:  4(count),  4d | 2h | 120m(time),  100g | 2.5kg(weight)`);
+  console.log(`Loop value:  4(count),  4d | 2h | 120m(time),  100g | 2.5kg(weight),  1=250g,3=1kg(per filament slot)`);
+  console.log(`Plates:  file.3mf#2,3 | file.3mf#all (multi-plate projects),  .gcode and .bgcode files work too (--format gcode | bgcode | 3mf)`);
+  console.log(`Between loops:  --eject push-off | swap-plate,  --between my-eject.gcode,  --trim (start/end sequences once)`);
+  console.log(`Mixed batches:  file1.3mf:3 file2.3mf (3 of file1 for every file2),  --schedule sequential (all of file1, then file2)`);
   console.log(`Examples:  ${cyanColor('3mf-looper 33 file1.3mf')} or ${darkGreenColor('3mf-looper 500g file1.3mf file2.3mf')} or ${magentaColor('3mf-looper 2h file1.3mf file2.3mf')}`);
 
   console.log('');
   console.log(`To ${colorRed('exit')} the wizard, press ${colorRed('Ctrl+C')} at any time.`);
   console.log('');
-  // A 3MF is expected to contain exactly one top-level metadata/*.gcode
   console.log(cyanColor('Starting wizard...'));
   console.log('');
+  // The printer's settings from the config file, which skip the questions they answer
+  const config = await loadConfig();
+  const profile = await promptProfile(config);
+  const limits = profileLimits(config, profile);
   const { inputPaths, initialLoopSpec } = await collectFilesAndLoopSpec();
-  if (!inputPaths || inputPaths.length === 0) throw new Error('No valid files.');
+  if (!inputPaths || inputPaths.length === 0) throw new InputError('No valid files.');
 
-  // 2) discover candidates and enforce single GCODE per input
-  const gcodeNameCandidatesPerInput = [];
+  // 2) let the user pick plates in multi-plate projects
+  const inputs = [];
+  const plateCounts = [];
   for (let i = 0; i < inputPaths.length; i += 1) {
-    const names = await listTopLevelGcodesInZip(inputPaths[i]);
-    if (names.length === 0) throw new Error(`No top-level metadata/*.gcode found in input ${i + 1}.`);
-    if (names.length !== 1) throw new Error(`Expected exactly one top-level metadata/*.gcode in input ${i + 1}, found ${names.length}.`);
-    gcodeNameCandidatesPerInput.push(names);
+    const plates = await listPlates(inputPaths[i]);
+    if (plates.length === 0) throw new InputError(`No top-level metadata/*.gcode found in input ${i + 1}.`);
+    plateCounts.push(plates.length);
+    inputs.push({ path: inputPaths[i], plates: plates.length === 1 ? null : await promptPlates(plates, inputPaths[i]) });
   }
-  const selectedNamesPerInput = gcodeNameCandidatesPerInput.map((arr) => [arr[0]]);
+  // With several files, how many copies of each per loop and in which order
+  const schedule = inputs.length > 1 ? await promptWeightsAndSchedule(inputs) : 'interleaved';
 
-  // 3) extract
-  const tempRoot = await fsp.mkdtemp(path.join(os.tmpdir(), 'gcode-3mf-looper-'));
+  // 3) extract & analyze
+  const job = await prepareJob({ inputs, largeInputBytes: limits.largeInputBytes, onProgress: printProgress });
   try {
-    const extractedDirs = [];
-    for (let i = 0; i < inputPaths.length; i += 1) {
-      const subdir = path.join(tempRoot, `input-${i + 1}`);
-      await extractZipToDir(inputPaths[i], subdir);
-      extractedDirs.push(subdir);
-    }
-    const metadataDirs = [];
-    for (let i = 0; i < extractedDirs.length; i += 1) {
-      const md = await findMetadataDirectory(extractedDirs[i]);
-      if (!md) throw new Error(`Could not find a metadata directory in input ${i + 1}.`);
-      metadataDirs.push(md);
-    }
-    const gcodePaths = [];
-    const displayNames = [];
-    for (let i = 0; i < selectedNamesPerInput.length; i += 1) {
-      for (const name of selectedNamesPerInput[i]) {
-        gcodePaths.push(path.join(metadataDirs[i], name));
-        displayNames.push(name);
-      }
-    }
-    // 4) analyze
-    const analyses = [];
-    for (let i = 0; i < gcodePaths.length; i += 1) {
-      analyses.push(await analyzeGcodeFile(gcodePaths[i]));
-    }
-    const perLoopMinutes = analyses.reduce((sum, a) => sum + (a.minutes || 0), 0);
-    const perLoopGrams = analyses.reduce((sum, a) => sum + (a.grams || 0), 0);
+    const trim = profile && profile.trim !== undefined ? profile.trim : await promptTrim(job.analyses);
+    const { perLoop } = loopCosts(job.analyses, trim, job.weights);
+    console.log(`Per loop totals: ${perLoop.minutes} min, ${perLoop.grams.toFixed(2)} g`);
+    const usedSlots = perLoop.slots.map((g, i) => ({ slot: i + 1, g })).filter((s) => s.g > 0);
+    if (usedSlots.length > 1) console.log(`Per loop by slot: ${usedSlots.map((s) => `S${s.slot} ${s.g.toFixed(2)} g`).join(', ')}`);
 
-    console.log(`Per loop totals: ${perLoopMinutes} min, ${perLoopGrams.toFixed(2)} g`);
+    // 4) what happens between loops, which the pre-flight checks of the preview depend on
+    const { between, betweenArgs, noEject } = profile && (profile.eject || profile.between || profile.ejectGcode)
+      ? { between: await loadBetweenTemplate({ preset: profile.eject, file: profile.between, gcode: profile.ejectGcode, cooldown: profile.cooldownGcode }), betweenArgs: [], noEject: profile.eject === 'none' }
+      : await chooseBetweenTemplate(trim);
 
     // 5) single-field target with preview, allow retry when user says No
     let loopSpec = initialLoopSpec;
-    let repetitions;
-    let durationLabel;
-    let totalGrams;
+    let plan;
     while (true) {
       if (!loopSpec) {
         const t = await prompts({
           type: 'text',
           name: 'txt',
-          message: 'How would you like to loop?\n- Count: enter an integer (e.g., 4)\n- Time: enter the total time to be used (120m, 2h, or 1d)\n- Filament: enter the total amount of filament to be used (100g or 2.5kg)\n',
-          validate: (v) => (parseLoopSpecifier(v).type !== 'invalid' ? true : 'Enter: integer count (e.g., 5), time (120m/2h/1d), or weight (100g/2.5kg)')
+          message: 'How would you like to loop?\n- Count: enter an integer (e.g., 4)\n- Time: enter the total time to be used (120m, 2h, or 1d)\n- Filament: enter the total amount of filament to be used (100g or 2.5kg)\n- Spools: enter what is left per filament slot (1=250g,3=1kg)\n- Clock: enter when it must be done (until 07:30 or until 2026-10-21 18:00)\n- Several: separate them with commas, the smallest wins (12h,800g)\n',
+          validate: (v) => (parseLoopSpecifier(v).type !== 'invalid' ? true : 'Enter: integer count (e.g., 5), time (120m/2h/1d), weight (100g/2.5kg), weight per slot (1=250g,3=1kg), clock time (until 07:30) or several (12h,800g)')
         });
-        if (!t || !t.txt) throw new Error('Cancelled');
+        if (!t || !t.txt) throw new CancelledError();
         loopSpec = parseLoopSpecifier(t.txt);
       }
 
-      if (loopSpec.type === 'count') repetitions = loopSpec.value;
-      else if (loopSpec.type === 'time') repetitions = Math.floor(loopSpec.minutes / (perLoopMinutes || 1));
-      else if (loopSpec.type === 'grams') repetitions = Math.floor(loopSpec.grams / (perLoopGrams || 1));
-      if (!Number.isInteger(repetitions) || repetitions < 1) {
-        const warn = await prompts({ type: 'confirm', name: 'ok', message: 'Target yields 0 loops. Try again?', initial: true });
-        if (!warn || !warn.ok) throw new Error('Cancelled');
+      try {
+        plan = planJob(job, { spec: loopSpec, trim, schedule, between, noEject, ...profilePlanOptions(profile) });
+      } catch (e) {
+        if (!(e instanceof ZeroLoopsError) && !(e instanceof InvalidSpecError)) throw e;
+        const warn = await prompts({ type: 'confirm', name: 'ok', message: `${e instanceof ZeroLoopsError ? 'Target yields 0 loops' : e.message} Try again?`, initial: true });
+        if (!warn || !warn.ok) throw new CancelledError();
+        loopSpec = null;
         continue;
       }
 
-      const totalMinutes = perLoopMinutes * repetitions;
-      totalGrams = Math.ceil(perLoopGrams * repetitions);
-      durationLabel = formatDuration(totalMinutes);
-
-      // Estimate final size for preview
-      let previewSizeMb = null;
-      try {
-        const firstZipSize = (await fsp.stat(inputPaths[0])).size;
-        const sizeMapsPreview = [];
-        for (let i = 0; i < inputPaths.length; i += 1) {
-          sizeMapsPreview.push(await getTopLevelGcodeSizes(inputPaths[i]));
-        }
-        const estBytes = estimateFinalSize(firstZipSize, sizeMapsPreview, selectedNamesPerInput, repetitions);
-        if (estBytes) previewSizeMb = Math.ceil(estBytes / (1024 * 1024));
-      } catch {}
-
+      const previewSizeMb = plan.estimatedBytes ? Math.ceil(plan.estimatedBytes / (1024 * 1024)) : null;
+      const savedLabel = plan.saved ? ` | saves ${cyanColor(`${formatDuration(plan.saved.minutes)}, ${formatMass(plan.saved.grams)}`)}` : '';
+      printSchedule(job, plan);
+      printSlots(plan);
+      printTarget(plan);
+      plan.warnings.forEach(printWarning);
       const review = await prompts({
         type: 'confirm',
         name: 'ok',
-        message: `Preview: ${cyanColor(`${repetitions}x`)} Loops | ${cyanColor(`${durationLabel}`)} | ${cyanColor(`${formatMass(totalGrams)}`)}${previewSizeMb != null ? ` | ${cyanColor(`~${previewSizeMb}mb`)}` : ''}. Generate?`,
+        message: `Preview: ${cyanColor(`${plan.repetitions}x`)} Loops | ${cyanColor(`${formatDuration(plan.totalMinutes)}`)} | ${cyanColor(`${formatMass(Math.ceil(plan.totalGrams))}`)}${previewSizeMb != null ? ` | ${cyanColor(`~${previewSizeMb}mb`)}` : ''}${savedLabel}. Generate?`,
         initial: true,
       });
       if (review && review.ok) break;
@@ -312,57 +736,266 @@ async function runWizard() {
       loopSpec = null;
     }
 
-    // 6) write & zip
-    const firstInputPath = inputPaths[0];
-    const { dir: inputDir } = path.parse(firstInputPath);
-    const workingDir = extractedDirs[0];
-    const firstGcodePath = gcodePaths[0];
-    const tmpGcodePath = firstGcodePath + '.tmp';
-    await streamRepeatFiles(gcodePaths, tmpGcodePath, repetitions, displayNames);
-    await fsp.rename(tmpGcodePath, firstGcodePath);
-    const coreName = path.parse(firstInputPath).name.replace(/\.gcode$/i, '');
-    const outputName = `Loop X ${repetitions} - ${durationLabel} - ${totalGrams}g - ${coreName}.gcode.3mf`;
-    const outputPath = path.join(inputDir, outputName);
-    // Estimate in wizard too
-    const firstZipSize = (await fsp.stat(firstInputPath)).size;
-    const sizeMaps = [];
-    for (let i = 0; i < inputPaths.length; i += 1) {
-      sizeMaps.push(await getTopLevelGcodeSizes(inputPaths[i]));
-    }
-    const estimatedTotalBytes = estimateFinalSize(firstZipSize, sizeMaps, selectedNamesPerInput, repetitions);
-    const ONE_GB = 1024 * 1024 * 1024;
-    if (estimatedTotalBytes && estimatedTotalBytes > ONE_GB) {
-      const cont = await prompts({ type: 'confirm', name: 'ok', message: `Estimated size ~ ${Math.ceil(estimatedTotalBytes / (1024*1024))} MB exceeds 1 GB. Continue?`, initial: false });
-      if (!cont || !cont.ok) throw new Error('Cancelled');
-    }
-    await zipDirectoryContents(workingDir, outputPath);
-    const realSizeBytes = (await fsp.stat(outputPath)).size;
-    printFinal(
-      outputPath,
-      Math.ceil(realSizeBytes / (1024 * 1024)),
-      estimatedTotalBytes ? Math.ceil(estimatedTotalBytes / (1024 * 1024)) : null
-    );
-    
+    // 6) write & zip; the plan's warnings were shown with the preview
+    await confirmLargeOutput(plan.estimatedBytes, { limit: limits.confirmOutputBytes });
+    const shown = new Set(plan.warnings);
+    const result = await writeJob(job, plan, {
+      between,
+      loopStatus: profile ? profile.loopStatus : undefined,
+      compression: profile ? profile.compression : undefined,
+      outputDir: (profile && profile.outputDir) || config.outputDir || undefined,
+      nameTemplate: (profile && profile.nameTemplate) || config.nameTemplate || undefined,
+      onProgress: (e) => { if (e.type !== 'warning' || !shown.has(e.message)) printProgress(e); },
+    });
+    printResult(result);
+
     // Tip: show equivalent non-interactive command
-    const countArg = `${repetitions}`; // use count for shortest form
-    const filesPart = inputPaths.map((p) => `"${p}"`).join(' ');
+    const countArg = `${plan.repetitions}`; // use count for shortest form
+    const filesPart = job.inputPaths.map((p, i) => `"${p}${plateSelectorArg(job.selected[i], plateCounts[i], inputs[i].weight)}"`).join(' ');
     console.log('');
     console.log(`💡 Hint: If you need to generate this file again, use this command:`);
-    console.log(`${cyanColor(`3mf-looper ${countArg} ${filesPart}`)}`);
+    // The profile's own settings are not repeated; --profile none skips the default one
+    const profileArgs = profile ? ['--profile', `"${profile.name}"`] : config.defaultProfile ? ['--profile', 'none'] : [];
+    const trimArgs = trim && !(profile && profile.trim !== undefined) ? ['--trim'] : [];
+    const flags = [...profileArgs, ...trimArgs, ...(schedule === 'sequential' ? ['--schedule sequential'] : []), ...betweenArgs];
+    const flagsPart = flags.length ? `${flags.join(' ')} ` : '';
+    console.log(`${cyanColor(`3mf-looper ${flagsPart}${countArg} ${filesPart}`)}`);
 
-    // Offer to open containing folder in Finder (macOS)
+    // 7) send it to a printer of the printers file, or offer to open the containing folder (macOS)
+    const sent = await offerSend(result.outputPath, plan.format, profile && profile.send);
+    if (!sent) await offerOpenFolder(result.outputPath);
+  } finally {
+    await disposeJob(job);
+  }
+}
+
+// The config file's profiles, the default one selected first; null when there are none or none is picked
+async function promptProfile(config) {
+  const profiles = Object.values(config.profiles);
+  if (profiles.length === 0) return null;
+  const choices = [
+    ...profiles.map((p) => ({ title: p.description ? `${p.name}: ${p.description}` : p.name, value: p.name })),
+    { title: 'No profile', value: 'none' },
+  ];
+  const defaultIndex = profiles.findIndex((p) => p.name === config.defaultProfile);
+  const res = await prompts({ type: 'select', name: 'v', message: 'Which printer profile?', choices, initial: defaultIndex >= 0 ? defaultIndex : profiles.length });
+  if (!res || !res.v) throw new CancelledError();
+  return resolveProfile(config, res.v);
+}
+
+// What a profile sets for planJob() besides the trim and the between block
+function profilePlanOptions(profile) {
+  if (!profile) return {};
+  return { format: profile.format, colors: profile.colors, sweep: profile.sweep, strict: !!profile.strict, maxPartHeight: profile.maxPartHeight };
+}
+
+// Only printers that can print the output's format are offered, the profile's first; returns the send result or null
+async function offerSend(outputPath, format, preferred = null) {
+  let printers;
+  try {
+    printers = Object.values(await loadPrinters());
+  } catch (e) {
+    printWarning(e.message);
+    return null;
+  }
+  const compatible = printers.filter((printer) => {
     try {
-      const res2 = await prompts({ type: 'confirm', name: 'ok', message: 'Open containing folder in Finder?', initial: false });
-      if (res2 && res2.ok && process.platform === 'darwin') {
-        spawn('open', ['-R', outputPath], { stdio: 'ignore', detached: true }).unref();
-      }
-    } catch {}
+      checkPrinterFormat(printer, format);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+  if (compatible.length === 0) return null;
+  const pick = await prompts({
+    type: 'select',
+    name: 'v',
+    message: 'Send it to a printer?',
+    choices: [{ title: 'No', value: null }, ...compatible.map((p) => ({ title: `${p.name} (${p.url})`, value: p.name }))],
+    initial: compatible.findIndex((p) => p.name === preferred) + 1,
+  });
+  if (!pick || !pick.v) return null;
+  const start = await prompts({ type: 'confirm', name: 'ok', message: 'Start printing it now?', initial: false });
+  if (!start || start.ok === undefined) throw new CancelledError();
+  const sent = await sendOutput(compatible.find((p) => p.name === pick.v), outputPath, { start: !!start.ok, onProgress: printProgress });
+  printSent(sent);
+  return sent;
+}
 
-  } finally {
-    await safeRm(tempRoot);
+// The output stays on disk when the upload fails: say where
+async function sendOutput(printer, outputPath, options) {
+  try {
+    return await sendToPrinter(printer, outputPath, options);
+  } catch (e) {
+    throw new PrinterError(`${e.message} The looped file is saved at "${outputPath}".`, e.status);
   }
 }
 
+function printSent(sent) {
+  console.log(`📤 Sent to ${sent.printer}: ${sent.remoteName}`);
+  if (sent.started) console.log('🖨️  Print started');
+}
+
+function printResult(result) {
+  printFinal(
+    result.outputPath,
+    Math.ceil(result.realBytes / (1024 * 1024)),
+    result.estimatedBytes ? Math.ceil(result.estimatedBytes / (1024 * 1024)) : null
+  );
+}
+
+// Without a terminal to ask, a large output needs --yes. limit: the config's confirmOutputMb, 1 GB by default
+async function confirmLargeOutput(estimatedBytes, { yes = false, stdout = process.stdout, limit = DEFAULT_LIMITS.confirmOutputBytes } = {}) {
+  if (yes || !estimatedBytes || estimatedBytes <= limit) return;
+  const sizeMb = Math.ceil(estimatedBytes / (1024 * 1024));
+  const limitLabel = limit % (1024 ** 3) === 0 ? `${limit / 1024 ** 3} GB` : `${Math.round(limit / (1024 * 1024))} MB`;
+  if (!process.stdin.isTTY) {
+    throw new OutputTooLargeError(`Estimated size ~ ${sizeMb} MB exceeds ${limitLabel}. Pass --yes to write it anyway.`, estimatedBytes);
+  }
+  const cont = await prompts({ type: 'confirm', name: 'ok', message: `Estimated size ~ ${sizeMb} MB exceeds ${limitLabel}. Continue?`, initial: false, stdout });
+  if (!cont || !cont.ok) throw new CancelledError();
+}
+
+async function offerOpenFolder(outputPath) {
+  try {
+    const res = await prompts({ type: 'confirm', name: 'ok', message: 'Open containing folder in Finder?', initial: false });
+    if (res && res.ok && process.platform === 'darwin') {
+      spawn('open', ['-R', outputPath], { stdio: 'ignore', detached: true }).unref();
+    }
+  } catch {}
+}
+
+async function promptPlates(plates, inputPath) {
+  const res = await prompts({
+    type: 'multiselect',
+    name: 'v',
+    message: `${path.basename(inputPath)} has ${plates.length} plates. Which ones should be looped (in plate order)?`,
+    choices: plates.map((p) => ({ title: `Plate ${p.label}`, value: p.name, selected: true })),
+    min: 1,
+    hint: '- Space to select. Return to submit',
+  });
+  if (!res || !res.v || res.v.length === 0) throw new CancelledError();
+  return res.v;
+}
+
+// Filament per slot of a multi-filament job, and the spool that sets the count of a per-slot target
+function printSlots(plan) {
+  if (plan.slots.length < 2 && !plan.limitingSlot) return;
+  const parts = plan.slots.map((s) => `S${s.slot} ${formatMass(Math.ceil(s.totalGrams))}`);
+  console.log(`🧵 Filament per slot: ${parts.join(', ')}${plan.limitingSlot ? ` (slot ${plan.limitingSlot} runs out first)` : ''}`);
+}
+
+// Filament of each colour of a --colors schedule
+function printColors(plan) {
+  if (!plan.colors) return;
+  const parts = plan.colors.map((c) => `${c.label} ${formatMass(Math.ceil(c.grams))} (${c.loops} loop${c.loops === 1 ? '' : 's'})`);
+  console.log(`🎨 Filament per colour: ${parts.join(', ')}`);
+}
+
+// The settings of every loop of a --sweep, to match the printed parts to them
+function printSweep(plan) {
+  if (!plan.sweep) return;
+  const loops = Array.from({ length: plan.loops }, (_, i) => `${i + 1}: ${describeSweep(sweepValues(plan.sweep, i + 1))}`);
+  console.log(`🎛️  Sweep per loop: ${loops.join(' | ')}`);
+}
+
+// Expected finish, and what each constraint of a time, filament or clock target leaves unused
+function printTarget(plan) {
+  console.log(`🕒 Expected to finish around ${formatClock(plan.finishAt)}`);
+  if (plan.constraints.every((c) => c.type === 'count')) return;
+  const several = plan.constraints.length > 1;
+  const parts = plan.constraints.map((c) => {
+    const left = c.type === 'time' || c.type === 'until' ? formatDuration(c.left) : c.type === 'count' ? `${c.left} loops` : formatMass(Math.floor(c.left));
+    const label = c.type === 'slot' ? `slot ${c.slot}` : c.raw;
+    return `${label}: ${left}${several && c.loops === plan.repetitions ? ' (reached first)' : ''}`;
+  });
+  console.log(`🎯 Left unused: ${parts.join(', ')}`);
+}
+
+// Print order of weighted or sequential jobs; one copy of each file per loop needs no explanation
+function printSchedule(job, plan) {
+  if (plan.schedule === 'interleaved' && job.weights.every((w) => w === 1)) return;
+  console.log(`🔁 Print order: ${describeSequence(job.weights, plan.repetitions, plan.schedule, job.displayNames)} (${plan.loops} loops)`);
+}
+
+// Sets inputs[i].weight and returns the schedule
+async function promptWeightsAndSchedule(inputs) {
+  for (const input of inputs) {
+    const res = await prompts({
+      type: 'number',
+      name: 'v',
+      message: `How many copies of ${path.basename(input.path)} per loop?`,
+      initial: 1,
+      min: 1,
+    });
+    if (!res || res.v === undefined) throw new CancelledError();
+    input.weight = res.v;
+  }
+  const res = await prompts({
+    type: 'select',
+    name: 'v',
+    message: 'In which order?',
+    choices: [
+      { title: 'Interleaved: every loop prints each file\'s copies (A A B, A A B, ...)', value: 'interleaved' },
+      { title: 'Sequential: all copies of a file, then the next one (A A A A, B B)', value: 'sequential' },
+    ],
+    initial: 0,
+  });
+  if (!res || !res.v) throw new CancelledError();
+  return res.v;
+}
+
+function printTrimSavings(saved) {
+  console.log(`✂️  Start and end sequences printed once: saves ${formatDuration(saved.minutes)} and ${formatMass(saved.grams)}`);
+}
+
+async function promptTrim(analyses) {
+  const withSections = analyses.filter((a) => a.sections);
+  if (withSections.length === 0) return false;
+  const perLoop = withSections.reduce((sum, a) => sum + a.sections.startMinutes + a.sections.endMinutes, 0);
+  const res = await prompts({
+    type: 'confirm',
+    name: 'ok',
+    message: `Print the start sequence (heating, leveling, purge) only in the first loop and the end sequence only in the last? Saves about ${formatDuration(perLoop)} per loop`,
+    initial: false,
+  });
+  if (!res || res.ok === undefined) throw new CancelledError();
+  return res.ok;
+}
+
+// With trim the end G-code is left out: nothing between loops is then only for beds cleared another way
+async function chooseBetweenTemplate(trim) {
+  const choice = await prompts({
+    type: 'select',
+    name: 'v',
+    message: 'What should happen between loops?',
+    choices: [
+      { title: trim ? 'Nothing (the bed is cleared another way, the end G-code is trimmed)' : 'Nothing (the end G-code already clears the bed)', value: 'none' },
+      ...listEjectPresets().map((p) => ({ title: `${p.name}: ${p.description}`, value: p.name })),
+      { title: 'Custom G-code file...', value: 'custom' },
+    ],
+    initial: 0,
+  });
+  if (!choice || !choice.v) throw new CancelledError();
+  if (choice.v === 'none') return { between: null, betweenArgs: trim ? ['--eject', 'none'] : [], noEject: trim };
+  if (choice.v !== 'custom') {
+    return { between: await loadBetweenTemplate({ preset: choice.v }), betweenArgs: ['--eject', choice.v] };
+  }
+  const custom = await prompts({
+    type: 'text',
+    name: 'p',
+    message: `Drop the ${cyanColor('.gcode template')} ({loop}, {next}, {total}, {maxZ} and {clearZ} are filled in):`,
+    validate: async (v) => {
+      const abs = splitPaths(String(v || ''))[0];
+      if (!abs) return 'Please provide a file path';
+      try { const st = await fsp.stat(abs); return st.isFile() ? true : 'Not a file'; } catch { return 'File not found'; }
+    }
+  });
+  if (!custom || !custom.p) throw new CancelledError();
+  const file = splitPaths(String(custom.p))[0];
+  return { between: await loadBetweenTemplate({ file }), betweenArgs: ['--between', `"${file}"`] };
+}
+
 function splitPaths(input) {
   // Robust tokenizer supporting quotes and backslash-escaped characters (e.g., spaces)
   const tokens = [];
@@ -395,43 +1028,6 @@ function splitPaths(input) {
 
 module.exports = { run };
 
-async function fileSize(p) {
-  const st = await fsp.stat(p);
-  return st.size;
-}
-
-function estimateFinalSize(firstZipSize, sizeMaps, selectedNamesPerInput, repetitions) {
-  try {
-    // Original compressed size of selected gcode inside first zip
-    const firstMap = sizeMaps[0];
-    let origCompressed = 0;
-    for (const name of selectedNamesPerInput[0]) {
-      const meta = firstMap[name];
-      if (meta && typeof meta.compressedSize === 'number') origCompressed += meta.compressedSize;
-    }
-    // Uncompressed bytes per loop and derive compression ratio from inputs
-    let perLoopUncompressed = 0;
-    let totalOrigUncompressed = 0;
-    let totalOrigCompressed = 0;
-    for (let i = 0; i < selectedNamesPerInput.length; i += 1) {
-      const map = sizeMaps[i];
-      for (const name of selectedNamesPerInput[i]) {
-        const meta = map[name];
-        if (meta && typeof meta.uncompressedSize === 'number') perLoopUncompressed += meta.uncompressedSize;
-        if (meta && typeof meta.uncompressedSize === 'number' && typeof meta.compressedSize === 'number') {
-          totalOrigUncompressed += meta.uncompressedSize;
-          totalOrigCompressed += meta.compressedSize;
-        }
-      }
-    }
-    const ratio = totalOrigUncompressed > 0 ? (totalOrigCompressed / totalOrigUncompressed) : 0.5;
-    const newCompressedGcode = Math.ceil(perLoopUncompressed * repetitions * ratio);
-    const estimatedTotal = Math.max(0, firstZipSize - origCompressed + newCompressedGcode);
-    return estimatedTotal;
-  } catch (e) {
-    return null;
-  }
-}
 
 async function collectFilesAndLoopSpec() {
   const files = [];
@@ -441,7 +1037,7 @@ async function collectFilesAndLoopSpec() {
   const first = await prompts({
     type: 'text',
     name: 'p',
-    message: `Drop the first ${cyanColor(`.3mf file`)}:`,
+    message: `Drop the first ${cyanColor(`.3mf, .gcode or .bgcode file`)}:`,
     validate: async (v) => {
       const raw = String(v || '');
       const tokens = splitPaths(raw);
@@ -450,10 +1046,10 @@ async function collectFilesAndLoopSpec() {
       try { const st = await fsp.stat(abs); return st.isFile() ? true : 'Not a file'; } catch { return 'File not found'; }
     }
   });
-  if (!first || !first.p) throw new Error('Cancelled');
+  if (!first || !first.p) throw new CancelledError();
   {
     const tokens = splitPaths(String(first.p));
-    if (!tokens[0]) throw new Error('No valid files.');
+    if (!tokens[0]) throw new InputError('No valid files.');
     files.push(tokens[0]);
   }
 
@@ -464,7 +1060,7 @@ async function collectFilesAndLoopSpec() {
       name: 'v',
       message: `Drop ${cyanColor(`another .3mf`)}, OR type ${magentaColor(`loop value`)} to create the file (e.g., 20 (count), 3h (time), 100g (weight)):`,
     });
-    if (!next) throw new Error('Cancelled');
+    if (!next) throw new CancelledError();
     const raw = String(next.v || '');
     if (!raw.trim()) { console.log('Please drop a .3mf file or provide a loop value (e.g., 5, 2h, 100g).'); continue; }
 
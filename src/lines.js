@@ -0,0 +1,48 @@
+
+const fs = require('fs');
+
+// The bytes of a stream that fall in [start, end), stopping the stream once past end
+async function* sliceChunks(stream, start, end) {
+  let position = 0;
+  for await (const chunk of stream) {
+    const from = Math.max(0, start - position);
+    const to = end == null ? chunk.length : Math.min(chunk.length, end - position);
+    position += chunk.length;
+    if (to > from) yield chunk.subarray(from, to);
+    if (end != null && position >= end) break;
+  }
+}
+
+// The bytes of source in [start, end) (end null for the rest): a file path, or a function returning a new
+// readable stream of the content, read from its start
+async function openRange(source, start = 0, end = null) {
+  if (typeof source === 'function') return sliceChunks(await source(), start, end);
+  return fs.createReadStream(source, end != null ? { start, end: end - 1 } : { start });
+}
+
+// Read a file line by line without decoding it as a whole.
+// source: a file path, or a function returning a new readable stream of the content (a zip entry, read from its start)
+// onLine(line, start, end): start/end are the byte offsets of the line, end includes the newline.
+// options.start/options.end limit the read to a byte range (end exclusive).
+async function forEachLine(source, onLine, options = {}) {
+  const { start: rangeStart = 0, end: rangeEnd = null } = options;
+  if (rangeEnd != null && rangeEnd <= rangeStart) return;
+  const chunks = await openRange(source, rangeStart, rangeEnd);
+  let offset = rangeStart;
+  let rest = null;
+  for await (const chunk of chunks) {
+    const buf = rest ? Buffer.concat([rest, chunk]) : chunk;
+    let from = 0;
+    let nl;
+    while ((nl = buf.indexOf(10, from)) !== -1) {
+      const to = nl > from && buf[nl - 1] === 13 ? nl - 1 : nl;
+      onLine(buf.toString('utf8', from, to), offset + from, offset + nl + 1);
+      from = nl + 1;
+    }
+    offset += from;
+    rest = from < buf.length ? buf.subarray(from) : null;
+  }
+  if (rest && rest.length) onLine(rest.toString('utf8').replace(/\r$/, ''), offset, offset + rest.length);
+}
+
+module.exports = { forEachLine, openRange };
@@ -12,6 +12,50 @@ function printFinal(outputPath, realMb = null, estMb = null) {
   console.log(`💾 File:  "${outputPath}"`);
 }
 
-module.exports = { printFinal };
+function printWarning(message) {
+  const YELLOW = '\x1b[33m';
+  const BOLD = '\x1b[1m';
+  const RESET = '\x1b[0m';
+  console.warn(`${BOLD}${YELLOW}WARNING:${RESET} ${message}`);
+}
+
+// Console rendering of the library's onProgress events
+function printProgress(event) {
+  if (event.type === 'warning') {
+    printWarning(event.message);
+  } else if (event.type === 'stage' && event.stage === 'write') {
+    console.log('');
+    console.log(`⏳ Starting file generation`);
+  } else if (event.type === 'stage' && event.stage === 'zip') {
+    console.log('');
+    console.log(`✅ GCODE file looped and compressed!`);
+    console.log(`📦 Copying the rest of the .3mf...`);
+  } else if (event.type === 'stage' && event.stage === 'encode') {
+    console.log('');
+    console.log(`✅ GCODE file looped!`);
+    console.log(`📦 Encoding binary G-code, it may take a while for large files...`);
+  } else if (event.type === 'stage' && event.stage === 'verify') {
+    console.log(`🔎 Checking the written archive...`);
+  } else if (event.type === 'upload') {
+    printUpload(event);
+  }
+}
+
+// "📤 Sending to mk4... 42%", redrawn in place on a terminal and every 25% otherwise
+let lastUploadStep = null;
+function printUpload({ printer, sentBytes, totalBytes }) {
+  const percent = totalBytes ? Math.floor((sentBytes / totalBytes) * 100) : 100;
+  if (process.stdout.isTTY) {
+    process.stdout.write(`\r📤 Sending to ${printer}... ${percent}%`);
+    if (sentBytes >= totalBytes) process.stdout.write('\n');
+    return;
+  }
+  const step = Math.floor(percent / 25);
+  if (step === lastUploadStep) return;
+  lastUploadStep = step;
+  console.log(`📤 Sending to ${printer}... ${percent}%`);
+}
+
+module.exports = { printFinal, printWarning, printProgress };
 
 
@@ -0,0 +1,167 @@
+
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { openRange } = require('./lines');
+const { createProgressRewriter } = require('./progress');
+
+// Comments streamRepeatFiles (src/gcode.js) writes around every copy, between block and trimmed end sequence.
+// The header is repeated as the footer.
+const MARKER_PREFIX = '; 3mf-looper:';
+const HEADER = /^; 3mf-looper: File modified at .* for (\d+) loops for files: /;
+const TRIM = /^; 3mf-looper: Start sequence printed in loop 1 only/;
+const LOOP = /^; 3mf-looper: Starting loop \d+$/;
+// A swept job adds the loop's settings: ... for "cube" with nozzle=215C, fan=60%
+const COPY = /^; 3mf-looper: Starting loop (\d+) for "(.*)"(?: \(copy (\d+)\/(\d+)\))?(?: with (.*))?$/;
+const END_SEQUENCE = /^; 3mf-looper: End sequence from "(.*)"$/;
+const BETWEEN = /^; 3mf-looper: Between loops \d+ and \d+$/;
+const BETWEEN_END = /^; 3mf-looper: End of between loops /;
+const LOOP_STATUS = /^M117 Loop \d+\/\d+$/;
+const REMAINING = /^M73\b[^;]*\bR(\d+)/;
+// The default output name, "Loop X 5 - 2h30m - 18g - ", in front of the original name
+const LOOPED_NAME = /^Loop X \d+ - [^-]* - [^-]* - (.+)$/;
+
+// Finds the parts of a 3mf-looper output while its lines are read: scan(line, start, end) gets every line,
+// copy() is the copy being read (null elsewhere) and result() the layout, null for any other G-code:
+// { loops, trim, loopStatus, copies: [{ loop, name, copy, copies, sweep, start, end, firstRemaining, lastRemaining }],
+//   betweens: [{ start, end }], endSequence: { name, start, end, firstRemaining, lastRemaining } | null }
+// Ranges exclude the markers; first/lastRemaining are the M73 R values read in them (null without M73).
+function createLoopedScanner() {
+  let layout = null;
+  let open = null;
+  let openCopy = null;
+  let openBetween = null;
+  let complete = false;
+
+  const range = (start, extra) => ({ ...extra, start, end: null, firstRemaining: null, lastRemaining: null });
+  const close = (at) => {
+    if (open) open.end = at;
+    open = null;
+    openCopy = null;
+  };
+
+  function scan(line, start, end) {
+    if (line.charCodeAt(0) === 77 /* M */) {
+      if (!layout) return;
+      if (open && line.startsWith('M73')) {
+        const r = line.match(REMAINING);
+        if (!r) return;
+        if (open.firstRemaining === null) open.firstRemaining = parseInt(r[1], 10);
+        open.lastRemaining = parseInt(r[1], 10);
+      } else if (!open && LOOP_STATUS.test(line)) {
+        layout.loopStatus = true;
+      }
+      return;
+    }
+    if (!line.startsWith(MARKER_PREFIX)) return;
+    let m;
+    if ((m = line.match(HEADER))) {
+      // The header comes after the thumbnails or metadata a .gcode output may start with; the footer follows a newline
+      if (!layout) {
+        layout = { loops: parseInt(m[1], 10), trim: false, loopStatus: false, copies: [], betweens: [], endSequence: null };
+        return;
+      }
+      close(start - 1);
+      complete = true;
+    } else if (!layout) {
+      return;
+    } else if ((m = line.match(COPY))) {
+      close(start);
+      open = range(end, { loop: parseInt(m[1], 10), name: m[2], copy: m[3] ? parseInt(m[3], 10) : 1, copies: m[4] ? parseInt(m[4], 10) : 1, sweep: m[5] || null });
+      openCopy = open;
+      layout.copies.push(open);
+    } else if (LOOP.test(line)) {
+      close(start);
+    } else if ((m = line.match(END_SEQUENCE))) {
+      close(start);
+      open = range(end, { name: m[1] });
+      layout.endSequence = open;
+    } else if (BETWEEN.test(line)) {
+      close(start - 1);
+      openBetween = { start: end, end: null };
+      layout.betweens.push(openBetween);
+    } else if (BETWEEN_END.test(line) && openBetween) {
+      openBetween.end = start;
+      openBetween = null;
+    } else if (TRIM.test(line)) {
+      layout.trim = true;
+    }
+  }
+
+  const copy = () => openCopy;
+
+  function result() {
+    if (!layout || !complete || layout.copies.length === 0) return null;
+    return layout;
+  }
+
+  return { scan, copy, result };
+}
+
+// What printing a 3mf-looper output again starts from: its first loop (every file with its copies) and, when
+// trimmed, the end sequence printed once after the last loop. Printed layout.loops times it gives the same job.
+// Returns { name, names, copies, sweep, pieces: [{ start, end, shift }], minutes } where shift is what the job-wide M73 R values
+// of a piece are above the unit's own, and minutes the unit's print time from M73 (null without M73).
+// sweep: the first loop's swept settings ("nozzle=215C"), kept when it is printed again.
+// Null when the first loop does not hold every file: a sequential schedule of several files.
+function loopedUnit(layout) {
+  const names = [...new Set(layout.copies.map((c) => c.name))];
+  const first = layout.copies.filter((c) => c.loop === 1);
+  if (names.some((name) => !first.some((c) => c.name === name))) return null;
+
+  // The last copy runs on the job's own M73 values, which count down to its end: the same lines in the first
+  // loop's last copy read higher by the shift. Slicers start at "M73 P0 R<total>", the unit's print time.
+  const last = layout.copies[layout.copies.length - 1];
+  const firstLast = first[first.length - 1].lastRemaining;
+  const shift = firstLast !== null && last.lastRemaining !== null ? firstLast - last.lastRemaining : null;
+  const pieces = first.map((c) => ({ start: c.start, end: c.end, shift: shift || 0 }));
+  if (layout.trim && layout.endSequence) pieces.push({ start: layout.endSequence.start, end: layout.endSequence.end, shift: 0 });
+  const firstRemaining = first[0].firstRemaining;
+  return {
+    name: names.join(' + '),
+    names,
+    copies: first.length,
+    sweep: first[0].sweep,
+    pieces,
+    minutes: firstRemaining !== null && shift !== null ? Math.max(0, firstRemaining - shift) : null,
+  };
+}
+
+// Writes the unit's G-code to destPath, its M73 progress counted over the unit alone again
+async function writeLoopedUnit(source, unit, destPath) {
+  const progress = createProgressRewriter(unit.minutes || 0);
+  await pipeline(async function* unitChunks() {
+    for (const piece of unit.pieces) {
+      // Read as a source of minutes + shift, the rewriter takes every R value down by the shift
+      progress.segment(0, unit.minutes + piece.shift);
+      for await (const chunk of await openRange(source, piece.start, piece.end)) {
+        const out = progress.transform(chunk);
+        if (out.length) yield out;
+      }
+      const rest = progress.flush();
+      if (rest.length) yield rest;
+    }
+  }, fs.createWriteStream(destPath));
+}
+
+// The first block between loops as it was written, or null
+async function readLoopedBetween(source, layout) {
+  const block = layout.betweens.find((b) => b.end !== null);
+  if (!block) return null;
+  const chunks = [];
+  for await (const chunk of await openRange(source, block.start, block.end)) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// "cube.gcode.3mf" from "Loop X 5 - 2h30m - 18g - cube.gcode.3mf"; other names are kept
+function loopedOriginalName(fileName) {
+  const m = fileName.match(LOOPED_NAME);
+  return m ? m[1] : fileName;
+}
+
+module.exports = {
+  createLoopedScanner,
+  loopedUnit,
+  writeLoopedUnit,
+  readLoopedBetween,
+  loopedOriginalName,
+};
@@ -0,0 +1,103 @@
+
+// MeatPack decoding for binary G-code blocks. Packed bytes hold two 4-bit codes (low nibble first)
+// for the most common G-code characters; 0b1111 means the character follows as a full byte.
+// 0xFF 0xFF <command> switches packing and the "no spaces" mode on and off.
+const PACKED_CHARS = '0123456789. \nGX';
+const SIGNAL = 0xff;
+const CMD_ENABLE_PACKING = 0xfb;
+const CMD_DISABLE_PACKING = 0xfa;
+const CMD_RESET_ALL = 0xf9;
+const CMD_ENABLE_NO_SPACES = 0xf7;
+const CMD_DISABLE_NO_SPACES = 0xf6;
+
+// "No spaces" mode drops the spaces between G-code words: put them back before each parameter letter
+function restoreSpaces(line) {
+  const comment = line.indexOf(';');
+  const code = comment === -1 ? line : line.slice(0, comment);
+  const spaced = code.replace(/([0-9.])(?=[A-Za-z*])/g, '$1 ');
+  return comment === -1 ? spaced : spaced + (spaced && !/\s$/.test(spaced) ? ' ' : '') + line.slice(comment);
+}
+
+function unpack(input) {
+  const out = [];
+  let line = [];
+  let packing = false;
+  let noSpaces = false;
+  let pendingFull = 0;
+  let secondChar = null;
+  let signals = 0;
+
+  const emit = (byte) => {
+    if (byte !== 10) {
+      line.push(byte);
+      return;
+    }
+    const text = Buffer.from(line).toString('latin1');
+    out.push((noSpaces ? restoreSpaces(text) : text) + '\n');
+    line = [];
+  };
+  const unpackedChar = (code) => (code === 11 && noSpaces ? 'E' : PACKED_CHARS[code]).charCodeAt(0);
+
+  const handle = (byte) => {
+    if (!packing) {
+      emit(byte);
+      return;
+    }
+    if (pendingFull > 0) {
+      emit(byte);
+      if (secondChar !== null) {
+        emit(secondChar);
+        secondChar = null;
+      }
+      pendingFull -= 1;
+      return;
+    }
+    const low = byte & 0x0f;
+    const high = byte >> 4;
+    if (low === 0x0f) {
+      pendingFull += 1;
+      if (high === 0x0f) pendingFull += 1;
+      else secondChar = unpackedChar(high);
+      return;
+    }
+    const first = unpackedChar(low);
+    emit(first);
+    // After a newline the second half of the byte is padding
+    if (first === 10) return;
+    if (high === 0x0f) pendingFull += 1;
+    else emit(unpackedChar(high));
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const byte = input[i];
+    if (byte === SIGNAL && pendingFull === 0) {
+      signals += 1;
+      if (signals < 2) continue;
+      signals = 0;
+      const command = input[i + 1];
+      i += 1;
+      if (command === CMD_ENABLE_PACKING) packing = true;
+      else if (command === CMD_DISABLE_PACKING) packing = false;
+      else if (command === CMD_ENABLE_NO_SPACES) noSpaces = true;
+      else if (command === CMD_DISABLE_NO_SPACES) noSpaces = false;
+      else if (command === CMD_RESET_ALL) {
+        packing = false;
+        noSpaces = false;
+      }
+      continue;
+    }
+    // A single 0xFF is data: both halves are full characters
+    if (signals === 1) {
+      signals = 0;
+      handle(SIGNAL);
+    }
+    handle(byte);
+  }
+  if (line.length) {
+    const text = Buffer.from(line).toString('latin1');
+    out.push(noSpaces ? restoreSpaces(text) : text);
+  }
+  return Buffer.from(out.join(''), 'latin1');
+}
+
+module.exports = { unpack };
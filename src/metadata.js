@@ -0,0 +1,197 @@
+
+function plateIndexFromGcodeName(gcodeName) {
+  const m = /^plate_(\d+)\.gcode$/i.exec(gcodeName);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+function scaleNumber(raw, factor, decimals) {
+  const value = parseFloat(raw);
+  if (!Number.isFinite(value)) return null;
+  const scaled = value * factor;
+  return decimals === 0 ? String(Math.round(scaled)) : scaled.toFixed(decimals);
+}
+
+// Rewrite <metadata key="prediction|weight"> and <filament used_m/used_g> for one plate in slice_info.config
+function rewriteSliceInfo(xml, plateIndex, { timeScale, weightScale }, warnings) {
+  const plateRegex = /<plate>[\s\S]*?<\/plate>/g;
+  let found = false;
+  const out = xml.replace(plateRegex, (block) => {
+    const idx = /<metadata\s+key="index"\s+value="(\d+)"/.exec(block);
+    if (!idx || parseInt(idx[1], 10) !== plateIndex) return block;
+    found = true;
+    let next = block;
+    const fields = [
+      { key: 'prediction', scale: timeScale, decimals: 0 },
+      { key: 'weight', scale: weightScale, decimals: 2 },
+    ];
+    for (const { key, scale, decimals } of fields) {
+      const re = new RegExp(`(<metadata\\s+key="${key}"\\s+value=")([^"]*)(")`);
+      const m = re.exec(next);
+      if (!m) continue;
+      const scaled = scale != null ? scaleNumber(m[2], scale, decimals) : null;
+      if (scaled == null) {
+        warnings.push(`slice_info.config: could not update "${key}" of plate ${plateIndex} (value "${m[2]}").`);
+        continue;
+      }
+      next = next.replace(re, `$1${scaled}$3`);
+    }
+    if (weightScale != null) {
+      next = next.replace(/<filament\b[^>]*>/g, (tag) => tag.replace(/(\bused_(?:m|g)=")([^"]*)(")/g, (all, a, v, b) => {
+        const scaled = scaleNumber(v, weightScale, 2);
+        return scaled == null ? all : `${a}${scaled}${b}`;
+      }));
+    }
+    return next;
+  });
+  if (!found) warnings.push(`slice_info.config: no entry for plate ${plateIndex}, time and weight were not updated.`);
+  return out;
+}
+
+// The metadata folder of a 3MF being rewritten, in memory: the names of its files and the text of the
+// sidecars that may change (.md5, .config, .json). Changes and removals are recorded for the zip writer.
+function createMetadataFolder(names, texts) {
+  const changed = new Map();
+  const removed = new Set();
+  return {
+    list: () => names.filter((name) => !removed.has(name)),
+    read: (name) => (changed.has(name) ? changed.get(name) : texts.get(name)),
+    write: (name, text) => changed.set(name, text),
+    remove: (name) => removed.add(name),
+    changed,
+    removed,
+  };
+}
+
+function findSidecar(folder, name) {
+  return folder.list().find((entry) => entry.toLowerCase() === name.toLowerCase()) || null;
+}
+
+// Bring the sidecar files of a looped plate in line with the new G-code:
+// - metadata/plate_N.gcode.md5 gets the MD5 of the looped G-code
+// - slice_info.config prediction/weight (and per-filament usage) are scaled
+// - plate_N.json numeric prediction/weight fields, when present, are scaled
+// Returns a list of warnings for sidecars that could not be updated safely.
+function updatePlateMetadata(folder, gcodeName, { md5, timeScale = null, weightScale = null }) {
+  const warnings = [];
+  const plateIndex = plateIndexFromGcodeName(gcodeName);
+
+  const md5Name = findSidecar(folder, `${gcodeName}.md5`);
+  if (md5Name) {
+    const previous = folder.read(md5Name).trim();
+    const upper = previous === previous.toUpperCase();
+    folder.write(md5Name, upper ? md5.toUpperCase() : md5.toLowerCase());
+  }
+
+  if (timeScale == null) warnings.push('Could not read the print time of the first file, the printer may show a wrong duration.');
+  if (weightScale == null) warnings.push('Could not read the filament weight of the first file, the printer may show a wrong weight.');
+
+  const sliceInfoName = findSidecar(folder, 'slice_info.config');
+  if (sliceInfoName) {
+    if (plateIndex == null) {
+      warnings.push(`slice_info.config: "${gcodeName}" is not a plate_N.gcode name, time and weight were not updated.`);
+    } else {
+      folder.write(sliceInfoName, rewriteSliceInfo(folder.read(sliceInfoName), plateIndex, { timeScale, weightScale }, warnings));
+    }
+  }
+
+  if (plateIndex != null) {
+    const jsonName = findSidecar(folder, `plate_${plateIndex}.json`);
+    if (jsonName) {
+      let data = null;
+      try {
+        data = JSON.parse(folder.read(jsonName));
+      } catch {
+        warnings.push(`plate_${plateIndex}.json: could not be parsed, left unchanged.`);
+      }
+      if (data && typeof data === 'object') {
+        let changed = false;
+        if (typeof data.prediction === 'number' && timeScale != null) {
+          data.prediction = Math.round(data.prediction * timeScale);
+          changed = true;
+        }
+        if (typeof data.weight === 'number' && weightScale != null) {
+          data.weight = Number((data.weight * weightScale).toFixed(2));
+          changed = true;
+        }
+        if (changed) folder.write(jsonName, JSON.stringify(data));
+      }
+    }
+  }
+
+  return warnings;
+}
+
+// Sidecars of plate N other than its MD5: plate_N.json, plate_N.png, plate_N_small.png, plate_no_light_N.png,
+// top_N.png and pick_N.png
+const PLATE_SIDECAR = /^(?:plate|plate_no_light|top|pick)_(\d+)(?:_small)?\.(?:json|png)$/i;
+
+// Drop every other plate's G-code (and MD5, JSON, images and slice_info entry) so the printer only sees the
+// looped plate
+function removeOtherPlates(folder, keepGcodeName) {
+  const removedIndexes = [];
+  for (const entry of folder.list()) {
+    const lower = entry.toLowerCase();
+    if (!lower.endsWith('.gcode') || lower === keepGcodeName.toLowerCase()) continue;
+    folder.remove(entry);
+    const md5Name = findSidecar(folder, `${entry}.md5`);
+    if (md5Name) folder.remove(md5Name);
+    const idx = plateIndexFromGcodeName(entry);
+    if (idx != null) removedIndexes.push(idx);
+  }
+  if (removedIndexes.length === 0) return;
+  for (const entry of folder.list()) {
+    const m = PLATE_SIDECAR.exec(entry);
+    if (m && removedIndexes.includes(parseInt(m[1], 10))) folder.remove(entry);
+  }
+  const sliceInfoName = findSidecar(folder, 'slice_info.config');
+  if (!sliceInfoName) return;
+  const out = folder.read(sliceInfoName).replace(/[ \t]*<plate>[\s\S]*?<\/plate>\r?\n?/g, (block) => {
+    const idx = /<metadata\s+key="index"\s+value="(\d+)"/.exec(block);
+    return idx && removedIndexes.includes(parseInt(idx[1], 10)) ? '' : block;
+  });
+  folder.write(sliceInfoName, out);
+}
+
+// PrusaSlicer durations such as "1d 2h 3m 4s", in minutes
+function parseSlicerDuration(text) {
+  const m = /^\s*(?:(\d+)d\s*)?(?:(\d+)h\s*)?(?:(\d+)m\s*)?(?:(\d+)s)?\s*$/.exec(String(text || ''));
+  if (!m || !m.slice(1).some((v) => v !== undefined)) return null;
+  const [d, h, min, sec] = m.slice(1).map((v) => parseInt(v || '0', 10));
+  return d * 1440 + h * 60 + min + sec / 60;
+}
+
+function formatSlicerDuration(minutes) {
+  let seconds = Math.round(minutes * 60);
+  const parts = [];
+  for (const [unit, size] of [['d', 86400], ['h', 3600], ['m', 60]]) {
+    if (seconds >= size || parts.length) parts.push(`${Math.floor(seconds / size)}${unit}`);
+    seconds %= size;
+  }
+  parts.push(`${seconds}s`);
+  return parts.join(' ');
+}
+
+// Binary G-code metadata ([key, value] lists) of a looped file: print time and filament usage
+// (per extruder lists included) are scaled like the 3MF sidecars
+function scaleBgcodeMetadata(entries, { timeScale = null, weightScale = null }) {
+  return entries.map(([key, value]) => {
+    if (timeScale != null && /^estimated printing time/i.test(key)) {
+      const minutes = parseSlicerDuration(value);
+      return [key, minutes == null ? value : formatSlicerDuration(minutes * timeScale)];
+    }
+    if (weightScale != null && /^(total )?filament (used|cost)/i.test(key)) {
+      return [key, value.replace(/-?\d+(?:\.(\d+))?/g, (raw, decimals) => scaleNumber(raw, weightScale, decimals ? decimals.length : 0))];
+    }
+    return [key, value];
+  });
+}
+
+module.exports = {
+  createMetadataFolder,
+  updatePlateMetadata,
+  removeOtherPlates,
+  plateIndexFromGcodeName,
+  parseSlicerDuration,
+  formatSlicerDuration,
+  scaleBgcodeMetadata,
+};
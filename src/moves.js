@@ -0,0 +1,91 @@
+
+// Last-resort estimate from the moves themselves, for files without M73 or summary comments.
+// Each move takes its length over its feed rate; acceleration is ignored, so the time is optimistic.
+const DEFAULT_FEED = 1500; // mm/min until the file sets one
+
+const WORDS = {};
+for (const letter of 'XYZEFPS') WORDS[letter] = new RegExp(`\\b${letter}(-?[0-9]*\\.?[0-9]+)`);
+const word = (code, letter) => {
+  const m = WORDS[letter].exec(code);
+  return m ? parseFloat(m[1]) : null;
+};
+
+// Tool numbers above this are firmware specials (Bambu's T255 unload, T1000), not filament slots
+const MAX_TOOL = 63;
+
+// Feed every line, then result() returns { minutes, extrudedMm, extrudedPerTool: [mm by T<n> + 1] }
+function createMoveEstimator() {
+  let absolute = true;
+  let relativeE = false;
+  let feed = DEFAULT_FEED;
+  let x = 0;
+  let y = 0;
+  let z = 0;
+  let e = 0;
+  let seconds = 0;
+  let extrudedMm = 0;
+  let tool = 0;
+  const extrudedPerTool = [];
+
+  function scan(line) {
+    const c = line.charCodeAt(0);
+    if (c === 84 /* T */) {
+      const t = /^T(\d+)\b/.exec(line);
+      if (t && parseInt(t[1], 10) <= MAX_TOOL) tool = parseInt(t[1], 10);
+      return;
+    }
+    if (c !== 71 /* G */ && c !== 77 /* M */) return;
+    const code = line.split(';', 1)[0].trim();
+    const cmd = code.split(/\s+/, 1)[0];
+    if (cmd === 'G90') { absolute = true; relativeE = false; return; }
+    if (cmd === 'G91') { absolute = false; relativeE = true; return; }
+    if (cmd === 'M82') { relativeE = false; return; }
+    if (cmd === 'M83') { relativeE = true; return; }
+    if (cmd === 'G92') {
+      const v = word(code, 'E');
+      if (v !== null) e = v;
+      return;
+    }
+    if (cmd === 'G4') {
+      const p = word(code, 'P');
+      const s = word(code, 'S');
+      seconds += s !== null ? s : (p || 0) / 1000;
+      return;
+    }
+    if (cmd !== 'G0' && cmd !== 'G1' && cmd !== 'G2' && cmd !== 'G3') return;
+    const f = word(code, 'F');
+    if (f !== null && f > 0) feed = f;
+    const nx = word(code, 'X');
+    const ny = word(code, 'Y');
+    const nz = word(code, 'Z');
+    const ne = word(code, 'E');
+    const target = (current, value) => (value === null ? current : (absolute ? value : current + value));
+    const tx = target(x, nx);
+    const ty = target(y, ny);
+    const tz = target(z, nz);
+    let de = 0;
+    if (ne !== null) {
+      de = relativeE ? ne : ne - e;
+      e = relativeE ? e + ne : ne;
+      if (de > 0) {
+        extrudedMm += de;
+        while (extrudedPerTool.length <= tool) extrudedPerTool.push(0);
+        extrudedPerTool[tool] += de;
+      }
+    }
+    // Arcs are counted as their chord
+    const distance = Math.sqrt((tx - x) ** 2 + (ty - y) ** 2 + (tz - z) ** 2) || Math.abs(de);
+    seconds += (distance / feed) * 60;
+    x = tx;
+    y = ty;
+    z = tz;
+  }
+
+  function result() {
+    return { minutes: seconds / 60, extrudedMm, extrudedPerTool };
+  }
+
+  return { scan, result };
+}
+
+module.exports = { createMoveEstimator };
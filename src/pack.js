@@ -0,0 +1,108 @@
+
+const fsp = require('fs').promises;
+const { InputError } = require('./errors');
+
+// A .gcode.3mf built around plain G-code, laid out like the ones Bambu Studio and OrcaSlicer export:
+// the printer reads Metadata/plate_1.gcode, checks it against its MD5 and shows slice_info.config's time and weight
+const PACK_FOLDER = 'Metadata';
+const PACK_GCODE_NAME = 'plate_1.gcode';
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+function contentTypesXml() {
+  return `${XML_HEADER}<Types>`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>'
+    + '<Default Extension="png" ContentType="image/png"/>'
+    + '<Default Extension="gcode" ContentType="text/x.gcode"/>'
+    + '</Types>';
+}
+
+function relationshipsXml(thumbnail) {
+  const thumbnailRel = thumbnail
+    ? `<Relationship Target="/${PACK_FOLDER}/plate_1.png" Id="rel-2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/thumbnail"/>`
+    : '';
+  return `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Target="/3D/3dmodel.model" Id="rel-1" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>'
+    + `${thumbnailRel}</Relationships>`;
+}
+
+// A 3MF needs a model part: there is no mesh to put in it, the G-code is what gets printed
+function emptyModelXml() {
+  return `${XML_HEADER}<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">\n`
+    + '  <metadata name="Application">3mf-looper</metadata>\n'
+    + '  <resources/>\n'
+    + '  <build/>\n'
+    + '</model>\n';
+}
+
+const attribute = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+// One plate, in the format rewriteSliceInfo() (src/metadata.js) updates. slots: [{ slot, grams }]
+function sliceInfoXml({ minutes, grams, slots, nozzle }) {
+  const lines = [
+    '<config>',
+    '  <header>',
+    '    <header_item key="X-BBL-Client-Type" value="slicer"/>',
+    '  </header>',
+    '  <plate>',
+    '    <metadata key="index" value="1"/>',
+  ];
+  if (nozzle) lines.push(`    <metadata key="nozzle_diameters" value="${attribute(nozzle)}"/>`);
+  lines.push(
+    `    <metadata key="prediction" value="${Math.round(minutes * 60)}"/>`,
+    `    <metadata key="weight" value="${grams.toFixed(2)}"/>`,
+    '    <metadata key="outside" value="false"/>',
+  );
+  slots.filter((s) => s.grams > 0).forEach((s) => lines.push(`    <filament id="${s.slot}" used_g="${s.grams.toFixed(2)}" />`));
+  lines.push('  </plate>', '</config>', '');
+  return XML_HEADER + lines.join('\n');
+}
+
+// The files around the G-code: [[name, content]], the MD5 and slice_info.config only once the G-code is written.
+// thumbnail: PNG data or null
+function packedFiles({ thumbnail = null } = {}) {
+  const files = [
+    ['[Content_Types].xml', contentTypesXml()],
+    ['_rels/.rels', relationshipsXml(thumbnail)],
+    ['3D/3dmodel.model', emptyModelXml()],
+  ];
+  if (thumbnail) files.push([`${PACK_FOLDER}/plate_1.png`, thumbnail]);
+  return files;
+}
+
+// info: { md5, minutes, grams, slots: [{ slot, grams }], nozzle }
+function packedSidecars(info) {
+  return [
+    [`${PACK_FOLDER}/${PACK_GCODE_NAME}.md5`, info.md5.toUpperCase()],
+    [`${PACK_FOLDER}/slice_info.config`, sliceInfoXml(info)],
+  ];
+}
+
+// The largest PNG among a G-code's thumbnails ({ format, width, height, data }), or null
+function pickThumbnail(thumbnails) {
+  const pngs = thumbnails.filter((t) => t.format === 'PNG');
+  if (pngs.length === 0) return null;
+  return pngs.reduce((best, t) => (t.width * t.height > best.width * best.height ? t : best)).data;
+}
+
+async function readThumbnailFile(filePath) {
+  let data;
+  try {
+    data = await fsp.readFile(filePath);
+  } catch {
+    throw new InputError(`Could not read the thumbnail: ${filePath}`);
+  }
+  if (!data.subarray(0, PNG_MAGIC.length).equals(PNG_MAGIC)) throw new InputError(`The thumbnail must be a PNG image: ${filePath}`);
+  return data;
+}
+
+module.exports = {
+  PACK_FOLDER,
+  PACK_GCODE_NAME,
+  packedFiles,
+  packedSidecars,
+  pickThumbnail,
+  readThumbnailFile,
+};
@@ -0,0 +1,72 @@
+
+const fs = require('fs');
+const path = require('path');
+const { plateIndexFromGcodeName } = require('./metadata');
+const { InputError } = require('./errors');
+
+// "file.3mf#2,3" or "file.3mf#all" selects plates and a trailing ":3" prints the file 3 times per loop
+// ("file.3mf#2:3"); a file that really is named like that wins
+function parseInputArg(arg, cwd = process.cwd()) {
+  if (fs.existsSync(path.resolve(cwd, arg))) return { file: arg, plates: null, weight: null };
+  const w = /^(.+):(\d+)$/.exec(arg);
+  const rest = w ? w[1] : arg;
+  const weight = w ? parseInt(w[2], 10) : null;
+  const m = /^(.*)#(all|\d+(?:,\d+)*)$/i.exec(rest);
+  if (!m || fs.existsSync(path.resolve(cwd, rest))) return { file: rest, plates: null, weight };
+  if (m[2].toLowerCase() === 'all') return { file: m[1], plates: 'all', weight };
+  return { file: m[1], plates: m[2].split(',').map((v) => parseInt(v, 10)), weight };
+}
+
+function sortByPlate(names) {
+  return [...names].sort((a, b) => (plateIndexFromGcodeName(a) || 0) - (plateIndexFromGcodeName(b) || 0));
+}
+
+function plateLabel(name) {
+  const idx = plateIndexFromGcodeName(name);
+  return idx != null ? String(idx) : name;
+}
+
+// plates: null (single-plate inputs only), 'all', or plate numbers / G-code names in print order
+function selectPlates(names, plates, inputNumber) {
+  const sorted = sortByPlate(names);
+  if (plates === 'all') return sorted;
+  if (!plates) {
+    if (sorted.length === 1) return sorted;
+    throw new InputError(`Input ${inputNumber} has ${sorted.length} plates (${sorted.map(plateLabel).join(', ')}). Pick plates with "file.3mf#2,3" or loop them all with "file.3mf#all".`);
+  }
+  return plates.map((p) => {
+    const found = sorted.find((name) => plateIndexFromGcodeName(name) === p || name === p);
+    if (!found) throw new InputError(`Plate ${p} not found in input ${inputNumber} (available: ${sorted.map(plateLabel).join(', ')}).`);
+    return found;
+  });
+}
+
+// Single-plate inputs keep the G-code name; plates from multi-plate projects are named after their project
+function plateDisplayName(inputPath, gcodeName, plateCount) {
+  if (plateCount <= 1) return gcodeName;
+  const coreName = path.parse(inputPath).name.replace(/\.gcode$/i, '');
+  return `${coreName} plate ${plateLabel(gcodeName)}`;
+}
+
+function platesSuffix(selectedNames, plateCount) {
+  if (plateCount <= 1) return '';
+  const labels = selectedNames.map(plateLabel);
+  if (labels.length === plateCount) return ' - all plates';
+  return labels.length === 1 ? ` - plate ${labels[0]}` : ` - plates ${labels.join(',')}`;
+}
+
+function plateSelectorArg(selectedNames, plateCount, weight = 1) {
+  const weightArg = weight > 1 ? `:${weight}` : '';
+  if (plateCount <= 1) return weightArg;
+  return (selectedNames.length === plateCount ? '#all' : `#${selectedNames.map(plateLabel).join(',')}`) + weightArg;
+}
+
+module.exports = {
+  parseInputArg,
+  sortByPlate,
+  plateLabel,
+  selectPlates,
+  plateDisplayName,
+  platesSuffix,
+  plateSelectorArg,
+};
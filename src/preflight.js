@@ -0,0 +1,105 @@
+
+const path = require('path');
+
+const { CLEAR_Z_MARGIN } = require('./eject');
+
+// Settings naming the printer a file was sliced for, by the key used in analyses. The same keys are found in
+// the slicer's config comments ("; printer_model = ...") and in a .3mf's project_settings.config.
+// colorChange is the printer profile's filament change G-code, for --colors (see src/colors.js)
+const PRINTER_SETTINGS = {
+  printer_model: 'model',
+  nozzle_diameter: 'nozzle',
+  curr_bed_type: 'bedType',
+  printable_height: 'height',
+  max_print_height: 'height',
+  color_change_gcode: 'colorChange',
+};
+
+// Parts taller than this tend to tip over or jam instead of sliding off when pushed
+const PUSH_OFF_MAX_Z = 50;
+// Between-loops blocks that stop for the user (like swap-plate) instead of pushing the parts off
+const PAUSE_COMMAND = /^\s*(?:M0|M1|M25|M226|M601|M400\s+U1|PAUSE)\b/im;
+const COOLDOWN_WAIT = /^\s*M190\s[^;\n]*\bR\d/im;
+
+// { model, nozzle, bedType, height } from a .3mf's project_settings.config (JSON), {} when it can't be read
+function printerFromProjectSettings(text) {
+  let settings;
+  try {
+    settings = JSON.parse(text);
+  } catch {
+    return {};
+  }
+  const printer = {};
+  for (const [key, field] of Object.entries(PRINTER_SETTINGS)) {
+    const value = settings && settings[key];
+    if (value == null || printer[field] !== undefined) continue;
+    printer[field] = Array.isArray(value) ? value.join(',') : String(value);
+  }
+  return printer;
+}
+
+// Nozzles are compared by the first extruder's diameter, "0.4" and "0.40" being the same
+const comparable = {
+  model: (value) => value,
+  nozzle: (value) => {
+    const mm = parseFloat(value);
+    return Number.isFinite(mm) ? `${mm} mm` : null;
+  },
+  bedType: (value) => value,
+};
+const COMPARED_LABELS = { model: 'printer models', nozzle: 'nozzles', bedType: 'bed types' };
+
+// What could crash the toolhead into the parts, or print the next loop on top of them, in a job looped more than once.
+// options.between: the between-loops template; options.trim: start and end sequences printed once
+// options.maxPartHeight: the tallest parts pushed off safely, PUSH_OFF_MAX_Z by default (a config profile's bedClearing)
+// Returns [{ check, message }] where check is 'end-lift', 'bed-cooldown', 'no-eject', 'tall-parts', 'lift-height' or 'mixed-printers'
+function preflightChecks(job, options = {}) {
+  const { between = null, trim = false, maxPartHeight = PUSH_OFF_MAX_Z } = options;
+  const found = [];
+  const add = (check, message) => found.push({ check, message });
+  const pauses = !!between && PAUSE_COMMAND.test(between);
+
+  // Without trim, every copy's end sequence runs right before the next start sequence
+  if (!trim) {
+    job.analyses.forEach((a, i) => {
+      const name = job.displayNames[i];
+      if (!between && !a.sections) {
+        add('end-lift', `Could not find the end sequence of "${name}" to check that it moves the nozzle clear of the parts before the next loop. Add --eject or --between.`);
+      } else if (!between && !a.sections.endLifts) {
+        add('end-lift', `The end sequence of "${name}" does not lift or park the nozzle: the next loop's start sequence can crash into the parts. Add --eject or --between.`);
+      }
+      if (a.sections && a.sections.endBedOff && !a.sections.endWaitsToCool && !(pauses || (between && COOLDOWN_WAIT.test(between)))) {
+        add('bed-cooldown', `The end sequence of "${name}" turns the bed off without waiting for it to cool: the parts are still stuck when the next loop heats it again. Use --eject push-off or a --between block that waits (M190 R30).`);
+      }
+    });
+  } else if (!between) {
+    // Trim leaves out the end sequences: with --eject none, the lift above the parts is all that runs between loops
+    add('no-eject', 'Nothing clears the bed between loops: the end sequence is trimmed and there is no --eject or --between block, so the next loop prints onto the parts unless they are removed another way.');
+  }
+
+  if (job.maxZ > maxPartHeight && !pauses) {
+    add('tall-parts', `The parts are ${job.maxZ.toFixed(1)} mm tall: over ${maxPartHeight} mm they can tip over or jam the toolhead when pushed off the bed. Use --eject swap-plate for tall prints.`);
+  }
+  // The between block (or the lift used with trim) goes CLEAR_Z_MARGIN above the parts
+  const height = parseFloat(job.printers[0].height);
+  const liftsToClearZ = between ? between.includes('{clearZ}') : trim;
+  if (liftsToClearZ && height > 0 && job.maxZ + CLEAR_Z_MARGIN > height) {
+    add('lift-height', `The block between loops lifts the nozzle to ${(job.maxZ + CLEAR_Z_MARGIN).toFixed(1)} mm, above the printer's ${height} mm build height.`);
+  }
+
+  for (const [field, label] of Object.entries(COMPARED_LABELS)) {
+    const values = job.printers.map((printer) => (printer[field] ? comparable[field](printer[field]) : null));
+    const distinct = [...new Set(values.filter(Boolean))];
+    if (distinct.length < 2) continue;
+    const listed = distinct.map((value) => `${value} (${job.inputPaths.filter((p, i) => values[i] === value).map((p) => path.basename(p)).join(', ')})`);
+    add('mixed-printers', `The inputs were sliced for different ${label}: ${listed.join(', ')}.`);
+  }
+  return found;
+}
+
+module.exports = {
+  PRINTER_SETTINGS,
+  PUSH_OFF_MAX_Z,
+  printerFromProjectSettings,
+  preflightChecks,
+};
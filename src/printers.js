@@ -0,0 +1,187 @@
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const YAML = require('yaml');
+
+const { userConfigDir } = require('./config');
+const { InputError, PrinterError } = require('./errors');
+
+// Printer registry (JSON or YAML), printers.json (or .yaml) next to the config file in ~/.config/3mf-looper, or $LOOPER_PRINTERS:
+// {
+//   "mk4": { "type": "octoprint", "url": "http://octopi.local", "apiKey": "..." },
+//   "voron": { "type": "moonraker", "url": "http://voron.local:7125" }      apiKey only if Moonraker requires one
+// }
+// A profile's "send" names one of them. ~/.3mf-looper/printers.json, where it used to be kept, is read when there is none.
+const PRINTERS_NAMES = ['printers.json', 'printers.yaml', 'printers.yml'];
+const IDLE_TIMEOUT = 60 * 1000;
+
+// Upload endpoint, form fields and the output formats each host can print
+const PRINTER_TYPES = {
+  octoprint: {
+    label: 'OctoPrint',
+    uploadPath: '/api/files/local',
+    fields: (start) => (start ? { select: 'true', print: 'true' } : {}),
+    formats: ['gcode', 'bgcode'],
+  },
+  moonraker: {
+    label: 'Moonraker',
+    uploadPath: '/server/files/upload',
+    fields: (start) => ({ root: 'gcodes', ...(start ? { print: 'true' } : {}) }),
+    formats: ['gcode'],
+  },
+};
+
+// The file given, $LOOPER_PRINTERS, or the first registry found in the config folder or the old place;
+// the config folder's printers.json when there is none
+function printersFilePath(file = null) {
+  if (file || process.env.LOOPER_PRINTERS) return file || process.env.LOOPER_PRINTERS;
+  const defaults = [...PRINTERS_NAMES.map((name) => path.join(userConfigDir(), name)), path.join(os.homedir(), '.3mf-looper', 'printers.json')];
+  return defaults.find((candidate) => fs.existsSync(candidate)) || defaults[0];
+}
+
+// { name: { name, type, url, apiKey } } from the registry; missing default file = no printers
+async function loadPrinters(file = null) {
+  const filePath = printersFilePath(file);
+  let text;
+  try {
+    text = await fsp.readFile(filePath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT' && !file) return {};
+    throw new InputError(`Could not read the printers file ${filePath} (${e.code || e.message})`);
+  }
+  let registry;
+  try {
+    registry = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (e) {
+    throw new InputError(`Could not read ${path.basename(filePath)}: ${e.message}`);
+  }
+  if (!registry || typeof registry !== 'object' || Array.isArray(registry)) {
+    throw new InputError(`${path.basename(filePath)} must map printer names to { type, url, apiKey }.`);
+  }
+  const printers = {};
+  for (const [name, entry] of Object.entries(registry)) {
+    const where = `Printer "${name}" in ${path.basename(filePath)}`;
+    if (!entry || !PRINTER_TYPES[entry.type]) throw new InputError(`${where}: type must be ${Object.keys(PRINTER_TYPES).join(' or ')}.`);
+    let url;
+    try {
+      url = new URL(entry.url);
+    } catch {
+      throw new InputError(`${where}: invalid url "${entry.url}".`);
+    }
+    if (!/^https?:$/.test(url.protocol)) throw new InputError(`${where}: the url must start with http:// or https://.`);
+    if (entry.type === 'octoprint' && !entry.apiKey) throw new InputError(`${where}: OctoPrint needs an apiKey (Settings > Application Keys).`);
+    printers[name] = { name, type: entry.type, url: url.href.replace(/\/+$/, ''), apiKey: entry.apiKey || null };
+  }
+  return printers;
+}
+
+function resolvePrinter(printers, name) {
+  const printer = printers[name];
+  if (printer) return printer;
+  const names = Object.keys(printers);
+  throw new InputError(`Unknown printer "${name}". ${names.length ? `Available: ${names.join(', ')}.` : `Add it to ${printersFilePath()}.`}`);
+}
+
+// Checked before writing: OctoPrint and Moonraker print G-code, not .gcode.3mf archives
+function checkPrinterFormat(printer, format) {
+  const type = PRINTER_TYPES[printer.type];
+  if (type.formats.includes(format)) return;
+  throw new InputError(`${type.label} cannot print .${format === '3mf' ? 'gcode.3mf' : format} files: add --format ${type.formats[0]} to send to "${printer.name}".`);
+}
+
+function describeFailure(printer, status, body) {
+  const type = PRINTER_TYPES[printer.type];
+  let detail = '';
+  try {
+    const parsed = JSON.parse(body);
+    detail = (parsed.error && (parsed.error.message || parsed.error)) || parsed.message || '';
+  } catch {
+    detail = body.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 200);
+  }
+  const reasons = {
+    401: 'the API key was rejected',
+    403: 'the API key was rejected',
+    404: `no ${type.label} upload endpoint at this url`,
+    409: 'the printer is busy (already printing?)',
+    413: 'the file is too large for the server',
+    415: 'the file type is not accepted',
+  };
+  const reason = reasons[status] || `HTTP ${status}`;
+  return `${printer.name} (${type.label}) refused the upload: ${reason}${detail && typeof detail === 'string' ? ` (${detail})` : ''}.`;
+}
+
+// Uploads the file as multipart/form-data and, with options.start, starts printing it
+// options.onProgress({ type: 'upload', printer, sentBytes, totalBytes })
+// options.idleTimeout: ms without a byte sent or received before giving up, IDLE_TIMEOUT by default
+// Returns { printer, type, remoteName, started }
+async function sendToPrinter(printer, filePath, options = {}) {
+  const { start = false, onProgress = () => {}, idleTimeout = IDLE_TIMEOUT } = options;
+  const type = PRINTER_TYPES[printer.type];
+  const fileName = path.basename(filePath);
+  const { size } = await fsp.stat(filePath);
+  const boundary = `----3mf-looper-${crypto.randomBytes(12).toString('hex')}`;
+  const fieldParts = Object.entries(type.fields(start))
+    .map(([key, value]) => `--${boundary}\r\nContent-Disposition: form-data; name="${key}"\r\n\r\n${value}\r\n`)
+    .join('');
+  const head = Buffer.from(`${fieldParts}--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${fileName.replace(/"/g, '%22')}"\r\n`
+    + 'Content-Type: application/octet-stream\r\n\r\n');
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  const url = new URL(printer.url + type.uploadPath);
+  const client = url.protocol === 'https:' ? https : http;
+  const headers = { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': head.length + size + tail.length };
+  if (printer.apiKey) headers['X-Api-Key'] = printer.apiKey;
+
+  const { status, body } = await new Promise((resolve, reject) => {
+    const req = client.request(url, { method: 'POST', headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+      res.on('error', reject);
+    });
+    const file = fs.createReadStream(filePath);
+    // The file is closed with the request, or it stays open waiting for a request that no longer reads it
+    req.setTimeout(idleTimeout, () => {
+      file.destroy();
+      req.destroy(new PrinterError(`${printer.name} stopped answering (no reply for ${idleTimeout / 1000}s).`));
+    });
+    req.on('error', (e) => reject(e instanceof PrinterError ? e : new PrinterError(`Could not reach ${printer.name} at ${printer.url} (${e.code || e.message}).`)));
+    req.write(head);
+    let sentBytes = 0;
+    file.on('data', (chunk) => {
+      sentBytes += chunk.length;
+      onProgress({ type: 'upload', printer: printer.name, sentBytes, totalBytes: size });
+    });
+    file.on('error', (e) => {
+      reject(e);
+      req.destroy();
+    });
+    file.on('end', () => req.end(tail));
+    file.pipe(req, { end: false });
+  });
+
+  if (status < 200 || status >= 300) throw new PrinterError(describeFailure(printer, status, body), status);
+  let reply = {};
+  try {
+    reply = JSON.parse(body);
+  } catch {}
+  // OctoPrint answers { files: { local: { name } }, effectivePrint }, Moonraker { result: { item: { path }, print_started } }
+  const result = reply.result || reply;
+  const remoteName = (result.files && result.files.local && result.files.local.name) || (result.item && result.item.path) || fileName;
+  const startedFlag = printer.type === 'octoprint' ? result.effectivePrint : result.print_started;
+  return { printer: printer.name, type: printer.type, remoteName, started: start && startedFlag !== false };
+}
+
+module.exports = {
+  PRINTER_TYPES,
+  printersFilePath,
+  loadPrinters,
+  resolvePrinter,
+  checkPrinterFormat,
+  sendToPrinter,
+};
@@ -0,0 +1,66 @@
+
+// M73 progress lines of the looped G-code, rewritten as they stream through so the printer shows the
+// whole job's percentage and remaining time instead of restarting every loop.
+// Each copied range is a segment: the printed time before it plus the source's own elapsed time,
+// which is the source's total minus its R (or S, silent mode) value.
+const M73_LINE = /^M73\b[^\n\r]*/gm;
+const EMPTY = Buffer.alloc(0);
+
+function createProgressRewriter(totalMinutes) {
+  let offset = 0;
+  let fileMinutes = 0;
+  let carry = EMPTY;
+
+  // P/R are normal mode, Q/S silent mode; M73 lines with neither (Bambu's M73 L<layer>) are kept
+  function rewriteLine(line) {
+    const comment = line.indexOf(';');
+    const code = comment === -1 ? line : line.slice(0, comment);
+    const values = {};
+    for (const m of code.matchAll(/\b([PRQS])(-?[0-9]*\.?[0-9]+)/g)) values[m[1]] = parseFloat(m[2]);
+    const progress = (percentKey, remainingKey) => {
+      let local = null;
+      if (values[remainingKey] !== undefined) local = fileMinutes - values[remainingKey];
+      else if (values[percentKey] !== undefined) local = (fileMinutes * values[percentKey]) / 100;
+      if (local === null) return null;
+      const elapsed = Math.min(totalMinutes, Math.max(0, offset + Math.max(0, local)));
+      return { percent: Math.floor((100 * elapsed) / totalMinutes), remaining: Math.max(0, Math.round(totalMinutes - elapsed)) };
+    };
+    const normal = progress('P', 'R');
+    const silent = progress('Q', 'S');
+    const rewritten = code.replace(/\b([PRQS])(-?[0-9]*\.?[0-9]+)/g, (m, key) => {
+      const mode = key === 'P' || key === 'R' ? normal : silent;
+      return key + (key === 'P' || key === 'Q' ? mode.percent : mode.remaining);
+    });
+    return comment === -1 ? rewritten : rewritten + line.slice(comment);
+  }
+
+  const rewrite = (buf) => {
+    if (buf.indexOf('M73') === -1) return buf;
+    return Buffer.from(buf.toString('latin1').replace(M73_LINE, rewriteLine), 'latin1');
+  };
+
+  // The next range: offsetMinutes printed before the source's own time 0, sourceMinutes its whole print time
+  function segment(offsetMinutes, sourceMinutes) {
+    offset = offsetMinutes;
+    fileMinutes = sourceMinutes;
+  }
+
+  // Complete lines of a chunk, rewritten; the unfinished last line waits for the next chunk or flush()
+  function transform(chunk) {
+    if (!(totalMinutes > 0 && fileMinutes > 0)) return chunk;
+    const data = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+    const cut = data.lastIndexOf(10) + 1;
+    carry = Buffer.from(data.subarray(cut));
+    return rewrite(data.subarray(0, cut));
+  }
+
+  function flush() {
+    const rest = carry;
+    carry = EMPTY;
+    return rest.length ? rewrite(rest) : rest;
+  }
+
+  return { segment, transform, flush };
+}
+
+module.exports = { createProgressRewriter };
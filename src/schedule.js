@@ -0,0 +1,58 @@
+
+const { InputError } = require('./errors');
+
+// Order of the copies in the looped G-code, for per-file weights (A.3mf:3 B.3mf:1):
+// - interleaved: every loop prints each file `weight` times (A A A B, A A A B, ...)
+// - sequential: all copies of the first file, then all of the next one (A x3N, then B xN), one loop per copy
+const SCHEDULES = ['interleaved', 'sequential'];
+
+function resolveSchedule(schedule) {
+  const resolved = schedule || 'interleaved';
+  if (!SCHEDULES.includes(resolved)) throw new InputError(`Unknown schedule "${schedule}". Use ${SCHEDULES.join(' or ')}.`);
+  return resolved;
+}
+
+// Weights are whole numbers of copies per loop, 1 when not given
+function resolveWeights(weights, count) {
+  const resolved = weights ? [...weights] : new Array(count).fill(1);
+  if (resolved.length !== count) throw new InputError(`Expected ${count} weights, got ${resolved.length}.`);
+  resolved.forEach((w, i) => {
+    if (w == null) resolved[i] = 1;
+    else if (!Number.isInteger(w) || w < 1) throw new InputError(`Weight of file ${i + 1} must be a whole number of copies (1 or more), got "${w}".`);
+  });
+  return resolved;
+}
+
+// [{ source, loop, copy, copies }] in print order: copy is the n-th of `copies` copies of the source
+// within its loop (interleaved) or within the whole job (sequential)
+function buildSequence(weights, repetitions, schedule = 'interleaved') {
+  const items = [];
+  if (schedule === 'sequential') {
+    weights.forEach((w, source) => {
+      const copies = w * repetitions;
+      for (let copy = 1; copy <= copies; copy += 1) items.push({ source, loop: items.length + 1, copy, copies });
+    });
+    return items;
+  }
+  for (let loop = 1; loop <= repetitions; loop += 1) {
+    weights.forEach((w, source) => {
+      for (let copy = 1; copy <= w; copy += 1) items.push({ source, loop, copy, copies: w });
+    });
+  }
+  return items;
+}
+
+// "A, B" (one of each per loop), "3x A, 1x B per loop" or "30x A, then 10x B"
+function describeSequence(weights, repetitions, schedule, names) {
+  if (schedule === 'sequential') return names.map((n, i) => `${weights[i] * repetitions}x ${n}`).join(', then ');
+  if (weights.every((w) => w === 1)) return names.join(', ');
+  return `${names.map((n, i) => `${weights[i]}x ${n}`).join(', ')} per loop`;
+}
+
+module.exports = {
+  SCHEDULES,
+  resolveSchedule,
+  resolveWeights,
+  buildSequence,
+  describeSequence,
+};
@@ -0,0 +1,159 @@
+
+const { forEachLine } = require('./lines');
+
+// Slicer markers used to split a G-code file into start, body and end sections.
+// Start ends after a "start G-code done" comment, or at the first layer change.
+const START_END_MARKERS = [/^;\s*MACHINE_START_GCODE_END\b/i, /^;\s*END_OF_START_GCODE\b/i];
+const FIRST_LAYER_MARKERS = [/^;\s*CHANGE_LAYER\b/, /^;\s*LAYER_CHANGE\b/, /^;LAYER:0\b/];
+// End starts at an "end G-code" comment, or after Cura's last ;TIME_ELAPSED of the last layer.
+const END_START_MARKERS = [/^;\s*MACHINE_END_GCODE_START\b/i, /^;\s*START_OF_END_GCODE\b/i];
+const FILAMENT_END_MARKERS = [/^;\s*filament end gcode\s*$/i, /^;\s*Filament-specific end gcode\b/i];
+const CURA_LAYER_END = /^;TIME_ELAPSED:/;
+const BLOCK_MARKERS = {
+  executableEnd: /^;\s*EXECUTABLE_BLOCK_END\b/,
+  configStart: /^;\s*(?:CONFIG_BLOCK_START\b|prusaslicer_config = begin)/,
+  configEnd: /^;\s*(?:CONFIG_BLOCK_END\b|prusaslicer_config = end)/,
+};
+const M73_REMAINING = /^M73\s+P\d+\s+R(\d+)\b/;
+
+const matchesAny = (line, list) => list.some((re) => re.test(line));
+
+// Feed every line of a file (with byte offsets) to scan(), then call result() once at the end.
+// result() returns { bodyStart, bodyEnd, size, startMinutes, endMinutes } or null when no markers were found.
+function createSectionScanner() {
+  let inConfig = false;
+  let executableEnd = null;
+  let startMarker = null;
+  let firstLayer = null;
+  let endMarker = null;
+  let filamentEnd = null;
+  let curaLayerEnd = null;
+  let size = 0;
+  const m73 = [];
+
+  function scan(line, start, end) {
+    size = end;
+    if (BLOCK_MARKERS.configStart.test(line)) { inConfig = true; return; }
+    if (inConfig) {
+      if (BLOCK_MARKERS.configEnd.test(line)) inConfig = false;
+      return;
+    }
+    if (BLOCK_MARKERS.executableEnd.test(line)) { executableEnd = start; return; }
+    const r = M73_REMAINING.exec(line);
+    if (r) { m73.push(start, parseInt(r[1], 10)); return; }
+    if (line.charCodeAt(0) !== 59 /* ; */) return;
+    if (startMarker === null && matchesAny(line, START_END_MARKERS)) startMarker = end;
+    else if (firstLayer === null && matchesAny(line, FIRST_LAYER_MARKERS)) firstLayer = start;
+    else if (endMarker === null && matchesAny(line, END_START_MARKERS)) endMarker = start;
+    else if (matchesAny(line, FILAMENT_END_MARKERS)) filamentEnd = start;
+    else if (CURA_LAYER_END.test(line)) curaLayerEnd = end;
+  }
+
+  function result() {
+    const bodyStart = startMarker !== null ? startMarker : firstLayer;
+    if (bodyStart === null) return null;
+    // EXECUTABLE_BLOCK_END only bounds the search: without an end marker the end G-code can't be told apart
+    const endCandidates = [endMarker, filamentEnd, curaLayerEnd]
+      .filter((v) => v !== null && v > bodyStart && (executableEnd === null || v <= executableEnd));
+    if (endCandidates.length === 0) return null;
+    const bodyEnd = endCandidates[0];
+    // M73 R is the remaining time: total minus the first value inside the body is the start sequence,
+    // the last value inside the body is what the end sequence takes
+    let total = null;
+    let atBodyStart = null;
+    let atBodyEnd = null;
+    for (let i = 0; i < m73.length; i += 2) {
+      const offset = m73[i];
+      const remaining = m73[i + 1];
+      if (total === null) total = remaining;
+      if (offset >= bodyStart && offset < bodyEnd) {
+        if (atBodyStart === null) atBodyStart = remaining;
+        atBodyEnd = remaining;
+      }
+    }
+    return {
+      bodyStart,
+      bodyEnd,
+      size,
+      startMinutes: total !== null && atBodyStart !== null ? Math.max(0, total - atBodyStart) : 0,
+      endMinutes: atBodyEnd !== null ? atBodyEnd : 0,
+    };
+  }
+
+  return { scan, result };
+}
+
+// Filament extruded (mm) and last non-zero temperatures set in a byte range of a G-code source, and what it does
+// before the next loop: lifts (the nozzle goes above options.topZ, or up when the top is unknown), bedOff (the bed
+// heater is turned off) and waitsToCool (M190 R, or a dwell of a minute or more)
+async function measureSection(source, start, end, options = {}) {
+  const { topZ = null } = options;
+  let relativeE = false;
+  let relativeXYZ = false;
+  let lastE = 0;
+  let extrudedMm = 0;
+  let bedTemp = 0;
+  let nozzleTemp = 0;
+  let firstZ = null;
+  let lifts = false;
+  let bedOff = false;
+  let waitsToCool = false;
+  await forEachLine(source, (line) => {
+    const code = line.split(';', 1)[0].trim();
+    if (!code) return;
+    if (code === 'M83') { relativeE = true; return; }
+    if (code === 'M82') { relativeE = false; return; }
+    const cmd = code.split(/\s+/, 1)[0];
+    if (cmd === 'G90') { relativeXYZ = false; return; }
+    if (cmd === 'G91') { relativeXYZ = true; return; }
+    if (cmd === 'G4') {
+      const s = /\bS([0-9]*\.?[0-9]+)/.exec(code);
+      const p = /\bP([0-9]*\.?[0-9]+)/.exec(code);
+      if ((s ? parseFloat(s[1]) : (p ? parseFloat(p[1]) / 1000 : 0)) >= 60) waitsToCool = true;
+      return;
+    }
+    if (cmd === 'M190' && /\bR([0-9]*\.?[0-9]+)/.test(code)) { waitsToCool = true; return; }
+    if (cmd === 'G0' || cmd === 'G1') {
+      const z = /\bZ(-?[0-9]*\.?[0-9]+)/.exec(code);
+      if (z) {
+        const value = parseFloat(z[1]);
+        if (relativeXYZ) lifts = lifts || value > 0;
+        else if (topZ !== null ? value > topZ : (firstZ !== null && value > firstZ)) lifts = true;
+        if (firstZ === null && !relativeXYZ) firstZ = value;
+      }
+    }
+    if (cmd === 'G92') {
+      const e = /\bE(-?[0-9]*\.?[0-9]+)/.exec(code);
+      if (e) lastE = parseFloat(e[1]);
+      return;
+    }
+    if (cmd === 'G0' || cmd === 'G1' || cmd === 'G2' || cmd === 'G3') {
+      const e = /\bE(-?[0-9]*\.?[0-9]+)/.exec(code);
+      if (!e) return;
+      const value = parseFloat(e[1]);
+      const delta = relativeE ? value : value - lastE;
+      if (!relativeE) lastE = value;
+      if (delta > 0) extrudedMm += delta;
+      return;
+    }
+    const s = /\bS([0-9]*\.?[0-9]+)/.exec(code);
+    const temp = s ? parseFloat(s[1]) : 0;
+    if (cmd === 'M140' && s && temp <= 0) bedOff = true;
+    if (temp <= 0) return;
+    if (cmd === 'M140' || cmd === 'M190') bedTemp = temp;
+    else if (cmd === 'M104' || cmd === 'M109') nozzleTemp = temp;
+  }, { start, end });
+  return { extrudedMm, bedTemp, nozzleTemp, lifts, bedOff, waitsToCool };
+}
+
+// mm of filament to grams, from the slicer's diameter (mm) and density (g/cm3)
+function filamentMmToGrams(mm, diameter = 1.75, density = 1.24) {
+  const radiusCm = diameter / 20;
+  return (Math.PI * radiusCm * radiusCm * (mm / 10)) * density;
+}
+
+module.exports = {
+  createSectionScanner,
+  measureSection,
+  filamentMmToGrams,
+};
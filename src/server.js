@@ -0,0 +1,345 @@
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const { prepareJob, planJob, writeJob, disposeJob, listPlates, listEjectPresets, loadBetweenTemplate } = require('./api');
+const { loopCosts, formatClock, formatDuration, formatMass } = require('./compute');
+const { safeRm } = require('./zip');
+const { DEFAULT_LIMITS: CONFIG_LIMITS } = require('./config');
+const { LooperError, InputError } = require('./errors');
+
+// Local web UI: upload files, see the analysis and preview, generate with live progress (SSE), download.
+// Every browser tab gets a session with its own temp directory, removed on DELETE or after `sessionTtl` idle.
+const PAGE_PATH = path.join(__dirname, 'public', 'index.html');
+const MB = 1024 * 1024;
+const DEFAULT_LIMITS = {
+  maxUploadBytes: 500 * MB, // one file
+  maxSessionBytes: 1024 * MB, // all uploads of a session
+  maxFiles: 10,
+  maxSessions: 20,
+  sessionTtl: 30 * 60 * 1000,
+  maxOutputBytes: CONFIG_LIMITS.confirmOutputBytes,
+};
+const MAX_JSON_BYTES = 64 * 1024;
+
+// An error for the client: status and { error: { code, message } }
+class HttpError extends LooperError {
+  constructor(status, message, code = 'HTTP') {
+    super(message, code);
+    this.status = status;
+  }
+}
+
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_JSON_BYTES) throw new HttpError(413, 'Request body too large.');
+    chunks.push(chunk);
+  }
+  if (!size) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Invalid JSON body.');
+  }
+}
+
+function sendJson(res, status, body) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(text) });
+  res.end(text);
+}
+
+// Only the file name, without characters that are not allowed in file names
+function safeFileName(name) {
+  const base = path.basename(String(name || '')).replace(/[\/\\:*?"<>|\x00-\x1f]/g, '-').trim();
+  return base && base !== '.' && base !== '..' ? base : 'upload.3mf';
+}
+
+// The preview numbers of a plan, as the wizard shows them
+function previewOf(plan) {
+  return {
+    repetitions: plan.repetitions,
+    loops: plan.loops,
+    totalMinutes: plan.totalMinutes,
+    totalGrams: plan.totalGrams,
+    duration: formatDuration(plan.totalMinutes),
+    mass: formatMass(Math.ceil(plan.totalGrams)),
+    finishAt: plan.finishAt,
+    finishes: formatClock(plan.finishAt),
+    constraints: plan.constraints,
+    estimatedBytes: plan.estimatedBytes,
+    saved: plan.saved,
+    slots: plan.slots,
+    colors: plan.colors,
+    limitingSlot: plan.limitingSlot,
+    warnings: plan.warnings,
+  };
+}
+
+// options: limits (see DEFAULT_LIMITS) and log(message)
+// options.profile: the name of the config profile in use, shown on the page
+// options.jobOptions: loop3mf()'s options the page starts from (see profileOptions()); the page's own choices win
+function createLooperServer(options = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...options };
+  const log = options.log || (() => {});
+  const jobOptions = options.jobOptions || {};
+  const sessions = new Map();
+  // The profile's own between-loops G-code (a file, G-code or a cooldown) is offered as the "profile" choice
+  const ownBetween = !!(jobOptions.betweenFile || jobOptions.ejectGcode || jobOptions.cooldownGcode);
+  const defaults = {
+    profile: options.profile || null,
+    eject: ownBetween ? 'profile' : jobOptions.eject || null,
+    trim: !!jobOptions.trim,
+    loopStatus: !!jobOptions.loopStatus,
+    format: jobOptions.format || null,
+    schedule: jobOptions.schedule || null,
+    colors: jobOptions.colors || null,
+  };
+
+  async function disposeSession(session) {
+    sessions.delete(session.id);
+    session.clients.forEach((res) => res.end());
+    if (session.job) await disposeJob(session.job);
+    await safeRm(session.dir);
+  }
+
+  // From the sweeper and on close nothing awaits the disposal: a failure is logged, not left unhandled
+  function dropSession(session) {
+    disposeSession(session).catch((e) => log(`[error] Could not remove session ${session.id}: ${e.message}`));
+  }
+
+  // Idle sessions are dropped, unless a file is being generated
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const session of sessions.values()) {
+      if (!session.running && now - session.touched > limits.sessionTtl) dropSession(session);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  function getSession(id) {
+    const session = sessions.get(id);
+    if (!session) throw new HttpError(404, 'Unknown or expired session, reload the page.', 'NO_SESSION');
+    session.touched = Date.now();
+    return session;
+  }
+
+  // Server-sent events: every event of the current run is replayed to late subscribers
+  function broadcast(session, event) {
+    session.events.push(event);
+    const line = `data: ${JSON.stringify(event)}\n\n`;
+    session.clients.forEach((res) => res.write(line));
+  }
+
+  async function createSession(req, res) {
+    if (sessions.size >= limits.maxSessions) throw new HttpError(503, 'Too many open sessions, try again later.', 'BUSY');
+    const id = crypto.randomBytes(12).toString('hex');
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'gcode-3mf-looper-web-'));
+    sessions.set(id, { id, dir, files: [], bytes: 0, job: null, output: null, running: false, events: [], clients: new Set(), touched: Date.now() });
+    sendJson(res, 201, { id, presets: listEjectPresets(), defaults, limits: { maxUploadBytes: limits.maxUploadBytes, maxFiles: limits.maxFiles } });
+  }
+
+  // PUT the raw file as the body, its name in ?name=
+  async function uploadFile(req, res, session, url) {
+    if (session.running) throw new HttpError(409, 'A file is being generated.', 'BUSY');
+    if (session.files.length >= limits.maxFiles) throw new HttpError(413, `At most ${limits.maxFiles} files.`, 'TOO_MANY_FILES');
+    const room = Math.min(limits.maxUploadBytes, limits.maxSessionBytes - session.bytes);
+    const declared = parseInt(req.headers['content-length'] || '0', 10);
+    if (declared > room) throw new HttpError(413, `The file is too large (limit ${+(room / MB).toFixed(1)} MB).`, 'TOO_LARGE');
+    const name = safeFileName(url.searchParams.get('name'));
+    // One folder per upload keeps the original name, which shows up in the loop markers and the output name
+    const filePath = path.join(session.dir, 'uploads', String(session.files.length + 1), name);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    let size = 0;
+    try {
+      await pipeline(req, async function* limit(source) {
+        for await (const chunk of source) {
+          size += chunk.length;
+          if (size > room) throw new HttpError(413, `The file is too large (limit ${+(room / MB).toFixed(1)} MB).`, 'TOO_LARGE');
+          yield chunk;
+        }
+      }, fs.createWriteStream(filePath));
+      const plates = await listPlates(filePath);
+      if (plates.length === 0) throw new InputError(`${name} has no plate G-code (metadata/plate_N.gcode).`);
+      session.files.push({ name, path: filePath, size, plates });
+      session.bytes += size;
+      sendJson(res, 201, { index: session.files.length - 1, name, size, plates });
+    } catch (e) {
+      await safeRm(path.dirname(filePath));
+      if (e instanceof LooperError) throw e;
+      throw new InputError(`${name} could not be read: ${e.message}`);
+    }
+  }
+
+  // { files: [{ index, plates, weight }] } in print order: prepares the job and returns the per-loop analysis
+  async function analyze(req, res, session) {
+    if (session.running) throw new HttpError(409, 'A file is being generated.', 'BUSY');
+    const body = await readJson(req);
+    const picks = Array.isArray(body.files) && body.files.length ? body.files : session.files.map((f, index) => ({ index }));
+    const inputs = picks.map((pick) => {
+      const file = session.files[pick.index];
+      if (!file) throw new InputError(`Unknown file ${pick.index}.`);
+      return { path: file.path, plates: file.plates.length > 1 ? (pick.plates || 'all') : null, weight: pick.weight || 1 };
+    });
+    if (session.job) await disposeJob(session.job);
+    session.job = null;
+    session.events = [];
+    const job = await prepareJob({ inputs, cwd: session.dir, largeInputBytes: jobOptions.largeInputBytes, onProgress: (event) => broadcast(session, event) });
+    session.job = job;
+    const perLoop = loopCosts(job.analyses, false, job.weights).perLoop;
+    const trimmed = loopCosts(job.analyses, true, job.weights);
+    sendJson(res, 200, {
+      files: job.displayNames.map((name, i) => ({
+        name,
+        weight: job.weights[i],
+        minutes: job.analyses[i].minutes,
+        grams: job.analyses[i].grams,
+        slicer: job.analyses[i].slicer,
+        sections: !!job.analyses[i].sections,
+      })),
+      perLoop: { minutes: perLoop.minutes, grams: perLoop.grams, duration: formatDuration(perLoop.minutes) },
+      trimSavesPerLoop: job.analyses.some((a) => a.sections) ? formatDuration(trimmed.skippedPerLoop.minutes) : null,
+      warnings: job.warnings,
+    });
+  }
+
+  // The plan and the between-loops block it was checked with
+  async function planFrom(session, body) {
+    if (!session.job || session.job.written) throw new HttpError(409, 'Analyze the files first.', 'NO_JOB');
+    const between = body.eject === 'profile' && ownBetween
+      ? await loadBetweenTemplate({ preset: jobOptions.eject, file: jobOptions.betweenFile, gcode: jobOptions.ejectGcode, cooldown: jobOptions.cooldownGcode })
+      : await loadBetweenTemplate({ preset: body.eject || null });
+    const plan = planJob(session.job, {
+      spec: String(body.spec || ''),
+      trim: !!body.trim,
+      format: body.format || undefined,
+      schedule: body.schedule || undefined,
+      colors: body.colors || undefined,
+      sweep: jobOptions.sweep,
+      strict: jobOptions.strict,
+      maxPartHeight: jobOptions.maxPartHeight,
+      between,
+      noEject: body.eject === 'none',
+    });
+    return { plan, between };
+  }
+
+  async function preview(req, res, session) {
+    const { plan } = await planFrom(session, await readJson(req));
+    sendJson(res, 200, previewOf(plan));
+  }
+
+  // Starts writing and answers at once; progress and the result come as events
+  async function generate(req, res, session) {
+    if (session.running) throw new HttpError(409, 'A file is already being generated.', 'BUSY');
+    const body = await readJson(req);
+    const { plan, between } = await planFrom(session, body);
+    const job = session.job;
+    session.running = true;
+    session.events = [];
+    if (session.output) await safeRm(session.output);
+    session.output = null;
+    sendJson(res, 202, previewOf(plan));
+    const emit = (event) => broadcast(session, event);
+    try {
+      const result = await writeJob(job, plan, {
+        between,
+        loopStatus: !!body.loopStatus,
+        outputDir: path.join(session.dir, 'out'),
+        nameTemplate: jobOptions.nameTemplate,
+        compression: jobOptions.compression,
+        maxOutputBytes: limits.maxOutputBytes,
+        onProgress: emit,
+      });
+      session.output = result.outputPath;
+      emit({ type: 'result', name: path.basename(result.outputPath), realBytes: result.realBytes, repetitions: result.repetitions, warnings: result.warnings });
+      log(`Generated ${path.basename(result.outputPath)}`);
+    } catch (e) {
+      emit({ type: 'error', error: { code: e.code || 'ERROR', message: e.message } });
+    } finally {
+      // A job is written once: the next run analyzes again
+      await disposeJob(job);
+      if (session.job === job) session.job = null;
+      session.running = false;
+    }
+  }
+
+  function events(req, res, session) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    session.events.forEach((event) => res.write(`data: ${JSON.stringify(event)}\n\n`));
+    session.clients.add(res);
+    req.on('close', () => session.clients.delete(res));
+  }
+
+  async function download(req, res, session) {
+    if (!session.output) throw new HttpError(404, 'Nothing generated yet.', 'NO_OUTPUT');
+    const st = await fsp.stat(session.output);
+    res.writeHead(200, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': st.size,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(path.basename(session.output))}`,
+    });
+    await pipeline(fs.createReadStream(session.output), res);
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (req.method === 'GET' && url.pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      fs.createReadStream(PAGE_PATH).pipe(res);
+      return;
+    }
+    if (parts[0] !== 'api' || parts[1] !== 'sessions') throw new HttpError(404, 'Not found.', 'NOT_FOUND');
+    if (parts.length === 2 && req.method === 'POST') return createSession(req, res);
+    const session = getSession(parts[2]);
+    const action = `${req.method} ${parts.slice(3).join('/')}`;
+    if (action === 'PUT files') return uploadFile(req, res, session, url);
+    if (action === 'POST analyze') return analyze(req, res, session);
+    if (action === 'POST preview') return preview(req, res, session);
+    if (action === 'POST generate') return generate(req, res, session);
+    if (action === 'GET events') return events(req, res, session);
+    if (action === 'GET download') return download(req, res, session);
+    if (action === 'DELETE ') {
+      if (session.running) throw new HttpError(409, 'A file is being generated.', 'BUSY');
+      await disposeSession(session);
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    throw new HttpError(404, 'Not found.', 'NOT_FOUND');
+  }
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch((e) => {
+      // Mostly a download the browser stopped
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      const status = e.status || (e instanceof LooperError ? 400 : 500);
+      if (status === 500) log(`[error] ${e.stack || e.message}`);
+      // Unread upload bodies are dropped with the connection
+      res.setHeader('Connection', 'close');
+      sendJson(res, status, { error: { code: e.code || 'ERROR', message: e.message } });
+      req.resume();
+    });
+  });
+  server.on('close', () => {
+    clearInterval(sweeper);
+    for (const session of sessions.values()) dropSession(session);
+  });
+  return server;
+}
+
+module.exports = {
+  createLooperServer,
+};
@@ -0,0 +1,158 @@
+
+const { parseSlicerDuration } = require('./metadata');
+
+// Summary comments of each slicer: print time, filament weight (g) and filament length (mm).
+// Every rule runs on every comment line and the last match wins; the detected slicer's rules
+// are used first, then any rule that matched (files without a recognizable header).
+// Filament values are per-slot lists ("1.20, 0.00" is slot 1 and slot 2); a single value is slot 1.
+
+const number = (text) => {
+  const v = parseFloat(text);
+  return Number.isFinite(v) ? [v] : null;
+};
+const list = (text) => {
+  const values = String(text).split(',').map((v) => parseFloat(v));
+  return values.length && values.every(Number.isFinite) ? values : null;
+};
+const seconds = (text) => {
+  const v = parseFloat(text);
+  return Number.isFinite(v) ? v / 60 : null;
+};
+// "1.234m, 0.5m" (Cura) to mm
+const metersList = (text) => {
+  const values = list(String(text).replace(/m/g, ''));
+  return values === null ? null : values.map((v) => v * 1000);
+};
+// Simplify3D: "1 hours 23 minutes", "45 minutes"
+const hoursMinutes = (text) => {
+  const h = /(\d+)\s*hours?/i.exec(text);
+  const m = /(\d+)\s*minutes?/i.exec(text);
+  if (!h && !m) return null;
+  return (h ? parseInt(h[1], 10) * 60 : 0) + (m ? parseInt(m[1], 10) : 0);
+};
+
+// The per-slot list comes before the single total
+const PRUSA_RULES = [
+  { field: 'minutes', regex: /^;\s*estimated printing time \(normal mode\)\s*=\s*(.+)$/i, parse: parseSlicerDuration },
+  { field: 'grams', regex: /^;\s*filament used \[g\]\s*=\s*(.+)$/i, parse: list },
+  { field: 'grams', regex: /^;\s*total filament used \[g\]\s*=\s*(.+)$/i, parse: number },
+  { field: 'mm', regex: /^;\s*filament used \[mm\]\s*=\s*(.+)$/i, parse: list },
+];
+
+// The config block's "filament used [g]" has one value per slot; the header totals only list the used filaments
+const BAMBU_RULES = [
+  { field: 'minutes', regex: /^;\s*model printing time:.*;\s*total estimated time:\s*(.+)$/i, parse: parseSlicerDuration },
+  { field: 'grams', regex: /^;\s*filament used \[g\]\s*=\s*(.+)$/i, parse: list },
+  { field: 'grams', regex: /^;\s*total filament weight \[g\]\s*:\s*(.+)$/i, parse: list },
+  { field: 'mm', regex: /^;\s*total filament length \[mm\]\s*:\s*(.+)$/i, parse: list },
+];
+
+const SLICERS = [
+  {
+    name: 'bambu',
+    detect: /^;\s*(?:BambuStudio\b|generated by BambuStudio)/i,
+    rules: BAMBU_RULES,
+  },
+  {
+    name: 'orca',
+    detect: /^;\s*generated by OrcaSlicer/i,
+    rules: [...PRUSA_RULES, ...BAMBU_RULES],
+  },
+  {
+    name: 'prusaslicer',
+    detect: /^;\s*(?:generated by|Producer\s*=)\s*(?:PrusaSlicer|SuperSlicer|Slic3r)/i,
+    rules: PRUSA_RULES,
+  },
+  {
+    name: 'cura',
+    detect: /^;\s*Generated with Cura/i,
+    rules: [
+      { field: 'minutes', regex: /^;TIME:\s*([0-9.]+)/, parse: seconds },
+      { field: 'mm', regex: /^;Filament used:\s*(.+)$/i, parse: metersList },
+    ],
+  },
+  {
+    name: 'simplify3d',
+    detect: /^;\s*G-Code generated by Simplify3D/i,
+    rules: [
+      { field: 'minutes', regex: /^;\s*Build time:\s*(.+)$/i, parse: hoursMinutes },
+      { field: 'grams', regex: /^;\s*Plastic weight:\s*([0-9.]+)\s*g/i, parse: number },
+      { field: 'mm', regex: /^;\s*Filament length:\s*([0-9.]+)\s*mm/i, parse: number },
+    ],
+  },
+  {
+    name: 'ideamaker',
+    detect: /^;\s*Sliced by ideaMaker/i,
+    rules: [
+      { field: 'minutes', regex: /^;Print Time:\s*([0-9.]+)/i, parse: seconds },
+      // One line per material: "Material#2 Used: 123.4"
+      {
+        field: 'mm',
+        regex: /^;Material#(\d+) Used:\s*([0-9.]+)/i,
+        parse: (slot, m) => {
+          const values = new Array(parseInt(slot, 10)).fill(0);
+          values[values.length - 1] = parseFloat(m[2]);
+          return values;
+        },
+        accumulate: true,
+      },
+    ],
+  },
+];
+
+// Add (or replace, by name) a slicer definition: { name, detect: RegExp, rules: [{ field, regex, parse, accumulate }] }.
+// parse(firstGroup, match) returns minutes for 'minutes', a per-slot list for 'grams' and 'mm', or null.
+// With accumulate, the lists of every matching line are merged slot by slot instead of the last one winning.
+function registerSlicer(definition) {
+  const idx = SLICERS.findIndex((s) => s.name === definition.name);
+  if (idx === -1) SLICERS.unshift(definition);
+  else SLICERS[idx] = definition;
+}
+
+// Feed the comment lines of a file, then read { slicer, minutes, grams: [per slot], mm: [per slot] }
+// (null when not found)
+function createSummaryParser() {
+  let slicer = null;
+  const rules = [...new Set(SLICERS.flatMap((s) => s.rules))];
+  const matches = new Map();
+
+  function scan(line) {
+    if (line.charCodeAt(0) !== 59 /* ; */) return;
+    if (!slicer) slicer = SLICERS.find((s) => s.detect.test(line)) || null;
+    for (const rule of rules) {
+      const m = rule.regex.exec(line);
+      if (!m) continue;
+      const value = rule.parse(m[1], m);
+      if (value === null) continue;
+      if (rule.accumulate && matches.has(rule)) {
+        const merged = [...matches.get(rule)];
+        value.forEach((v, i) => { if (v || merged[i] === undefined) merged[i] = v; });
+        matches.set(rule, merged);
+      } else {
+        matches.set(rule, value);
+      }
+    }
+  }
+
+  function pick(field) {
+    const ordered = slicer ? [slicer, ...SLICERS.filter((s) => s !== slicer)] : SLICERS;
+    for (const s of ordered) {
+      for (const rule of s.rules) {
+        if (rule.field === field && matches.has(rule)) return matches.get(rule);
+      }
+    }
+    return null;
+  }
+
+  function result() {
+    return { slicer: slicer ? slicer.name : null, minutes: pick('minutes'), grams: pick('grams'), mm: pick('mm') };
+  }
+
+  return { scan, result };
+}
+
+module.exports = {
+  SLICERS,
+  registerSlicer,
+  createSummaryParser,
+};
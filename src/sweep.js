@@ -0,0 +1,156 @@
+
+const { InputError } = require('./errors');
+
+// Calibration sweeps, "--sweep nozzle=210:240:5" or "--sweep M221=90,95,100": loop 1 prints the first value,
+// loop 2 the next... Each setting is set after the loop's start sequence and the body's own commands follow it.
+// set: G-code written at the start of every loop; body: the commands rewritten in the copies' bodies, with
+// their value parameters; reset: written after the last loop for settings the printer keeps between prints.
+const SWEEP_SETTINGS = {
+  nozzle: { unit: 'C', min: 150, max: 500, set: (v) => `M109 S${v}`, body: /^(M10[49])\b([^;\n]*)/, params: 'SR' },
+  bed: { unit: 'C', min: 0, max: 150, set: (v) => `M190 S${v}`, body: /^(M1[49]0)\b([^;\n]*)/, params: 'SR' },
+  fan: { unit: '%', min: 0, max: 100, set: null, body: /^(M106)\b([^;\n]*)/, params: 'S', scale: 255 / 100 },
+  speed: { unit: '%', min: 1, max: 500, set: (v) => `M220 S${v}`, body: /^(M220)\b([^;\n]*)/, params: 'S', reset: 'M220 S100' },
+  flow: { unit: '%', min: 1, max: 500, set: (v) => `M221 S${v}`, body: /^(M221)\b([^;\n]*)/, params: 'S', reset: 'M221 S100' },
+};
+const SWEEP_ALIASES = { M104: 'nozzle', M109: 'nozzle', M140: 'bed', M190: 'bed', M106: 'fan', M220: 'speed', M221: 'flow' };
+const MAX_SWEEP_VALUES = 1000;
+
+const NUMBER = /^-?\d+(?:\.\d+)?$/;
+
+function parseValues(text, where) {
+  const range = text.split(':');
+  if (range.length === 3 && range.every((part) => NUMBER.test(part.trim()))) {
+    const [from, to, step] = range.map((part) => parseFloat(part));
+    if (!(step > 0)) throw new InputError(`${where}: the step must be above 0.`);
+    const count = Math.floor(Math.abs(to - from) / step + 1e-9) + 1;
+    if (count > MAX_SWEEP_VALUES) throw new InputError(`${where}: more than ${MAX_SWEEP_VALUES} values.`);
+    const sign = to < from ? -1 : 1;
+    // Rounded so that 0.1 steps do not end up as 0.30000000000000004
+    return Array.from({ length: count }, (_, i) => Math.round((from + sign * step * i) * 1e6) / 1e6);
+  }
+  const values = text.split(',').map((part) => part.trim());
+  if (!values.every((value) => NUMBER.test(value))) {
+    throw new InputError(`${where}: use a range (210:240:5) or a list of values (90,95,100).`);
+  }
+  return values.map((value) => parseFloat(value));
+}
+
+// "nozzle=210:240:5" or ["nozzle=210:240:5", "fan=40,60"] to [{ name, values }], null for none
+function parseSweeps(input) {
+  const texts = (Array.isArray(input) ? input : input == null ? [] : [input]).map(String).filter((text) => text.trim());
+  if (texts.length === 0) return null;
+  const seen = new Set();
+  return texts.map((text) => {
+    const m = /^\s*([\w]+)\s*=\s*(.+)$/.exec(text);
+    const key = m ? (SWEEP_ALIASES[m[1].toUpperCase()] || m[1].toLowerCase()) : null;
+    if (!m || !SWEEP_SETTINGS[key]) {
+      throw new InputError(`Invalid sweep "${text}". Use nozzle, bed, fan, speed or flow (or M104, M140, M106, M220, M221) = a range or values, e.g. nozzle=210:240:5.`);
+    }
+    if (seen.has(key)) throw new InputError(`The ${key} setting is swept twice.`);
+    seen.add(key);
+    const setting = SWEEP_SETTINGS[key];
+    const values = parseValues(m[2].trim(), `Sweep "${text}"`);
+    const out = values.find((v) => v < setting.min || v > setting.max);
+    if (out !== undefined) throw new InputError(`Sweep "${text}": ${out} is out of the ${setting.min}-${setting.max}${setting.unit} range.`);
+    return { name: key, values };
+  });
+}
+
+// { nozzle: 215, fan: 60 } for a loop; the values start over after the last one
+function sweepValues(sweeps, loop) {
+  const values = {};
+  sweeps.forEach((s) => { values[s.name] = s.values[(loop - 1) % s.values.length]; });
+  return values;
+}
+
+// "nozzle=215C, fan=60%", for the loop markers
+function describeSweep(values) {
+  return Object.entries(values).map(([name, v]) => `${name}=${v}${SWEEP_SETTINGS[name].unit}`).join(', ');
+}
+
+// The settings of a loop, written once its start sequence is done
+function sweepGcode(values) {
+  return Object.entries(values)
+    .map(([name, v]) => SWEEP_SETTINGS[name].set && SWEEP_SETTINGS[name].set(v))
+    .filter(Boolean)
+    .map((line) => `${line}\n`)
+    .join('');
+}
+
+// What the job leaves set on the printer after the last loop, back to normal
+function sweepResetGcode(sweeps) {
+  return sweeps.map((s) => SWEEP_SETTINGS[s.name].reset).filter(Boolean).map((line) => `${line}\n`).join('');
+}
+
+// Bambu Studio and Orca (for Bambu printers) number the part cooling fan P1, the auxiliary and chamber fans P2 and P3
+const PART_FAN_P1_SLICERS = ['bambu', 'orca'];
+
+const EMPTY = Buffer.alloc(0);
+const SWEPT_COMMAND = /^M(?:10[469]|1[49]0|22[01])\b/m;
+
+// The body's own commands for the swept settings set to the loop's values as G-code streams through, like the
+// tool rewriter (src/colors.js). Values of 0 (heaters and fan off) are kept; the fan's is the part cooling fan
+// (M106 without P, or P0; P1 in Bambu Studio and Orca files). use(values, slicer) sets the values for the next
+// range, null to copy it as it is. unswept() lists the settings without a start command (the fan) that no line set.
+function createSweepRewriter() {
+  let values = null;
+  let partFan = 0;
+  let carry = EMPTY;
+  const swept = new Set();
+
+  const rewriteLine = (line) => {
+    for (const [name, v] of Object.entries(values)) {
+      const setting = SWEEP_SETTINGS[name];
+      const m = setting.body.exec(line);
+      if (!m) continue;
+      const fan = /\bP(\d+)/.exec(m[2]);
+      if (name === 'fan' && fan && Number(fan[1]) !== partFan) return line;
+      const value = setting.scale ? Math.round(v * setting.scale) : v;
+      const params = m[2].replace(new RegExp(`\\b([${setting.params}])(\\d+(?:\\.\\d+)?)`, 'g'), (all, key, raw) => (parseFloat(raw) > 0 ? `${key}${value}` : all));
+      if (params !== m[2]) swept.add(name);
+      return m[1] + params + line.slice(m[0].length);
+    }
+    return line;
+  };
+
+  const rewrite = (buf) => {
+    const text = buf.toString('latin1');
+    if (!SWEPT_COMMAND.test(text)) return buf;
+    return Buffer.from(text.replace(/^M[^\n]*/gm, rewriteLine), 'latin1');
+  };
+
+  function use(next, slicer = null) {
+    values = next;
+    partFan = PART_FAN_P1_SLICERS.includes(slicer) ? 1 : 0;
+  }
+
+  function unswept(sweeps) {
+    return sweeps.filter((s) => !SWEEP_SETTINGS[s.name].set && !swept.has(s.name)).map((s) => s.name);
+  }
+
+  function transform(chunk) {
+    if (!values) return chunk;
+    const data = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+    const cut = data.lastIndexOf(10) + 1;
+    carry = Buffer.from(data.subarray(cut));
+    return rewrite(data.subarray(0, cut));
+  }
+
+  function flush() {
+    const rest = carry;
+    carry = EMPTY;
+    return rest.length ? rewrite(rest) : rest;
+  }
+
+  return { use, transform, flush, unswept };
+}
+
+module.exports = {
+  SWEEP_SETTINGS,
+  parseSweeps,
+  sweepValues,
+  describeSweep,
+  sweepGcode,
+  sweepResetGcode,
+  createSweepRewriter,
+};
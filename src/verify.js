@@ -0,0 +1,97 @@
+
+const path = require('path');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const unzipper = require('unzipper');
+const { crc32 } = require('./crc32');
+const { forEachLine } = require('./lines');
+const { createLoopedScanner } = require('./looped');
+const { normalizeEntryName } = require('./zip');
+const { OutputCheckError } = require('./errors');
+
+const crc32Of = zlib.crc32 || crc32;
+const HEADER_PREFIX = '; 3mf-looper: File modified at ';
+
+// An entry's name as src/zip.js reads it, for the names to compare
+function entryName(file) {
+  return normalizeEntryName(file.isUnicode ? file.path : file.pathBuffer.toString('latin1'));
+}
+
+// An entry's data with its bytes and their CRC-32 counted in sum as they are read
+function openCounted(file, sum) {
+  const source = file.stream();
+  const tap = new Transform({
+    transform(chunk, encoding, callback) {
+      sum.bytes += chunk.length;
+      sum.crc = crc32Of(chunk, sum.crc);
+      callback(null, chunk);
+    },
+  });
+  source.on('error', (e) => tap.destroy(e));
+  return source.pipe(tap);
+}
+
+const drain = (stream) => new Promise((resolve, reject) => stream.on('end', resolve).on('error', reject).resume());
+
+// The 3mf-looper comments of a looped G-code: the header, every loop's markers and the footer that repeats the
+// header. A truncated file has no footer. Returns what is wrong, null when nothing is
+function checkMarkers(headers, layout, loops) {
+  if (headers === 0) return 'it has no 3mf-looper header';
+  if (headers === 1 || !layout) return 'it ends before the 3mf-looper footer (truncated)';
+  if (layout.loops !== loops) return `its header says ${layout.loops} loops instead of ${loops}`;
+  const found = new Set(layout.copies.map((c) => c.loop));
+  const missing = Array.from({ length: loops }, (_, i) => i + 1).filter((loop) => !found.has(loop));
+  if (missing.length) return `the marker of loop ${missing[0]} is missing${missing.length > 1 ? ` (and ${missing.length - 1} more)` : ''}`;
+  return null;
+}
+
+// Reopens a .gcode.3mf just written, with unzipper rather than the reader of src/zip.js, before it takes the place
+// of any file: every entry must inflate to the CRC-32 and size of the central directory, the entries expected
+// must all be there, and the looped G-code must have the length streamed and, when loops is given, its 3mf-looper
+// header, a marker for every loop and the footer.
+// expected: { entries: [names], gcodeName, gcodeBytes, loops }; loops null for G-code written without markers.
+// Throws an OutputCheckError saying what is wrong.
+async function verifyZipOutput(zipPath, expected) {
+  const fail = (problem) => {
+    throw new OutputCheckError(`The written ${path.basename(zipPath)} is damaged: ${problem}. It was not kept; check the free disk space and run it again.`);
+  };
+  let directory;
+  try {
+    directory = await unzipper.Open.file(zipPath);
+  } catch (e) {
+    fail(`it can't be read as a zip archive (${e.message})`);
+  }
+  const files = directory.files.filter((file) => file.type === 'File');
+  const names = new Set(files.map(entryName));
+  const missing = expected.entries.filter((name) => !names.has(name));
+  if (missing.length) fail(`${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} missing`);
+
+  for (const file of files) {
+    const name = entryName(file);
+    const sum = { bytes: 0, crc: 0 };
+    let headers = 0;
+    const scanner = name === expected.gcodeName && expected.loops != null ? createLoopedScanner() : null;
+    try {
+      if (!scanner) {
+        await drain(openCounted(file, sum));
+      } else {
+        await forEachLine(() => openCounted(file, sum), (line, start, end) => {
+          if (line.startsWith(HEADER_PREFIX)) headers += 1;
+          scanner.scan(line, start, end);
+        });
+      }
+    } catch (e) {
+      fail(`${name} can't be read (${e.message})`);
+    }
+    if (sum.bytes !== file.uncompressedSize) fail(`${name} holds ${sum.bytes} bytes instead of ${file.uncompressedSize}`);
+    if (sum.crc !== file.crc32) fail(`${name} does not match its CRC-32`);
+    if (name !== expected.gcodeName) continue;
+    if (sum.bytes !== expected.gcodeBytes) fail(`the looped G-code is ${sum.bytes} bytes instead of the ${expected.gcodeBytes} written`);
+    const problem = scanner && checkMarkers(headers, scanner.result(), expected.loops);
+    if (problem) fail(`in the looped G-code, ${problem}`);
+  }
+}
+
+module.exports = {
+  verifyZipOutput,
+};
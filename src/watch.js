@@ -0,0 +1,175 @@
+
+const fsp = require('fs').promises;
+const path = require('path');
+
+const { loop3mf } = require('./api');
+const { parseLoopSpecifier } = require('./compute');
+const { EJECT_PRESETS } = require('./eject');
+const { overrideOptions } = require('./config');
+const { safeStat } = require('./zip');
+const { InputError } = require('./errors');
+
+// Hot folder: new .3mf (and .gcode/.bgcode) files are looped once they stop growing, then moved to
+// processed/ or failed/ (with <file>.error.log). Files in a subfolder take overrides from its name,
+// e.g. "12h", "500g trim" or "20 push-off bgcode".
+const INPUT_FILE = /\.(3mf|gcode|bgcode)$/i;
+const PROCESSED_DIR = 'processed';
+const FAILED_DIR = 'failed';
+const FORMATS = ['3mf', 'gcode', 'bgcode'];
+
+// Subfolder name to options: a loop value, "trim", "loop-status", an eject preset or an output format,
+// separated by spaces or "+". Returns null when a word is not one of those.
+function parseFolderOverrides(name) {
+  const overrides = {};
+  for (const word of name.split(/[\s+]+/).filter(Boolean)) {
+    const lower = word.toLowerCase();
+    if (lower === 'trim') overrides.trim = true;
+    else if (lower === 'loop-status') overrides.loopStatus = true;
+    else if (EJECT_PRESETS[lower]) overrides.eject = lower;
+    else if (FORMATS.includes(lower)) overrides.format = lower;
+    else if (parseLoopSpecifier(word).type !== 'invalid') overrides.spec = word;
+    else return null;
+  }
+  return overrides;
+}
+
+// processed/part.3mf, or processed/part-2.3mf when a file of that name was already processed
+async function freeName(dir, fileName) {
+  const ext = /\.gcode\.3mf$/i.test(fileName) ? fileName.slice(-10) : path.extname(fileName);
+  const base = fileName.slice(0, fileName.length - ext.length);
+  for (let n = 1; ; n += 1) {
+    const candidate = path.join(dir, n === 1 ? fileName : `${base}-${n}${ext}`);
+    if (!(await safeStat(candidate))) return candidate;
+  }
+}
+
+// dir: the hot folder. options: loop3mf()'s (spec, outputDir, trim, eject, ...) as defaults for every file, plus
+// options.interval: ms between scans (default 2000); options.settle: ms a file's size must stay the same (default 5000)
+// options.once: process what is there (once settled) and stop
+// options.onEvent: { type: 'start' | 'done' | 'failed', file, ... } or { type: 'ignored-folder', folder }
+// Returns { stop(): Promise, done: Promise } ; stop() lets the current file finish
+function watchFolder(dir, options = {}) {
+  const { interval = 2000, settle = 5000, once = false, onEvent = () => {}, ...jobOptions } = options;
+  const root = path.resolve(dir);
+  const outputDir = jobOptions.outputDir ? path.resolve(jobOptions.outputDir) : path.join(root, 'looped');
+  const skipDirs = new Set([PROCESSED_DIR, FAILED_DIR].map((d) => path.join(root, d)).concat(outputDir));
+  // file -> { size, mtimeMs, since }; files that could not be moved away are remembered so they are tried only once
+  const pending = new Map();
+  const stuck = new Set();
+  const badFolders = new Set();
+  let stopping = false;
+  let wake = null;
+
+  // Candidate files at the top level and one folder down, with their overrides
+  async function scan() {
+    const found = [];
+    const entries = await fsp.readdir(root, { withFileTypes: true });
+    for (const entry of entries) {
+      const full = path.join(root, entry.name);
+      if (entry.isFile() && INPUT_FILE.test(entry.name)) found.push({ file: full, overrides: {} });
+      if (!entry.isDirectory() || skipDirs.has(full) || entry.name.startsWith('.')) continue;
+      const overrides = parseFolderOverrides(entry.name);
+      if (!overrides) {
+        if (!badFolders.has(full)) onEvent({ type: 'ignored-folder', folder: full });
+        badFolders.add(full);
+        continue;
+      }
+      const inner = await fsp.readdir(full, { withFileTypes: true }).catch(() => []);
+      inner.filter((e) => e.isFile() && INPUT_FILE.test(e.name)).forEach((e) => found.push({ file: path.join(full, e.name), overrides }));
+    }
+    return found;
+  }
+
+  // A file is ready once its size and mtime stayed the same for `settle` ms. An empty file is only taken on a later
+  // scan, and then fails (see processFile) rather than keeping --once waiting
+  async function settled(file) {
+    const st = await safeStat(file);
+    if (!st) {
+      pending.delete(file);
+      return false;
+    }
+    const seen = pending.get(file);
+    const now = Date.now();
+    if (!seen || seen.size !== st.size || seen.mtimeMs !== st.mtimeMs) {
+      pending.set(file, { size: st.size, mtimeMs: st.mtimeMs, since: now });
+      return settle <= 0 && st.size > 0;
+    }
+    return now - seen.since >= settle;
+  }
+
+  async function moveTo(folder, file) {
+    const relativeDir = path.dirname(path.relative(root, file));
+    const destDir = path.join(root, folder, relativeDir);
+    await fsp.mkdir(destDir, { recursive: true });
+    const dest = await freeName(destDir, path.basename(file));
+    await fsp.rename(file, dest);
+    return dest;
+  }
+
+  async function processFile({ file, overrides }) {
+    pending.delete(file);
+    // A folder's eject preset replaces the ejection of the defaults, their cooldown too
+    const settings = overrideOptions(jobOptions, overrides);
+    onEvent({ type: 'start', file, spec: settings.spec });
+    try {
+      if (!settings.spec) throw new InputError('No loop value: pass --spec or drop the file in a folder named after one (e.g. "12h").');
+      const st = await safeStat(file);
+      if (st && st.size === 0) throw new InputError('The file is empty (0 bytes): save or copy it again.');
+      // Files dropped again under the same name must not replace earlier outputs
+      const result = await loop3mf({ ...settings, inputs: [file], outputDir, keepExisting: true });
+      let movedTo = null;
+      try {
+        movedTo = await moveTo(PROCESSED_DIR, file);
+      } catch {
+        stuck.add(file);
+      }
+      onEvent({ type: 'done', file, movedTo, result });
+    } catch (e) {
+      let movedTo = null;
+      try {
+        movedTo = await moveTo(FAILED_DIR, file);
+        const log = `${new Date().toISOString()} ${path.basename(file)}\n${e.code || 'ERROR'}: ${e.message}\n`;
+        await fsp.writeFile(`${movedTo}.error.log`, log);
+      } catch {
+        if (!movedTo) stuck.add(file);
+      }
+      onEvent({ type: 'failed', file, movedTo, error: { code: e.code || 'ERROR', message: e.message } });
+    }
+  }
+
+  async function loop() {
+    const st = await safeStat(root);
+    if (!st || !st.isDirectory()) throw new InputError(`Not a folder: ${root}`);
+    if (outputDir === root) throw new InputError('The output folder must not be the watched folder, the outputs would be looped again.');
+    await fsp.mkdir(outputDir, { recursive: true });
+    while (!stopping) {
+      let waiting = 0;
+      for (const candidate of await scan()) {
+        if (stopping) break;
+        if (stuck.has(candidate.file)) continue;
+        if (await settled(candidate.file)) await processFile(candidate);
+        else waiting += 1;
+      }
+      if (once && waiting === 0) break;
+      await new Promise((resolve) => {
+        wake = resolve;
+        setTimeout(resolve, interval);
+      });
+    }
+  }
+
+  const done = loop();
+  return {
+    done,
+    stop() {
+      stopping = true;
+      if (wake) wake();
+      return done;
+    },
+  };
+}
+
+module.exports = {
+  parseFolderOverrides,
+  watchFolder,
+};
@@ -1,8 +1,12 @@
 const fs = require('fs');
 const fsp = require('fs').promises;
 const path = require('path');
-const unzipper = require('unzipper');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline, finished } = require('stream/promises');
 const archiver = require('archiver');
+const { crc32 } = require('./crc32');
+const { InputError, OutputTooLargeError } = require('./errors');
 
 async function safeStat(p) {
   try {
@@ -18,22 +22,37 @@ async function safeRm(p) {
   } catch {}
 }
 
+// Whole-archive extraction and re-zipping: the looper streams zip to zip instead (createZipWriter),
+// these stay for scripts/benchmark-zip.js to compare against. Entries are found through the central directory:
+// unzipper's streaming Extract misreads the ZIP64 data descriptors of 3mf-looper's own outputs
 async function extractZipToDir(zipFilePath, destDir) {
-  await fsp.mkdir(destDir, { recursive: true });
-  return new Promise((resolve, reject) => {
-    const rs = fs.createReadStream(zipFilePath);
-    const extractor = unzipper.Extract({ path: destDir });
-    rs.on('error', reject);
-    extractor.on('error', reject);
-    extractor.on('close', resolve);
-    rs.pipe(extractor);
-  });
+  const root = path.resolve(destDir);
+  await fsp.mkdir(root, { recursive: true });
+  for (const entry of await readZipDirectory(zipFilePath)) {
+    const dest = path.resolve(root, entry.name);
+    if (entry.name.endsWith('/') || !dest.startsWith(root + path.sep)) continue;
+    await extractZipEntry(zipFilePath, entry, dest);
+  }
+}
+
+async function directorySize(dir) {
+  let bytes = 0;
+  for (const entry of await fsp.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) bytes += await directorySize(full);
+    else if (entry.isFile()) bytes += (await fsp.stat(full)).size;
+  }
+  return bytes;
 }
 
-async function zipDirectoryContents(sourceDir, outZipPath) {
+// onProgress({ processedBytes, totalBytes }) as files are compressed; archiver only counts the files
+// it has queued so far, so the total is measured up front
+async function zipDirectoryContents(sourceDir, outZipPath, onProgress = () => {}) {
+  const totalBytes = await directorySize(sourceDir);
   await new Promise((resolve, reject) => {
     const output = fs.createWriteStream(outZipPath);
     const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('progress', (p) => onProgress({ processedBytes: p.fs.processedBytes, totalBytes: Math.max(totalBytes, p.fs.totalBytes) }));
 
     output.on('close', resolve);
     output.on('error', reject);
@@ -52,58 +71,356 @@ async function zipDirectoryContents(sourceDir, outZipPath) {
   });
 }
 
-async function listTopLevelGcodesInZip(zipPath) {
-  const directory = await unzipper.Open.file(zipPath);
-  const names = [];
-  for (const entry of directory.files) {
-    if (entry.type !== 'File' || !entry.path) continue;
-    let p = entry.path.replace(/\\/g, '/');
-    if (p.startsWith('./')) p = p.slice(2);
-    if (p.startsWith('/')) p = p.slice(1);
-    const segments = p.split('/');
-    if (segments.length !== 2) continue;
-    const [first, second] = segments;
-    if (first.toLowerCase() !== 'metadata') continue;
-    if (!second.toLowerCase().endsWith('.gcode')) continue;
-    names.push(second);
+// Central directory signatures and the ZIP64 markers of fields that do not fit
+const SIG = {
+  local: 0x04034b50,
+  central: 0x02014b50,
+  descriptor: 0x08074b50,
+  end: 0x06054b50,
+  zip64End: 0x06064b50,
+  zip64Locator: 0x07064b50,
+};
+const MAX32 = 0xffffffff;
+const MAX16 = 0xffff;
+const crc32Of = zlib.crc32 || crc32;
+
+// Entry names with "./", "/" or backslashes normalized to "dir/file"
+function normalizeEntryName(name) {
+  let p = name.replace(/\\/g, '/');
+  if (p.startsWith('./')) p = p.slice(2);
+  if (p.startsWith('/')) p = p.slice(1);
+  return p;
+}
+
+// Entries of a zip from its central directory (ZIP64 included), without reading their data:
+// [{ name, nameBytes, versionMadeBy, flags, method, time, date, crc, compressedSize, size, offset, externalAttributes }]
+async function readZipDirectory(zipPath) {
+  const fh = await fsp.open(zipPath, 'r');
+  try {
+    const { size: fileSize } = await fh.stat();
+    const tailSize = Math.min(fileSize, 22 + MAX16);
+    const tail = Buffer.alloc(tailSize);
+    await fh.read(tail, 0, tailSize, fileSize - tailSize);
+    let end = -1;
+    for (let i = tailSize - 22; i >= 0; i -= 1) {
+      if (tail.readUInt32LE(i) === SIG.end) {
+        end = i;
+        break;
+      }
+    }
+    if (end < 0) throw new InputError(`${path.basename(zipPath)} is not a zip archive.`);
+    let count = tail.readUInt16LE(end + 10);
+    let cdSize = tail.readUInt32LE(end + 12);
+    let cdOffset = tail.readUInt32LE(end + 16);
+    const locatorAt = end - 20;
+    if (locatorAt >= 0 && tail.readUInt32LE(locatorAt) === SIG.zip64Locator) {
+      const record = Buffer.alloc(56);
+      await fh.read(record, 0, 56, Number(tail.readBigUInt64LE(locatorAt + 8)));
+      if (record.readUInt32LE(0) === SIG.zip64End) {
+        count = Number(record.readBigUInt64LE(32));
+        cdSize = Number(record.readBigUInt64LE(40));
+        cdOffset = Number(record.readBigUInt64LE(48));
+      }
+    }
+    const cd = Buffer.alloc(cdSize);
+    await fh.read(cd, 0, cdSize, cdOffset);
+    const entries = [];
+    let p = 0;
+    for (let n = 0; n < count; n += 1) {
+      if (p + 46 > cd.length || cd.readUInt32LE(p) !== SIG.central) throw new InputError(`${path.basename(zipPath)} has a damaged central directory.`);
+      const flags = cd.readUInt16LE(p + 8);
+      const nameLength = cd.readUInt16LE(p + 28);
+      const extraLength = cd.readUInt16LE(p + 30);
+      const commentLength = cd.readUInt16LE(p + 32);
+      const nameBytes = cd.subarray(p + 46, p + 46 + nameLength);
+      const entry = {
+        name: normalizeEntryName(nameBytes.toString(flags & 0x800 ? 'utf8' : 'latin1')),
+        nameBytes: Buffer.from(nameBytes),
+        versionMadeBy: cd.readUInt16LE(p + 4),
+        flags,
+        method: cd.readUInt16LE(p + 10),
+        time: cd.readUInt16LE(p + 12),
+        date: cd.readUInt16LE(p + 14),
+        crc: cd.readUInt32LE(p + 16),
+        compressedSize: cd.readUInt32LE(p + 20),
+        size: cd.readUInt32LE(p + 24),
+        offset: cd.readUInt32LE(p + 42),
+        externalAttributes: cd.readUInt32LE(p + 38),
+      };
+      // ZIP64 extra field: the 64-bit values of the fields marked 0xFFFFFFFF, in this order
+      const extra = cd.subarray(p + 46 + nameLength, p + 46 + nameLength + extraLength);
+      for (let e = 0; e + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(e);
+        const length = extra.readUInt16LE(e + 2);
+        if (id === 0x0001) {
+          let v = e + 4;
+          for (const field of ['size', 'compressedSize', 'offset']) {
+            if (entry[field] !== MAX32 || v + 8 > e + 4 + length) continue;
+            entry[field] = Number(extra.readBigUInt64LE(v));
+            v += 8;
+          }
+        }
+        e += 4 + length;
+      }
+      entries.push(entry);
+      p += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  } finally {
+    await fh.close();
   }
-  return names;
+}
+
+function isTopLevelGcode(entry) {
+  const segments = entry.name.split('/');
+  return segments.length === 2 && segments[0].toLowerCase() === 'metadata' && segments[1].toLowerCase().endsWith('.gcode');
+}
+
+async function listTopLevelGcodesInZip(zipPath) {
+  const entries = await readZipDirectory(zipPath);
+  return entries.filter(isTopLevelGcode).map((entry) => entry.name.split('/')[1]);
 }
 
 // Return a map of top-level metadata GCODE names to { compressedSize, uncompressedSize }
 async function getTopLevelGcodeSizes(zipPath) {
-  const directory = await unzipper.Open.file(zipPath);
   const result = {};
-  for (const entry of directory.files) {
-    if (entry.type !== 'File' || !entry.path) continue;
-    let p = entry.path.replace(/\\/g, '/');
-    if (p.startsWith('./')) p = p.slice(2);
-    if (p.startsWith('/')) p = p.slice(1);
-    const segments = p.split('/');
-    if (segments.length !== 2) continue;
-    const [first, second] = segments;
-    if (first.toLowerCase() !== 'metadata') continue;
-    if (!second.toLowerCase().endsWith('.gcode')) continue;
-    // Some unzipper versions expose compressedSize; fallback to null if not present
-    const compressedSize = typeof entry.compressedSize === 'number' ? entry.compressedSize : null;
-    const uncompressedSize = typeof entry.uncompressedSize === 'number' ? entry.uncompressedSize : null;
-    result[second] = { compressedSize, uncompressedSize };
+  for (const entry of await readZipDirectory(zipPath)) {
+    if (isTopLevelGcode(entry)) result[entry.name.split('/')[1]] = { compressedSize: entry.compressedSize, uncompressedSize: entry.size };
   }
   return result;
 }
 
-async function findMetadataDirectory(rootDir) {
-  const candidate = path.join(rootDir, 'metadata');
-  const st = await safeStat(candidate);
-  if (st && st.isDirectory()) return candidate;
-  // try case-insensitive variants
-  const entries = await fsp.readdir(rootDir, { withFileTypes: true });
-  for (const entry of entries) {
-    if (entry.isDirectory() && entry.name.toLowerCase() === 'metadata') {
-      return path.join(rootDir, entry.name);
-    }
+// The metadata folder's name as written in the archive ("Metadata" in Bambu files), or null
+function findMetadataFolder(entries) {
+  const found = entries.find((entry) => entry.name.includes('/') && entry.name.split('/')[0].toLowerCase() === 'metadata');
+  return found ? found.name.split('/')[0] : null;
+}
+
+// An entry's data as stored (options.raw) or decompressed
+async function openZipEntry(zipPath, entry, options = {}) {
+  const header = Buffer.alloc(30);
+  const fh = await fsp.open(zipPath, 'r');
+  try {
+    await fh.read(header, 0, 30, entry.offset);
+  } finally {
+    await fh.close();
+  }
+  if (header.readUInt32LE(0) !== SIG.local) throw new InputError(`${path.basename(zipPath)}: damaged entry ${entry.name}.`);
+  const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  if (!options.raw && entry.method !== 0 && entry.method !== 8) {
+    throw new InputError(`${path.basename(zipPath)}: ${entry.name} uses an unsupported compression method (${entry.method}).`);
+  }
+  const data = entry.compressedSize > 0
+    ? fs.createReadStream(zipPath, { start, end: start + entry.compressedSize - 1 })
+    : Readable.from([]);
+  if (options.raw || entry.method === 0) return data;
+  const inflate = zlib.createInflateRaw();
+  data.on('error', (e) => inflate.destroy(e));
+  // Readers may stop early (see forEachLine): the file is closed with the inflater
+  inflate.on('close', () => data.destroy());
+  return data.pipe(inflate);
+}
+
+async function readZipEntry(zipPath, entry) {
+  const chunks = [];
+  for await (const chunk of await openZipEntry(zipPath, entry)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function extractZipEntry(zipPath, entry, destPath) {
+  await fsp.mkdir(path.dirname(destPath), { recursive: true });
+  await pipeline(await openZipEntry(zipPath, entry), fs.createWriteStream(destPath));
+}
+
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+// ZIP64 extra field holding the given 64-bit values
+function zip64Extra(values) {
+  if (values.length === 0) return Buffer.alloc(0);
+  const extra = Buffer.alloc(4 + values.length * 8);
+  extra.writeUInt16LE(0x0001, 0);
+  extra.writeUInt16LE(values.length * 8, 2);
+  values.forEach((v, i) => extra.writeBigUInt64LE(BigInt(v), 4 + i * 8));
+  return extra;
+}
+
+// Writes a zip front to back: entries copied still compressed from another zip (copyEntry), small ones
+// from memory (addEntry) and streamed ones deflated on the fly (openEntry, sizes in a data descriptor).
+// Sizes and offsets over 4 GB get ZIP64 fields. options.level: deflate level 0-9 of new entries.
+function createZipWriter(outPath, options = {}) {
+  const { level = 9 } = options;
+  const out = fs.createWriteStream(outPath);
+  const central = [];
+  let offset = 0;
+  let failed = null;
+  out.on('error', (e) => { failed = e; });
+
+  // Resolves at once unless the stream is full, then when this chunk is flushed
+  const write = (buf) => new Promise((resolve, reject) => {
+    if (failed) return reject(failed);
+    offset += buf.length;
+    const ok = out.write(buf, (e) => {
+      if (e) reject(e);
+      else if (!ok) resolve();
+    });
+    if (ok) resolve();
+  });
+
+  const localHeader = (entry, extra = Buffer.alloc(0)) => {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(SIG.local, 0);
+    header.writeUInt16LE(extra.length ? 45 : 20, 4);
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(extra.length ? MAX32 : entry.compressedSize, 18);
+    header.writeUInt32LE(extra.length ? MAX32 : entry.size, 22);
+    header.writeUInt16LE(entry.nameBytes.length, 26);
+    header.writeUInt16LE(extra.length, 28);
+    return Buffer.concat([header, entry.nameBytes, extra]);
+  };
+
+  const newEntry = (name) => ({
+    nameBytes: Buffer.from(name, 'utf8'),
+    versionMadeBy: 20,
+    flags: 0x800,
+    method: 8,
+    ...dosDateTime(new Date()),
+    externalAttributes: 0,
+  });
+
+  // An entry with known sizes: the local header carries them, ZIP64 when they do not fit
+  async function writeKnown(entry, data) {
+    entry.offset = offset;
+    const big = entry.size >= MAX32 || entry.compressedSize >= MAX32;
+    await write(localHeader(entry, big ? zip64Extra([entry.size, entry.compressedSize]) : undefined));
+    if (Buffer.isBuffer(data)) await write(data);
+    else for await (const chunk of data) await write(chunk);
+    central.push(entry);
   }
-  return null;
+
+  return {
+    // Copies an entry of readZipDirectory() without recompressing it
+    async copyEntry(zipPath, source) {
+      const entry = { ...source, flags: source.flags & ~0x8 };
+      await writeKnown(entry, await openZipEntry(zipPath, source, { raw: true }));
+    },
+    async addEntry(name, content) {
+      const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+      const compressed = zlib.deflateRawSync(data, { level });
+      await writeKnown({ ...newEntry(name), crc: crc32Of(data), size: data.length, compressedSize: compressed.length }, compressed);
+    },
+    // Returns { stream, done }: write the content to `stream` and end it, then await `done`. The size is only known
+    // at the end: an entry that may pass 4 GB (options.estimatedBytes over half of it, or unknown) gets a ZIP64
+    // extra with zero sizes in its local header and 8-byte sizes in its data descriptor, as APPNOTE 4.3.9 asks for
+    // streaming readers. Smaller ones keep the classic header and 4-byte sizes, and fail if they outgrow them.
+    async openEntry(name, options = {}) {
+      const { estimatedBytes = null } = options;
+      const zip64 = estimatedBytes == null || estimatedBytes >= MAX32 / 2;
+      const entry = { ...newEntry(name), flags: 0x808, crc: 0, size: 0, compressedSize: 0, offset, zip64 };
+      await write(localHeader(entry, zip64 ? zip64Extra([0, 0]) : undefined));
+      const tooLarge = () => new OutputTooLargeError(`${name} passed 4 GB, far over its estimated ${Math.ceil(estimatedBytes / (1024 * 1024))} MB: it was written without ZIP64 sizes.`, estimatedBytes);
+      const deflate = zlib.createDeflateRaw({ level });
+      const stream = new Transform({
+        transform(chunk, encoding, callback) {
+          entry.crc = crc32Of(chunk, entry.crc);
+          entry.size += chunk.length;
+          if (!zip64 && entry.size >= MAX32) return callback(tooLarge());
+          callback(null, chunk);
+        },
+      });
+      stream.pipe(deflate);
+      stream.on('error', (e) => deflate.destroy(e));
+      const done = (async () => {
+        for await (const chunk of deflate) {
+          entry.compressedSize += chunk.length;
+          await write(chunk);
+        }
+        if (!zip64 && entry.compressedSize >= MAX32) throw tooLarge();
+        const descriptor = Buffer.alloc(zip64 ? 24 : 16);
+        descriptor.writeUInt32LE(SIG.descriptor, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        if (zip64) {
+          descriptor.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+          descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+        } else {
+          descriptor.writeUInt32LE(entry.compressedSize, 8);
+          descriptor.writeUInt32LE(entry.size, 12);
+        }
+        await write(descriptor);
+        central.push(entry);
+        return { crc: entry.crc, size: entry.size, compressedSize: entry.compressedSize };
+      })();
+      // A failed write (a full disk) tears the entry down too, so whatever writes to it stops waiting
+      done.catch((e) => stream.destroy(e));
+      return { stream, done };
+    },
+    bytesWritten: () => offset,
+    // Central directory, ZIP64 end records when needed, then closes the file
+    async finish() {
+      const cdOffset = offset;
+      for (const entry of central) {
+        const big = [entry.size, entry.compressedSize, entry.offset].map((v) => v >= MAX32);
+        const extra = zip64Extra([entry.size, entry.compressedSize, entry.offset].filter((v, i) => big[i]));
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(SIG.central, 0);
+        header.writeUInt16LE(entry.versionMadeBy, 4);
+        header.writeUInt16LE(extra.length || entry.zip64 ? 45 : 20, 6);
+        header.writeUInt16LE(entry.flags, 8);
+        header.writeUInt16LE(entry.method, 10);
+        header.writeUInt16LE(entry.time, 12);
+        header.writeUInt16LE(entry.date, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(big[1] ? MAX32 : entry.compressedSize, 20);
+        header.writeUInt32LE(big[0] ? MAX32 : entry.size, 24);
+        header.writeUInt16LE(entry.nameBytes.length, 28);
+        header.writeUInt16LE(extra.length, 30);
+        header.writeUInt32LE(entry.externalAttributes, 38);
+        header.writeUInt32LE(big[2] ? MAX32 : entry.offset, 42);
+        await write(Buffer.concat([header, entry.nameBytes, extra]));
+      }
+      const cdSize = offset - cdOffset;
+      const zip64 = central.length >= MAX16 || cdOffset >= MAX32 || cdSize >= MAX32;
+      if (zip64) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(SIG.zip64End, 0);
+        record.writeBigUInt64LE(44n, 4);
+        record.writeUInt16LE(45, 12);
+        record.writeUInt16LE(45, 14);
+        record.writeBigUInt64LE(BigInt(central.length), 24);
+        record.writeBigUInt64LE(BigInt(central.length), 32);
+        record.writeBigUInt64LE(BigInt(cdSize), 40);
+        record.writeBigUInt64LE(BigInt(cdOffset), 48);
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(SIG.zip64Locator, 0);
+        locator.writeBigUInt64LE(BigInt(offset), 8);
+        locator.writeUInt32LE(1, 16);
+        await write(Buffer.concat([record, locator]));
+      }
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(SIG.end, 0);
+      end.writeUInt16LE(zip64 ? MAX16 : central.length, 8);
+      end.writeUInt16LE(zip64 ? MAX16 : central.length, 10);
+      end.writeUInt32LE(zip64 ? MAX32 : cdSize, 12);
+      end.writeUInt32LE(zip64 ? MAX32 : cdOffset, 16);
+      await write(end);
+      out.end();
+      await finished(out);
+      if (failed) throw failed;
+    },
+    // Stops writing after a failure (the file may already be closed by it); the caller removes the file
+    async abort() {
+      out.destroy();
+      await finished(out).catch(() => {});
+    },
+  };
 }
 
 module.exports = {
@@ -111,8 +428,14 @@ module.exports = {
   safeRm,
   extractZipToDir,
   zipDirectoryContents,
+  normalizeEntryName,
+  readZipDirectory,
+  openZipEntry,
+  readZipEntry,
+  extractZipEntry,
+  createZipWriter,
   listTopLevelGcodesInZip,
-  findMetadataDirectory,
+  findMetadataFolder,
   getTopLevelGcodeSizes,
 };
 
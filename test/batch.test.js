@@ -0,0 +1,101 @@
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loadManifest } = require('../src/batch');
+const { loadConfig } = require('../src/config');
+const { InputError } = require('../src/errors');
+
+const MB = 1024 * 1024;
+
+async function tempDir(t) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), '3mf-looper-test-'));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A project folder with a .3mf-looper.json and a manifest next to it; the user's config is left out
+async function project(t, config, manifest) {
+  const dir = await tempDir(t);
+  const saved = process.env.LOOPER_CONFIG;
+  process.env.LOOPER_CONFIG = path.join(dir, '.3mf-looper.json');
+  t.after(() => { if (saved === undefined) delete process.env.LOOPER_CONFIG; else process.env.LOOPER_CONFIG = saved; });
+  await fsp.writeFile(path.join(dir, '.3mf-looper.json'), JSON.stringify(config));
+  const manifestPath = path.join(dir, 'jobs.json');
+  await fsp.writeFile(manifestPath, JSON.stringify(manifest));
+  return { dir, manifestPath };
+}
+
+const CONFIG = {
+  defaultProfile: 'x1c',
+  outputDir: 'prints',
+  limits: { confirmOutputMb: 500 },
+  profiles: {
+    x1c: { eject: 'push-off', trim: true, bedClearing: { maxPartHeight: 40, releaseTemp: 30 }, nameTemplate: '{name} x{count}', limits: { largeInputMb: 50 } },
+    mk4: { format: 'bgcode', between: 'mk4-between.gcode', outputDir: 'mk4' },
+  },
+};
+
+test('batch jobs take their profile from the config file', async (t) => {
+  const { dir, manifestPath } = await project(t, CONFIG, {
+    jobs: [
+      { inputs: ['a.3mf'], spec: '3' },
+      { inputs: ['b.3mf'], spec: '12h', profile: 'mk4', trim: true },
+      { inputs: ['c.3mf'], spec: '500g', profile: 'none' },
+    ],
+  });
+  const batch = await loadManifest(manifestPath);
+  const [x1c, mk4, none] = batch.jobs.map((job) => job.options);
+
+  assert.strictEqual(batch.jobs[0].profile, 'x1c');
+  assert.strictEqual(x1c.eject, 'push-off');
+  assert.strictEqual(x1c.trim, true);
+  assert.strictEqual(x1c.maxPartHeight, 40);
+  assert.match(x1c.cooldownGcode, /M190 R30/);
+  assert.strictEqual(x1c.outputDir, path.join(dir, 'prints'));
+  assert.strictEqual(x1c.nameTemplate, '{name} x{count}');
+  assert.strictEqual(x1c.largeInputBytes, 50 * MB);
+  assert.strictEqual(x1c.maxOutputBytes, 500 * MB);
+
+  assert.strictEqual(mk4.format, 'bgcode');
+  assert.strictEqual(mk4.betweenFile, path.join(dir, 'mk4-between.gcode'));
+  assert.strictEqual(mk4.trim, true);
+  assert.strictEqual(mk4.outputDir, path.join(dir, 'mk4'));
+
+  assert.strictEqual(batch.jobs[2].profile, null);
+  assert.strictEqual(none.eject, undefined);
+  assert.strictEqual(none.outputDir, path.join(dir, 'prints'));
+  assert.strictEqual(none.largeInputBytes, 100 * MB);
+});
+
+test('a job\'s own ejection replaces its profile\'s, cooldown included', async (t) => {
+  const { dir, manifestPath } = await project(t, CONFIG, {
+    outDir: 'out',
+    jobs: [{ inputs: ['a.3mf'], spec: '3', ejectGcode: ['G28', 'G1 Y250'] }],
+  });
+  const { options } = (await loadManifest(manifestPath)).jobs[0];
+  assert.strictEqual(options.ejectGcode, 'G28\nG1 Y250\n');
+  assert.strictEqual(options.eject, undefined);
+  assert.strictEqual(options.cooldownGcode, undefined);
+  assert.strictEqual(options.maxPartHeight, 40);
+  assert.strictEqual(options.outputDir, 'out');
+  assert.strictEqual(options.cwd, dir);
+});
+
+test('a manifest is checked against the config\'s profiles', async (t) => {
+  const { manifestPath } = await project(t, CONFIG, { jobs: [{ inputs: ['a.3mf'], spec: '3', profile: 'prusa' }] });
+  await assert.rejects(loadManifest(manifestPath), (e) => e instanceof InputError && /Job 1: Unknown profile "prusa"\. Available: x1c, mk4/.test(e.message));
+
+  await fsp.writeFile(manifestPath, JSON.stringify({ profiles: { x1c: { trim: true } }, jobs: [{ inputs: ['a.3mf'], spec: '3' }] }));
+  await assert.rejects(loadManifest(manifestPath), /profiles belong in the config file/);
+
+  await fsp.writeFile(manifestPath, JSON.stringify({ jobs: [{ inputs: ['a.3mf'], spec: '3', eject: 'launch' }] }));
+  await assert.rejects(loadManifest(manifestPath), /unknown ejection preset "launch"/);
+
+  // A config given by the caller is used as it is
+  await fsp.writeFile(manifestPath, JSON.stringify({ jobs: [{ inputs: ['a.3mf'], spec: '3' }] }));
+  const config = { ...(await loadConfig({ cwd: path.dirname(manifestPath) })), defaultProfile: 'mk4' };
+  assert.strictEqual((await loadManifest(manifestPath, { config })).jobs[0].profile, 'mk4');
+});
@@ -0,0 +1,55 @@
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { readBgcode, writeBgcode, MAGIC } = require('../src/bgcode');
+const { InputError } = require('../src/errors');
+
+// Over 65535 bytes, so the G-code spans several blocks
+const GCODE = Array.from({ length: 4000 }, (_, i) => `G1 X${(i % 97) * 0.5} Y${(i % 89) * 0.75} E${(i * 0.0271).toFixed(5)}\n`).join('');
+
+async function tempDir(t) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), '3mf-looper-test-'));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('writeBgcode then readBgcode gives back the G-code, metadata and thumbnails', async (t) => {
+  const dir = await tempDir(t);
+  const gcodePath = path.join(dir, 'in.gcode');
+  await fsp.writeFile(gcodePath, GCODE);
+  const meta = {
+    printerMetadata: [['printer_model', 'MK4'], ['nozzle_diameter', '0.4']],
+    printMetadata: [['estimated printing time (normal mode)', '1h 2m 3s']],
+    slicerMetadata: [['layer_height', '0.2']],
+    thumbnails: [{ format: 'PNG', width: 16, height: 16, data: Buffer.from('not really a png') }],
+  };
+  const bgcodePath = path.join(dir, 'out.bgcode');
+  const { bytes } = await writeBgcode(gcodePath, bgcodePath, meta);
+  const written = await fsp.readFile(bgcodePath);
+  assert.strictEqual(written.length, bytes);
+  assert.strictEqual(written.toString('latin1', 0, 4), MAGIC);
+  assert.ok(bytes < GCODE.length / 2, 'G-code blocks are compressed');
+
+  const back = await readBgcode(bgcodePath, path.join(dir, 'back.gcode'));
+  assert.strictEqual(await fsp.readFile(path.join(dir, 'back.gcode'), 'utf8'), GCODE);
+  assert.deepStrictEqual(back.printerMetadata, meta.printerMetadata);
+  assert.deepStrictEqual(back.printMetadata, meta.printMetadata);
+  assert.deepStrictEqual(back.slicerMetadata, meta.slicerMetadata);
+  assert.deepStrictEqual(back.fileMetadata, [['Producer', '3mf-looper']]);
+  assert.deepStrictEqual(back.thumbnails, meta.thumbnails);
+});
+
+test('readBgcode rejects a block whose checksum does not match', async (t) => {
+  const dir = await tempDir(t);
+  const gcodePath = path.join(dir, 'in.gcode');
+  await fsp.writeFile(gcodePath, GCODE);
+  const bgcodePath = path.join(dir, 'out.bgcode');
+  await writeBgcode(gcodePath, bgcodePath);
+  const data = await fsp.readFile(bgcodePath);
+  data[data.length - 100] ^= 0xff;
+  await fsp.writeFile(bgcodePath, data);
+  await assert.rejects(readBgcode(bgcodePath, path.join(dir, 'back.gcode')), (e) => e instanceof InputError && /checksum mismatch/.test(e.message));
+});
@@ -0,0 +1,82 @@
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const heatshrink = require('../src/heatshrink');
+const { unpack } = require('../src/meatpack');
+const { crc32 } = require('../src/crc32');
+
+// "1 01100001 0 00000010 0101" style bit strings (spaces ignored) to bytes, zero padded like heatshrink output
+function bits(text) {
+  const digits = text.replace(/\s+/g, '');
+  const out = Buffer.alloc(Math.ceil(digits.length / 8));
+  for (let i = 0; i < digits.length; i += 1) if (digits[i] === '1') out[i >> 3] |= 0x80 >> (i & 7);
+  return out;
+}
+
+const literal = (char) => `1 ${char.charCodeAt(0).toString(2).padStart(8, '0')}`;
+const backReference = (offset, count, windowBits, lookaheadBits) => `0 ${(offset - 1).toString(2).padStart(windowBits, '0')} ${(count - 1).toString(2).padStart(lookaheadBits, '0')}`;
+
+const GCODE = Array.from({ length: 400 }, (_, i) => `G1 X${(i % 37) * 1.5} Y${(i % 23) * 2.25} E${(i * 0.0312).toFixed(5)} ; move ${i}\n`).join('')
+  + 'M400\n'.repeat(50) + `; ${'='.repeat(300)}\n`;
+
+test('heatshrink decodes literals and back-references', () => {
+  const vector = bits([...'abc'].map(literal).join(' ') + backReference(3, 6, 8, 4));
+  assert.strictEqual(heatshrink.decompress(vector, 9, 8, 4).toString(), 'abcabcabc');
+  // A back-reference longer than its offset repeats what it copies
+  const run = bits(literal('x') + backReference(1, 16, 12, 4) + backReference(1, 3, 12, 4));
+  assert.strictEqual(heatshrink.decompress(run, 20, 12, 4).toString(), 'x'.repeat(20));
+});
+
+test('heatshrink encodes to the same bit stream', () => {
+  assert.deepStrictEqual(heatshrink.compress(Buffer.from('abcabcabc'), 8, 4), bits([...'abc'].map(literal).join(' ') + backReference(3, 6, 8, 4)));
+  const letters = 'abcdefghijklmnopqrstuvwxyz';
+  assert.deepStrictEqual(heatshrink.compress(Buffer.from(letters), 11, 4), bits([...letters].map(literal).join(' ')));
+});
+
+test('heatshrink round-trips G-code with the binary G-code window sizes', () => {
+  const input = Buffer.from(GCODE);
+  for (const windowBits of [11, 12]) {
+    const packed = heatshrink.compress(input, windowBits, 4);
+    assert.ok(packed.length < input.length / 2);
+    assert.deepStrictEqual(heatshrink.decompress(packed, input.length, windowBits, 4), input);
+  }
+});
+
+test('heatshrink reports data that ends too early', () => {
+  const packed = heatshrink.compress(Buffer.from(GCODE), 12, 4);
+  assert.throws(() => heatshrink.decompress(packed.subarray(0, packed.length - 20), GCODE.length, 12, 4), /heatshrink data ends after/);
+});
+
+// MeatPack codes: 0-9, '.', ' ', '\n', 'G', 'X'; 0xF means the character follows as a full byte
+const ENABLE_PACKING = [0xff, 0xff, 0xfb];
+const ENABLE_NO_SPACES = [0xff, 0xff, 0xf7];
+const pair = (low, high) => (high << 4) | low;
+
+test('meatpack unpacks packed characters, full bytes and plain text', () => {
+  const input = Buffer.from([
+    ...Buffer.from('M83\n'),
+    ...ENABLE_PACKING,
+    pair(13, 1), pair(11, 14), pair(1, 0), pair(12, 0), // "G1 X10\n", the byte after a newline is padding
+    pair(15, 8), 0x4d, pair(2, 12), // "M82\n": M is not packed
+    pair(15, 15), 0x54, 0x30, pair(12, 0), // "T0\n": two full bytes
+  ]);
+  assert.strictEqual(unpack(input).toString(), 'M83\nG1 X10\nM82\nT0\n');
+});
+
+test('meatpack puts spaces back in "no spaces" mode', () => {
+  const input = Buffer.from([
+    ...ENABLE_PACKING,
+    ...ENABLE_NO_SPACES,
+    pair(13, 1), pair(14, 1), pair(0, 11), pair(5, 12), // "G1X10E5\n": code 11 is E instead of a space
+  ]);
+  assert.strictEqual(unpack(input).toString(), 'G1 X10 E5\n');
+});
+
+test('crc32 matches the standard check value and zlib', () => {
+  assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+  const data = Buffer.from(GCODE);
+  const pieces = crc32(data.subarray(1000), crc32(data.subarray(0, 1000)));
+  assert.strictEqual(pieces, crc32(data));
+  if (zlib.crc32) assert.strictEqual(crc32(data), zlib.crc32(data));
+});
@@ -0,0 +1,53 @@
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { streamRepeatFiles } = require('../src/gcode');
+
+const GCODE = 'G28\nM104 S210\nG1 X10 Y10 E1\nG1 X20 Y20 E2\nM104 S0\n';
+
+async function tempGcode(t) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), '3mf-looper-test-'));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  const gcodePath = path.join(dir, 'part.gcode');
+  await fsp.writeFile(gcodePath, GCODE);
+  return { dir, gcodePath };
+}
+
+test('streamRepeatFiles writes every loop and counts what it wrote', async (t) => {
+  const { dir, gcodePath } = await tempGcode(t);
+  const outPath = path.join(dir, 'looped.gcode');
+  const { bytes } = await streamRepeatFiles([gcodePath], outPath, 3);
+  const text = await fsp.readFile(outPath, 'utf8');
+  assert.strictEqual(bytes, Buffer.byteLength(text));
+  assert.strictEqual(text.split(GCODE).length - 1, 3);
+  assert.match(text, /; 3mf-looper: Starting loop 3 for "part.gcode"/);
+});
+
+test('streamRepeatFiles rejects when the disk is full', { skip: !fs.existsSync('/dev/full') && 'no /dev/full' }, async (t) => {
+  const { gcodePath } = await tempGcode(t);
+  await assert.rejects(streamRepeatFiles([gcodePath], '/dev/full', 50), { code: 'ENOSPC' });
+});
+
+test('a fan sweep sets the part cooling fan, P1 in Bambu Studio files', async (t) => {
+  const { dir } = await tempGcode(t);
+  const gcodePath = path.join(dir, 'fan.gcode');
+  await fsp.writeFile(gcodePath, '; generated by BambuStudio 01.09.00.70\nM106 P1 S0\nG1 X10 Y10 E1\nM106 P1 S255\nM106 P2 S100\nG1 X20 Y20 E2\nM106 P1 S0\n');
+  const outPath = path.join(dir, 'looped.gcode');
+  const sweep = [{ name: 'fan', values: [40, 80] }];
+
+  const { unswept } = await streamRepeatFiles([gcodePath], outPath, 2, [], { sweep, slicers: ['bambu'] });
+  const text = await fsp.readFile(outPath, 'utf8');
+  assert.deepStrictEqual(unswept, []);
+  assert.deepStrictEqual(text.match(/^M106 P1 S[1-9]\d*$/gm), ['M106 P1 S102', 'M106 P1 S204']);
+  assert.strictEqual(text.match(/^M106 P2 S100$/gm).length, 2);
+  assert.strictEqual(text.match(/^M106 P1 S0$/gm).length, 4);
+
+  // In other slicers' files P1 is another fan: nothing is changed, which the caller is told
+  const other = await streamRepeatFiles([gcodePath], outPath, 2, [], { sweep, slicers: ['prusaslicer'] });
+  assert.deepStrictEqual(other.unswept, ['fan']);
+  assert.strictEqual((await fsp.readFile(outPath, 'utf8')).match(/^M106 P1 S255$/gm).length, 2);
+});
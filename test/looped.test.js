@@ -0,0 +1,134 @@
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loop3mf, reloop3mf, unloop3mf, InputError } = require('../src/api');
+const { createLoopedScanner } = require('../src/looped');
+const { forEachLine } = require('../src/lines');
+const { readZipDirectory, readZipEntry } = require('../src/zip');
+
+// A Cura-like file of 100 minutes: start sequence, layers and end sequence; with m73, progress lines whose
+// percentage counts seconds while the remaining time is rounded to minutes, as slicers write them
+function slicedGcode({ m73 = false } = {}) {
+  const lines = [';FLAVOR:Marlin', ';TIME:6000', ';Filament used: 0.5m', ';Layer height: 0.2', ';Generated with Cura_SteamEngine 5.6.0',
+    'M140 S60', 'M104 S210', 'G28', 'M82', 'G92 E0'];
+  let e = 0;
+  for (let layer = 0; layer < 10; layer += 1) {
+    lines.push(`;LAYER:${layer}`, `G1 Z${(0.2 * (layer + 1)).toFixed(1)} F600`);
+    const elapsed = layer * 577;
+    if (m73) lines.push(`M73 P${Math.floor(elapsed / 60)} R${Math.round((6000 - elapsed) / 60)}`);
+    for (let i = 0; i < 10; i += 1) lines.push(`G1 X${i % 2 ? 150 : 100} Y${100 + i} E${(e += 0.5).toFixed(2)} F3000`);
+  }
+  lines.push(';TIME_ELAPSED:6000', 'M140 S0', 'M104 S0', ';End of Gcode');
+  return `${lines.join('\n')}\n`;
+}
+
+async function tempDir(t) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), '3mf-looper-test-'));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const withoutTimestamp = (text) => text.replace(/File modified at [0-9: -]+/g, 'File modified at');
+
+test('loop then unloop gives the original G-code back', async (t) => {
+  const dir = await tempDir(t);
+  const original = slicedGcode();
+  const input = path.join(dir, 'part.gcode');
+  await fsp.writeFile(input, original);
+  const variants = [{}, { trim: true, eject: 'push-off' }, { loopStatus: true }, { trim: true, loopStatus: true, eject: 'push-off' }];
+  for (const [n, options] of variants.entries()) {
+    const looped = path.join(dir, `looped-${n}.gcode`);
+    await loop3mf({ inputs: [input], spec: '3', format: 'gcode', outputPath: looped, ...options });
+    const text = await fsp.readFile(looped, 'utf8');
+    assert.strictEqual(text.match(/^; 3mf-looper: Starting loop \d+ for /gm).length, 3, JSON.stringify(options));
+    const restored = path.join(dir, `restored-${n}.gcode`);
+    await unloop3mf({ input: looped, outputPath: restored });
+    assert.strictEqual(await fsp.readFile(restored, 'utf8'), original, JSON.stringify(options));
+  }
+});
+
+test('loop then unloop through a .gcode.3mf gives the original G-code back', async (t) => {
+  const dir = await tempDir(t);
+  const original = slicedGcode();
+  const input = path.join(dir, 'part.gcode');
+  await fsp.writeFile(input, original);
+  const looped = path.join(dir, 'looped.gcode.3mf');
+  await loop3mf({ inputs: [input], spec: '4', format: '3mf', trim: true, eject: 'push-off', outputPath: looped });
+  const restored = path.join(dir, 'restored.gcode.3mf');
+  await unloop3mf({ input: looped, outputPath: restored });
+  const entries = await readZipDirectory(restored);
+  const gcode = entries.find((entry) => entry.name.endsWith('.gcode'));
+  assert.strictEqual((await readZipEntry(restored, gcode)).toString('utf8'), original);
+});
+
+test('reloop writes what looping the original that many times writes', async (t) => {
+  const dir = await tempDir(t);
+  const input = path.join(dir, 'part.gcode');
+  await fsp.writeFile(input, slicedGcode({ m73: true }));
+  for (const [n, options] of [{}, { trim: true, eject: 'push-off', loopStatus: true }].entries()) {
+    const three = path.join(dir, `three-${n}.gcode`);
+    const five = path.join(dir, `five-${n}.gcode`);
+    const relooped = path.join(dir, `relooped-${n}.gcode`);
+    await loop3mf({ inputs: [input], spec: '3', format: 'gcode', outputPath: three, ...options });
+    await loop3mf({ inputs: [input], spec: '5', format: 'gcode', outputPath: five, ...options });
+    await reloop3mf({ input: three, count: 5, outputPath: relooped });
+    assert.strictEqual(withoutTimestamp(await fsp.readFile(relooped, 'utf8')), withoutTimestamp(await fsp.readFile(five, 'utf8')), JSON.stringify(options));
+  }
+});
+
+test('unloop restores M73 remaining times; percentages follow them to within 1%', async (t) => {
+  const dir = await tempDir(t);
+  const original = slicedGcode({ m73: true });
+  const input = path.join(dir, 'part.gcode');
+  await fsp.writeFile(input, original);
+  const looped = path.join(dir, 'looped.gcode');
+  await loop3mf({ inputs: [input], spec: '3', format: 'gcode', trim: true, eject: 'none', outputPath: looped });
+  const restored = path.join(dir, 'restored.gcode');
+  await unloop3mf({ input: looped, outputPath: restored });
+  const before = original.split('\n');
+  const after = (await fsp.readFile(restored, 'utf8')).split('\n');
+  assert.strictEqual(after.length, before.length);
+  after.forEach((line, i) => {
+    const m73 = /^M73 P(\d+) R(\d+)$/;
+    if (!m73.test(before[i])) return assert.strictEqual(line, before[i]);
+    const [, p1, r1] = m73.exec(before[i]);
+    const [, p2, r2] = m73.exec(line);
+    assert.strictEqual(r2, r1);
+    assert.ok(Math.abs(p2 - p1) <= 1, `line ${i + 1}: ${line} instead of ${before[i]}`);
+  });
+});
+
+test('trim needs a block between loops, or --eject none', async (t) => {
+  const dir = await tempDir(t);
+  const input = path.join(dir, 'part.gcode');
+  await fsp.writeFile(input, slicedGcode());
+  const looped = path.join(dir, 'looped.gcode');
+  await assert.rejects(loop3mf({ inputs: [input], spec: '3', format: 'gcode', trim: true, outputPath: looped }), (e) => e instanceof InputError && /--trim leaves out the end sequence/.test(e.message));
+  await assert.rejects(fsp.stat(looped), { code: 'ENOENT' });
+  // One copy has no loop after it
+  await loop3mf({ inputs: [input], spec: '1', format: 'gcode', trim: true, outputPath: looped });
+  await loop3mf({ inputs: [input], spec: '3', format: 'gcode', trim: true, eject: 'none', outputPath: looped });
+  const text = await fsp.readFile(looped, 'utf8');
+  assert.strictEqual(text.match(/lift above the finished parts/g).length, 2);
+  assert.strictEqual(text.match(/^;End of Gcode$/gm).length, 1);
+});
+
+test('the looped scanner finds every loop of a looped file', async (t) => {
+  const dir = await tempDir(t);
+  const input = path.join(dir, 'part.gcode');
+  await fsp.writeFile(input, slicedGcode());
+  const looped = path.join(dir, 'looped.gcode');
+  await loop3mf({ inputs: [input], spec: '4', format: 'gcode', trim: true, eject: 'push-off', loopStatus: true, outputPath: looped });
+  const scanner = createLoopedScanner();
+  await forEachLine(looped, (line, start, end) => scanner.scan(line, start, end));
+  const layout = scanner.result();
+  assert.strictEqual(layout.loops, 4);
+  assert.strictEqual(layout.trim, true);
+  assert.strictEqual(layout.loopStatus, true);
+  assert.deepStrictEqual(layout.copies.map((c) => [c.loop, c.name]), [1, 2, 3, 4].map((loop) => [loop, 'part.gcode']));
+  assert.strictEqual(layout.betweens.length, 3);
+  assert.ok(layout.endSequence);
+});
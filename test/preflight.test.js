@@ -0,0 +1,53 @@
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loop3mf, PreflightError } = require('../src/api');
+const { preflightChecks } = require('../src/preflight');
+
+// A short Cura-like file: start sequence, 10 layers 2 mm high in all, end sequence turning the heaters off
+function slicedGcode() {
+  const lines = [';FLAVOR:Marlin', ';TIME:600', ';Generated with Cura_SteamEngine 5.6.0', 'M140 S60', 'M104 S210', 'G28', 'M82', 'G92 E0'];
+  for (let layer = 0; layer < 10; layer += 1) {
+    lines.push(`;LAYER:${layer}`, `G1 Z${(0.2 * (layer + 1)).toFixed(1)} F600`, `G1 X150 Y100 E${layer + 1} F3000`);
+  }
+  lines.push(';TIME_ELAPSED:600', 'M140 S0', 'M104 S0', ';End of Gcode');
+  return `${lines.join('\n')}\n`;
+}
+
+async function tempDir(t) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), '3mf-looper-test-'));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('trim with nothing between loops is a failed check, a stop with --strict', async (t) => {
+  const dir = await tempDir(t);
+  const input = path.join(dir, 'part.gcode');
+  await fsp.writeFile(input, slicedGcode());
+  const output = path.join(dir, 'looped.gcode');
+
+  const result = await loop3mf({ inputs: [input], spec: '3', format: 'gcode', trim: true, eject: 'none', outputPath: output });
+  assert.deepStrictEqual(result.preflight.map((p) => p.check), ['no-eject']);
+  assert.match(result.preflight[0].message, /Nothing clears the bed between loops/);
+
+  await fsp.rm(output);
+  await assert.rejects(
+    loop3mf({ inputs: [input], spec: '3', format: 'gcode', trim: true, eject: 'none', strict: true, outputPath: output }),
+    (e) => e instanceof PreflightError && e.code === 'PREFLIGHT' && e.checks.map((p) => p.check).join() === 'no-eject',
+  );
+  await assert.rejects(fsp.stat(output), { code: 'ENOENT' });
+
+  // A block between loops clears the bed
+  const pushed = await loop3mf({ inputs: [input], spec: '3', format: 'gcode', trim: true, eject: 'push-off', outputPath: output });
+  assert.deepStrictEqual(pushed.preflight.map((p) => p.check), []);
+});
+
+test('no-eject is only checked when the end sequence is trimmed', () => {
+  const job = { analyses: [{ sections: { endLifts: true } }], displayNames: ['part'], maxZ: 2, printers: [{}], inputPaths: ['part.gcode'] };
+  assert.deepStrictEqual(preflightChecks(job, { trim: true }).map((p) => p.check), ['no-eject']);
+  assert.deepStrictEqual(preflightChecks(job, { trim: true, between: 'G1 Z{clearZ}\n' }), []);
+  assert.deepStrictEqual(preflightChecks(job, {}), []);
+});
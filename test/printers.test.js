@@ -0,0 +1,140 @@
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { loadPrinters, resolvePrinter, printersFilePath, sendToPrinter } = require('../src/printers');
+const { PrinterError } = require('../src/errors');
+const { loadConfig, resolveProfile } = require('../src/config');
+
+async function tempDir(t) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), '3mf-looper-test-'));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// HOME and XDG_CONFIG_HOME in a temp folder, $LOOPER_PRINTERS and $LOOPER_CONFIG unset, for the test only
+async function home(t) {
+  const dir = await tempDir(t);
+  const names = ['HOME', 'XDG_CONFIG_HOME', 'LOOPER_PRINTERS', 'LOOPER_CONFIG'];
+  const saved = names.map((name) => process.env[name]);
+  t.after(() => names.forEach((name, i) => { if (saved[i] === undefined) delete process.env[name]; else process.env[name] = saved[i]; }));
+  process.env.HOME = dir;
+  process.env.XDG_CONFIG_HOME = path.join(dir, '.config');
+  delete process.env.LOOPER_PRINTERS;
+  delete process.env.LOOPER_CONFIG;
+  await fsp.mkdir(path.join(dir, '.config', '3mf-looper'), { recursive: true });
+  return dir;
+}
+
+test('the printers file lives next to the config file, the old one is still read', async (t) => {
+  const dir = await home(t);
+  const configDir = path.join(dir, '.config', '3mf-looper');
+  assert.strictEqual(printersFilePath(), path.join(configDir, 'printers.json'));
+  assert.deepStrictEqual(await loadPrinters(), {});
+  assert.throws(() => resolvePrinter({}, 'voron'), new RegExp(`Add it to ${path.join(configDir, 'printers.json')}`));
+
+  await fsp.mkdir(path.join(dir, '.3mf-looper'));
+  await fsp.writeFile(path.join(dir, '.3mf-looper', 'printers.json'), JSON.stringify({ old: { type: 'moonraker', url: 'http://old.local' } }));
+  assert.deepStrictEqual(Object.keys(await loadPrinters()), ['old']);
+
+  await fsp.writeFile(path.join(configDir, 'printers.yaml'), 'voron:\n  type: moonraker\n  url: http://voron.local:7125/\n');
+  assert.strictEqual(printersFilePath(), path.join(configDir, 'printers.yaml'));
+  assert.deepStrictEqual(await loadPrinters(), { voron: { name: 'voron', type: 'moonraker', url: 'http://voron.local:7125', apiKey: null } });
+});
+
+test('a profile names the printer it sends to', async (t) => {
+  const dir = await home(t);
+  const configPath = path.join(dir, '.config', '3mf-looper', 'config.json');
+  await fsp.writeFile(configPath, JSON.stringify({ profiles: { voron: { format: 'gcode', send: 'voron' } } }));
+  assert.strictEqual(resolveProfile(await loadConfig({ cwd: dir }), 'voron').send, 'voron');
+
+  await fsp.writeFile(configPath, JSON.stringify({ profiles: { voron: { send: '' } } }));
+  await assert.rejects(loadConfig({ cwd: dir }), /profiles\.voron\.send must be a non-empty string/);
+});
+
+// A printer on a local port: reply(req, body) answers each upload with { status, json }, or null to never answer.
+// Returns its url and the uploads received as { url, headers, body }
+async function mockPrinter(t, reply) {
+  const uploads = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const upload = { url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('latin1') };
+      uploads.push(upload);
+      const answer = reply(upload);
+      if (!answer) return;
+      res.writeHead(answer.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(answer.json));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+  return { url: `http://127.0.0.1:${server.address().port}`, uploads };
+}
+
+// The value of a multipart/form-data field, undefined when the form has none
+const formField = (body, name) => {
+  const m = new RegExp(`name="${name}"\r\n\r\n([^\r]*)\r\n`).exec(body);
+  return m ? m[1] : undefined;
+};
+
+async function gcodeFile(t, bytes) {
+  const filePath = path.join(await tempDir(t), 'looped.gcode');
+  await fsp.writeFile(filePath, 'G1 X1\n'.repeat(Math.ceil(bytes / 6)).slice(0, bytes));
+  return filePath;
+}
+
+test('OctoPrint gets the file, the key and select/print, with upload progress', async (t) => {
+  const printer = await mockPrinter(t, () => ({ status: 201, json: { files: { local: { name: 'looped.gcode' } }, effectivePrint: true } }));
+  const filePath = await gcodeFile(t, 300 * 1024);
+  const events = [];
+  const sent = await sendToPrinter({ name: 'mk4', type: 'octoprint', url: printer.url, apiKey: 'secret' }, filePath, { start: true, onProgress: (e) => events.push(e) });
+
+  assert.deepStrictEqual(sent, { printer: 'mk4', type: 'octoprint', remoteName: 'looped.gcode', started: true });
+  const [upload] = printer.uploads;
+  assert.strictEqual(upload.url, '/api/files/local');
+  assert.strictEqual(upload.headers['x-api-key'], 'secret');
+  assert.strictEqual(formField(upload.body, 'select'), 'true');
+  assert.strictEqual(formField(upload.body, 'print'), 'true');
+  assert.ok(upload.body.includes(await fsp.readFile(filePath, 'latin1')));
+
+  assert.ok(events.length > 1);
+  assert.ok(events.every((e, i) => e.type === 'upload' && e.printer === 'mk4' && e.totalBytes === 300 * 1024 && (i === 0 || e.sentBytes > events[i - 1].sentBytes)));
+  assert.strictEqual(events[events.length - 1].sentBytes, 300 * 1024);
+});
+
+test('Moonraker gets the file in the gcodes root, started only when asked', async (t) => {
+  const printer = await mockPrinter(t, (upload) => ({ status: 201, json: { result: { item: { path: 'looped.gcode' }, print_started: formField(upload.body, 'print') === 'true' } } }));
+  const filePath = await gcodeFile(t, 1000);
+  const voron = { name: 'voron', type: 'moonraker', url: printer.url, apiKey: null };
+
+  assert.strictEqual((await sendToPrinter(voron, filePath, { start: true })).started, true);
+  assert.strictEqual((await sendToPrinter(voron, filePath)).started, false);
+  const [started, uploaded] = printer.uploads;
+  assert.strictEqual(started.url, '/server/files/upload');
+  assert.strictEqual(started.headers['x-api-key'], undefined);
+  assert.strictEqual(formField(started.body, 'root'), 'gcodes');
+  assert.strictEqual(formField(started.body, 'print'), 'true');
+  assert.strictEqual(formField(uploaded.body, 'root'), 'gcodes');
+  assert.strictEqual(formField(uploaded.body, 'print'), undefined);
+});
+
+test('a refused upload says why, a silent printer times out', async (t) => {
+  const statuses = [401, 409];
+  const printer = await mockPrinter(t, () => (statuses.length ? { status: statuses.shift(), json: { error: 'nope' } } : null));
+  const filePath = await gcodeFile(t, 1000);
+  const mk4 = { name: 'mk4', type: 'octoprint', url: printer.url, apiKey: 'wrong' };
+
+  await assert.rejects(sendToPrinter(mk4, filePath), (e) => e instanceof PrinterError && e.status === 401
+    && e.message === 'mk4 (OctoPrint) refused the upload: the API key was rejected (nope).');
+  await assert.rejects(sendToPrinter(mk4, filePath, { start: true }), (e) => e instanceof PrinterError && e.status === 409
+    && e.message === 'mk4 (OctoPrint) refused the upload: the printer is busy (already printing?) (nope).');
+  await assert.rejects(sendToPrinter(mk4, filePath, { idleTimeout: 200 }), (e) => e instanceof PrinterError && /mk4 stopped answering \(no reply for 0\.2s\)/.test(e.message));
+});
@@ -0,0 +1,69 @@
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loop3mf, pack3mf, OutputCheckError } = require('../src/api');
+const { verifyZipOutput } = require('../src/verify');
+const { readZipDirectory } = require('../src/zip');
+
+const GCODE = `M140 S60\nM104 S210\nG28\n${Array.from({ length: 3000 }, (_, i) => `G1 X${(i % 97) * 0.5} Y${(i % 89) * 0.75} E${(i * 0.0271).toFixed(5)}\n`).join('')}M104 S0\n`;
+const noDevFull = !fs.existsSync('/dev/full') && 'no /dev/full';
+
+async function tempDir(t) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), '3mf-looper-test-'));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A .gcode.3mf project made from a plain G-code, and its looped output with what verifyZipOutput expects of it
+async function loopedArchive(dir) {
+  const gcodePath = path.join(dir, 'part.gcode');
+  await fsp.writeFile(gcodePath, GCODE);
+  const { outputPath: project } = await pack3mf({ input: gcodePath });
+  const outputPath = path.join(dir, 'looped.gcode.3mf');
+  const result = await loop3mf({ inputs: [project], spec: '3', outputPath });
+  const entries = (await readZipDirectory(outputPath)).map((entry) => entry.name);
+  const gcodeName = entries.find((name) => name.endsWith('.gcode'));
+  return { project, outputPath, expected: { entries, gcodeName, gcodeBytes: result.gcodeBytes, loops: 3 } };
+}
+
+test('a good archive passes the checks', async (t) => {
+  const { outputPath, expected } = await loopedArchive(await tempDir(t));
+  await verifyZipOutput(outputPath, expected);
+});
+
+test('a damaged archive fails the checks', async (t) => {
+  const dir = await tempDir(t);
+  const { outputPath, expected } = await loopedArchive(dir);
+  const data = await fsp.readFile(outputPath);
+  const gcode = (await readZipDirectory(outputPath)).find((entry) => entry.name === expected.gcodeName);
+  const damaged = path.join(dir, 'damaged.gcode.3mf');
+  const damages = {
+    truncated: data.subarray(0, data.length - 100),
+    'flipped byte': Buffer.from(data).fill(0xff, gcode.offset + 100, gcode.offset + 101),
+  };
+  for (const [name, bytes] of Object.entries(damages)) {
+    await fsp.writeFile(damaged, bytes);
+    await assert.rejects(verifyZipOutput(damaged, expected), OutputCheckError, name);
+  }
+  await assert.rejects(verifyZipOutput(outputPath, { ...expected, entries: [...expected.entries, 'Metadata/plate_2.gcode'] }), /plate_2\.gcode is missing/);
+  await assert.rejects(verifyZipOutput(outputPath, { ...expected, gcodeBytes: expected.gcodeBytes + 1 }), /looped G-code is \d+ bytes/);
+  await assert.rejects(verifyZipOutput(outputPath, { ...expected, loops: 4 }), /header says 3 loops instead of 4/);
+});
+
+// The output's .part file points at /dev/full: every write fails with ENOSPC, like a full disk
+for (const [kind, input] of [['3MF project', (a) => a.project], ['packed G-code', (a) => path.join(path.dirname(a.project), 'part.gcode')]]) {
+  test(`a full disk fails the ${kind} run and keeps nothing`, { skip: noDevFull, timeout: 20000 }, async (t) => {
+    const dir = await tempDir(t);
+    const archive = await loopedArchive(dir);
+    const outputPath = path.join(dir, 'full.gcode.3mf');
+    await fsp.writeFile(outputPath, 'an earlier output');
+    await fsp.symlink('/dev/full', `${outputPath}.part`);
+    await assert.rejects(loop3mf({ inputs: [input(archive)], spec: '20', format: '3mf', compression: 0, outputPath }), { code: 'ENOSPC' });
+    assert.strictEqual(await fsp.readFile(outputPath, 'utf8'), 'an earlier output');
+    assert.deepStrictEqual((await fsp.readdir(dir)).filter((name) => name.endsWith('.part')), []);
+  });
+}
@@ -0,0 +1,148 @@
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const unzipper = require('unzipper');
+const { createZipWriter, readZipDirectory, readZipEntry } = require('../src/zip');
+const { streamRepeatFiles } = require('../src/gcode');
+const { crc32 } = require('../src/crc32');
+
+const GCODE = Array.from({ length: 2000 }, (_, i) => `G1 X${(i % 97) * 0.5} Y${(i % 89) * 0.75} E${(i * 0.0271).toFixed(5)}\n`).join('');
+const noDevFull = !fs.existsSync('/dev/full') && 'no /dev/full';
+
+async function tempDir(t) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), '3mf-looper-test-'));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('a looped G-code entry rejects when the disk is full', { skip: noDevFull, timeout: 20000 }, async (t) => {
+  const dir = await tempDir(t);
+  const gcodePath = path.join(dir, 'part.gcode');
+  await fsp.writeFile(gcodePath, GCODE);
+  const zip = createZipWriter('/dev/full', { level: 0 });
+  const entry = await zip.openEntry('Metadata/plate_1.gcode');
+  await assert.rejects(streamRepeatFiles([gcodePath], entry.stream, 50), { code: 'ENOSPC' });
+  await assert.rejects(entry.done, { code: 'ENOSPC' });
+  await zip.abort();
+});
+
+test('finish rejects when the disk is full', { skip: noDevFull, timeout: 20000 }, async () => {
+  const zip = createZipWriter('/dev/full');
+  await zip.addEntry('a.txt', 'hello');
+  await assert.rejects(zip.finish(), { code: 'ENOSPC' });
+});
+
+// Reads every entry back with unzipper, which goes by the central directory like the printers
+async function unzipAll(zipPath) {
+  const directory = await unzipper.Open.file(zipPath);
+  const out = new Map();
+  for (const file of directory.files) out.set(file.path, await file.buffer());
+  return out;
+}
+
+// options.estimatedBytes: the G-code entry's size as planned, unknown (ZIP64) by default
+async function writeSample(zipPath, options = {}) {
+  const zip = createZipWriter(zipPath);
+  await zip.addEntry('[Content_Types].xml', '<Types/>');
+  const entry = await zip.openEntry('Metadata/plate_1.gcode', options);
+  for (let i = 0; i < 20; i += 1) entry.stream.write(GCODE);
+  entry.stream.end();
+  const sums = await entry.done;
+  await zip.addEntry('Metadata/plate_1.gcode.md5', 'abc');
+  await zip.finish();
+  return sums;
+}
+
+test('a written zip reads back with unzipper and readZipDirectory', async (t) => {
+  const dir = await tempDir(t);
+  const zipPath = path.join(dir, 'out.gcode.3mf');
+  const sums = await writeSample(zipPath);
+  assert.strictEqual(sums.size, GCODE.length * 20);
+  assert.strictEqual(sums.crc, crc32(Buffer.from(GCODE.repeat(20))));
+
+  const files = await unzipAll(zipPath);
+  assert.deepStrictEqual([...files.keys()], ['[Content_Types].xml', 'Metadata/plate_1.gcode', 'Metadata/plate_1.gcode.md5']);
+  assert.strictEqual(files.get('Metadata/plate_1.gcode').toString(), GCODE.repeat(20));
+  assert.strictEqual(files.get('[Content_Types].xml').toString(), '<Types/>');
+
+  const entries = await readZipDirectory(zipPath);
+  const gcode = entries.find((e) => e.name === 'Metadata/plate_1.gcode');
+  assert.strictEqual(gcode.size, sums.size);
+  assert.strictEqual((await readZipEntry(zipPath, gcode)).toString(), GCODE.repeat(20));
+});
+
+test('a streamed entry that may pass 4 GB has a ZIP64 local header and an 8-byte-size data descriptor', async (t) => {
+  const dir = await tempDir(t);
+  const zipPath = path.join(dir, 'out.gcode.3mf');
+  await writeSample(zipPath, { estimatedBytes: 3 * 1024 ** 3 });
+  const data = await fsp.readFile(zipPath);
+  const gcode = (await readZipDirectory(zipPath)).find((e) => e.name === 'Metadata/plate_1.gcode');
+  const at = gcode.offset;
+  assert.strictEqual(data.readUInt32LE(at), 0x04034b50);
+  assert.strictEqual(data.readUInt16LE(at + 4), 45);
+  const nameLength = data.readUInt16LE(at + 26);
+  const extraAt = at + 30 + nameLength;
+  assert.strictEqual(data.readUInt16LE(extraAt), 0x0001);
+  assert.strictEqual(data.readUInt16LE(extraAt + 2), 16);
+  const descriptorAt = extraAt + data.readUInt16LE(at + 28) + gcode.compressedSize;
+  assert.strictEqual(data.readUInt32LE(descriptorAt), 0x08074b50);
+  assert.strictEqual(data.readUInt32LE(descriptorAt + 4), gcode.crc);
+  assert.strictEqual(Number(data.readBigUInt64LE(descriptorAt + 8)), gcode.compressedSize);
+  assert.strictEqual(Number(data.readBigUInt64LE(descriptorAt + 16)), gcode.size);
+  // The next entry starts right after the 24-byte descriptor
+  assert.strictEqual(data.readUInt32LE(descriptorAt + 24), 0x04034b50);
+});
+
+test('a small streamed entry keeps the classic header and a 4-byte-size data descriptor', async (t) => {
+  const dir = await tempDir(t);
+  const zipPath = path.join(dir, 'out.gcode.3mf');
+  await writeSample(zipPath, { estimatedBytes: GCODE.length * 20 });
+  const data = await fsp.readFile(zipPath);
+  const gcode = (await readZipDirectory(zipPath)).find((e) => e.name === 'Metadata/plate_1.gcode');
+  const at = gcode.offset;
+  assert.strictEqual(data.readUInt32LE(at), 0x04034b50);
+  assert.strictEqual(data.readUInt16LE(at + 4), 20);
+  assert.strictEqual(data.readUInt16LE(at + 28), 0);
+  const descriptorAt = at + 30 + data.readUInt16LE(at + 26) + gcode.compressedSize;
+  assert.strictEqual(data.readUInt32LE(descriptorAt), 0x08074b50);
+  assert.strictEqual(data.readUInt32LE(descriptorAt + 4), gcode.crc);
+  assert.strictEqual(data.readUInt32LE(descriptorAt + 8), gcode.compressedSize);
+  assert.strictEqual(data.readUInt32LE(descriptorAt + 12), gcode.size);
+  assert.strictEqual(data.readUInt32LE(descriptorAt + 16), 0x04034b50);
+  // Nor does the central directory ask for ZIP64
+  const central = data.indexOf('Metadata/plate_1.gcode', data.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]), descriptorAt)) - 46;
+  assert.strictEqual(data.readUInt32LE(central), 0x02014b50);
+  assert.strictEqual(data.readUInt16LE(central + 6), 20);
+  assert.strictEqual(data.readUInt16LE(central + 30), 0);
+  assert.strictEqual((await unzipAll(zipPath)).get('Metadata/plate_1.gcode').toString(), GCODE.repeat(20));
+});
+
+test('copied entries keep their data', async (t) => {
+  const dir = await tempDir(t);
+  const firstPath = path.join(dir, 'first.gcode.3mf');
+  await writeSample(firstPath);
+  const copyPath = path.join(dir, 'copy.gcode.3mf');
+  const zip = createZipWriter(copyPath);
+  for (const entry of await readZipDirectory(firstPath)) await zip.copyEntry(firstPath, entry);
+  await zip.finish();
+  assert.deepStrictEqual(await unzipAll(copyPath), await unzipAll(firstPath));
+});
+
+test('more than 65535 entries get the ZIP64 end records', { timeout: 120000 }, async (t) => {
+  const dir = await tempDir(t);
+  const zipPath = path.join(dir, 'many.zip');
+  const zip = createZipWriter(zipPath, { level: 0 });
+  const count = 0xffff + 2;
+  for (let i = 0; i < count; i += 1) await zip.addEntry(`f/${i}.txt`, String(i));
+  await zip.finish();
+  const entries = await readZipDirectory(zipPath);
+  assert.strictEqual(entries.length, count);
+  assert.strictEqual((await readZipEntry(zipPath, entries[count - 1])).toString(), String(count - 1));
+  const directory = await unzipper.Open.file(zipPath);
+  assert.strictEqual(directory.files.length, count);
+  assert.strictEqual((await directory.files[count - 1].buffer()).toString(), String(count - 1));
+});